@@ -9,14 +9,27 @@ import { EventBus } from './core/EventBus.js';
 import { StateStore } from './core/StateStore.js';
 import { Storage } from './core/Storage.js';
 import { MapManager } from './ui/MapManager.js';
+import { ProfileManager } from './ui/ProfileManager.js';
+import { ScenarioManager } from './ui/ScenarioManager.js';
+import { CostTableManager } from './ui/CostTableManager.js';
+import { GraphHealthPanel } from './ui/GraphHealthPanel.js';
 import { Toolbar } from './ui/Toolbar.js';
 import { CanvasRenderer } from './ui/CanvasRenderer.js';
 import { EditorController } from './ui/EditorController.js';
 import { ViewerController } from './ui/ViewerController.js';
 import { Sidebar } from './ui/Sidebar.js';
 import { Pathfinder } from './engine/Pathfinder.js';
+import { GraphCache } from './engine/GraphCache.js';
+import { EngineClient } from './engine/EngineClient.js';
 import { VERSION, BUILD_DATE } from './version.js';
 
+/**
+ * Modules that register extra cost strategies, relative to the page
+ * Each is loaded here and in the engine worker; see README.
+ * @type {string[]}
+ */
+const COST_STRATEGY_MODULES = [];
+
 /**
  * Main Application Class
  * Orchestrates all components and manages global state
@@ -29,7 +42,9 @@ class App {
         this.storage = new Storage(this.store);
         
         // Engine
-        this.pathfinder = new Pathfinder();
+        this.graphCache = new GraphCache(this.eventBus, this.store);
+        this.pathfinder = new Pathfinder(this.graphCache);
+        this.engine = new EngineClient(this.graphCache);
         
         // UI Components (will be initialized after DOM is ready)
         this.toolbar = null;
@@ -38,6 +53,8 @@ class App {
         this.editorController = null;
         this.viewerController = null;
         this.mapManager = null;
+        this.profileManager = null;
+        this.scenarioManager = null;
     }
     
     /**
@@ -49,11 +66,24 @@ class App {
         // Initialize IndexedDB
         await this.storage.init();
         
+        // Register extra cost strategies before the viewer lists them
+        for (const url of COST_STRATEGY_MODULES) {
+            try {
+                await this.engine.loadCostStrategies(url);
+            } catch (error) {
+                console.error(`Failed to load cost strategies from ${url}:`, error);
+            }
+        }
+        
         // Initialize UI components
         this.toolbar = new Toolbar(this.eventBus, this.store);
         this.sidebar = new Sidebar(this.eventBus, this.store);
         this.canvasRenderer = new CanvasRenderer(this.eventBus, this.store);
         this.mapManager = new MapManager(this.eventBus, this.store);
+        this.profileManager = new ProfileManager(this.eventBus, this.store);
+        this.scenarioManager = new ScenarioManager(this.eventBus, this.store);
+        this.costTableManager = new CostTableManager(this.eventBus, this.store, this.engine);
+        this.graphHealthPanel = new GraphHealthPanel(this.eventBus, this.store, this.canvasRenderer, this.pathfinder);
         this.editorController = new EditorController(
             this.eventBus, 
             this.store, 
@@ -63,7 +93,8 @@ class App {
             this.eventBus, 
             this.store, 
             this.canvasRenderer,
-            this.pathfinder
+            this.pathfinder,
+            this.engine
         );
         
         // Set up global event listeners
@@ -79,6 +110,10 @@ class App {
         this.editorController.init();
         this.viewerController.init();
         this.mapManager.init();
+        this.profileManager.init();
+        this.scenarioManager.init();
+        this.costTableManager.init();
+        this.graphHealthPanel.init();
         
         // Set up auto-save
         this.storage.enableAutoSave();
@@ -140,12 +175,13 @@ class App {
             e.preventDefault();
         });
         
-        // Close context menu on click outside
+        // Close context menus on click outside
         document.addEventListener('click', (e) => {
-            const contextMenu = document.getElementById('contextMenu');
-            if (!contextMenu.contains(e.target)) {
-                contextMenu.classList.add('hidden');
-            }
+            document.querySelectorAll('.context-menu').forEach(contextMenu => {
+                if (!contextMenu.contains(e.target)) {
+                    contextMenu.classList.add('hidden');
+                }
+            });
         });
         
         // Window resize
@@ -206,14 +242,11 @@ class App {
         // Clear undo history when switching maps
         this.store.clearHistory();
         
+        // Route selection is kept so routes can be planned across maps
         this.store.setState({ 
             currentMapId: mapId,
             selectedWaypoint: null,
-            selectedEdge: null,
-            routeStart: null,
-            routeEnd: null,
-            currentRoute: null,
-            alternativeRoute: null
+            selectedEdge: null
         });
         
         this.canvasRenderer.loadMap(mapId);
@@ -235,7 +268,7 @@ class App {
         switch (e.key) {
             case 'Escape':
                 this.eventBus.emit('action:cancel');
-                document.getElementById('contextMenu').classList.add('hidden');
+                document.querySelectorAll('.context-menu').forEach(menu => menu.classList.add('hidden'));
                 break;
             case 'Delete':
             case 'Backspace':
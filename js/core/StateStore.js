@@ -5,6 +5,8 @@
  * Similar to Redux but much simpler.
  */
 
+import { DEFAULT_TRAVEL_PROFILES } from '../models/TravelProfile.js';
+
 /**
  * @typedef {Object} AppState
  * @property {string} mode - Current mode: 'edit' or 'view'
@@ -15,12 +17,28 @@
  * @property {string|null} selectedEdge - Selected edge ID
  * @property {string|null} routeStart - Start waypoint ID for routing
  * @property {string|null} routeEnd - End waypoint ID for routing
+ * @property {RouteVia[]} routeVias - Ordered stops between start and end
+ * @property {import('../engine/Avoidance.js').RouteAvoidance[]} routeAvoidances - Waypoints, edges and terrain types routes should avoid
+ * @property {import('../engine/Avoidance.js').ClosureOverlay} closures - Waypoints and edges closed for now, without editing the map
+ * @property {import('../models/TravelProfile.js').TravelProfile[]} travelProfiles - Ways of travelling routes can be found for
+ * @property {string|null} travelProfileId - Profile routes are found for (null: costs as set on the map)
+ * @property {string|null} costStrategyId - Cost strategy routes are found with (null: the map's own costs)
+ * @property {string|null} scenarioName - Scenario routes are found in, on the maps that have it (null: normal conditions)
  * @property {Array|null} currentRoute - Current calculated route
- * @property {Array|null} alternativeRoute - Alternative route
+ * @property {Array} alternativeRoutes - Alternative routes, best first
  * @property {number} zoom - Current zoom level (1.0 = 100%)
  * @property {{x: number, y: number}} pan - Current pan offset
  */
 
+/**
+ * @typedef {Object} RouteVia
+ * @property {string} id - Unique via-point ID
+ * @property {string|null} waypointId - Waypoint to pass through (null for an arbitrary point)
+ * @property {number} x - X coordinate
+ * @property {number} y - Y coordinate
+ * @property {string} mapId - Map the via-point lies on
+ */
+
 /** @type {AppState} */
 const DEFAULT_STATE = {
     mode: 'edit',
@@ -31,8 +49,15 @@ const DEFAULT_STATE = {
     selectedEdge: null,
     routeStart: null,
     routeEnd: null,
+    routeVias: [],
+    routeAvoidances: [],
+    closures: { name: '', items: [] },
+    travelProfiles: DEFAULT_TRAVEL_PROFILES,
+    travelProfileId: null,
+    scenarioName: null,
+    costStrategyId: null,
     currentRoute: null,
-    alternativeRoute: null,
+    alternativeRoutes: [],
     zoom: 1,
     pan: { x: 0, y: 0 }
 };
@@ -283,10 +308,13 @@ export class StateStore {
                     edge: this.state.selectedEdge
                 });
             }
-            if (changedKeys.includes('routeStart') || changedKeys.includes('routeEnd')) {
+            if (['routeStart', 'routeEnd', 'routeVias', 'routeAvoidances', 'closures'].some(key => changedKeys.includes(key))) {
                 this.eventBus.emit('route:changed', {
                     start: this.state.routeStart,
-                    end: this.state.routeEnd
+                    end: this.state.routeEnd,
+                    vias: this.state.routeVias,
+                    avoidances: this.state.routeAvoidances,
+                    closures: this.state.closures
                 });
             }
             if (changedKeys.includes('maps')) {
@@ -304,6 +332,14 @@ export class StateStore {
         return this.state.maps[mapId] || null;
     }
     
+    /**
+     * Get the travel profile routes are found for
+     * @returns {import('../models/TravelProfile.js').TravelProfile|null}
+     */
+    getTravelProfile() {
+        return this.state.travelProfiles.find(p => p.id === this.state.travelProfileId) || null;
+    }
+    
     /**
      * Get the currently active map
      * @returns {import('../models/Map.js').MapData|null}
@@ -518,6 +554,103 @@ export class StateStore {
         return map.edges.find(e => e.id === edgeId) || null;
     }
     
+    /**
+     * Add a via-point to the end of the stop list
+     * @param {RouteVia} via 
+     */
+    addRouteVia(via) {
+        this.setState({ routeVias: [...this.state.routeVias, via] });
+    }
+    
+    /**
+     * Move a via-point to another position in the stop list
+     * @param {number} fromIndex 
+     * @param {number} toIndex 
+     */
+    moveRouteVia(fromIndex, toIndex) {
+        const vias = [...this.state.routeVias];
+        if (toIndex < 0 || toIndex >= vias.length || !vias[fromIndex]) return;
+        
+        const [via] = vias.splice(fromIndex, 1);
+        vias.splice(toIndex, 0, via);
+        this.setState({ routeVias: vias });
+    }
+    
+    /**
+     * Remove a via-point
+     * @param {string} viaId 
+     */
+    removeRouteVia(viaId) {
+        this.setState({ routeVias: this.state.routeVias.filter(v => v.id !== viaId) });
+    }
+    
+    /**
+     * Add something for routes to avoid
+     * @param {import('../engine/Avoidance.js').RouteAvoidance} avoidance 
+     */
+    addRouteAvoidance(avoidance) {
+        this.setState({ routeAvoidances: [...this.state.routeAvoidances, avoidance] });
+    }
+    
+    /**
+     * Update an avoidance (e.g. switch between blocking and penalising)
+     * @param {string} avoidanceId 
+     * @param {Object} changes 
+     */
+    updateRouteAvoidance(avoidanceId, changes) {
+        this.setState({
+            routeAvoidances: this.state.routeAvoidances.map(a => a.id === avoidanceId ? { ...a, ...changes } : a)
+        });
+    }
+    
+    /**
+     * Remove an avoidance
+     * @param {string} avoidanceId 
+     */
+    removeRouteAvoidance(avoidanceId) {
+        this.setState({ routeAvoidances: this.state.routeAvoidances.filter(a => a.id !== avoidanceId) });
+    }
+    
+    /**
+     * Check whether a waypoint or edge is closed
+     * @param {'waypoint'|'edge'} type 
+     * @param {string} targetId 
+     * @returns {boolean}
+     */
+    isClosed(type, targetId) {
+        return this.state.closures.items.some(c => c.type === type && c.targetId === targetId);
+    }
+    
+    /**
+     * Close a waypoint or edge, or open it again if it is closed
+     * Closures are not map edits, so they stay out of the undo history.
+     * @param {'waypoint'|'edge'} type 
+     * @param {string} targetId 
+     * @param {string} mapId 
+     */
+    toggleClosure(type, targetId, mapId) {
+        const { closures } = this.state;
+        const items = this.isClosed(type, targetId)
+            ? closures.items.filter(c => !(c.type === type && c.targetId === targetId))
+            : [...closures.items, { type, targetId, mapId }];
+        this.setState({ closures: { ...closures, items } });
+    }
+    
+    /**
+     * Name the closures
+     * @param {string} name 
+     */
+    renameClosures(name) {
+        this.setState({ closures: { ...this.state.closures, name } });
+    }
+    
+    /**
+     * Open everything that is closed
+     */
+    clearClosures() {
+        this.setState({ closures: { name: '', items: [] } });
+    }
+    
     /**
      * Reset to default state
      */
@@ -534,6 +667,9 @@ export class StateStore {
         if (data.maps) {
             this.state.maps = data.maps;
         }
+        if (data.travelProfiles) {
+            this.state.travelProfiles = data.travelProfiles;
+        }
         this.eventBus.emit('state:loaded');
     }
     
@@ -543,7 +679,8 @@ export class StateStore {
      */
     getSerializableData() {
         return {
-            maps: this.state.maps
+            maps: this.state.maps,
+            travelProfiles: this.state.travelProfiles
         };
     }
 }
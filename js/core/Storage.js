@@ -5,6 +5,9 @@
  * exporting/importing as JSON files.
  */
 
+import { mergeTravelProfiles } from '../models/TravelProfile.js';
+import { readScenarios } from '../models/Scenario.js';
+
 const DB_NAME = 'mapPathfinder';
 const DB_VERSION = 1;
 const STORE_NAME = 'appData';
@@ -246,8 +249,8 @@ export class Storage {
     enableAutoSave() {
         this.autoSaveEnabled = true;
         this.store.eventBus.on('state:change', ({ changedKeys }) => {
-            // Only auto-save on map data changes
-            if (changedKeys.includes('maps')) {
+            // Only auto-save on map data and travel profile changes
+            if (changedKeys.includes('maps') || changedKeys.includes('travelProfiles')) {
                 this.debouncedSave();
             }
         });
@@ -322,11 +325,17 @@ export class Storage {
                 throw new Error('Invalid file format: missing maps object');
             }
             
+            // Scenarios travel with their maps
+            Object.values(data.maps).forEach(map => {
+                map.scenarios = readScenarios(map.scenarios);
+            });
+            
             if (merge) {
                 // Merge with existing maps
                 const currentData = this.store.getSerializableData();
                 const mergedMaps = { ...currentData.maps, ...data.maps };
-                this.store.loadFromData({ maps: mergedMaps });
+                const mergedProfiles = mergeTravelProfiles(currentData.travelProfiles, data.travelProfiles);
+                this.store.loadFromData({ maps: mergedMaps, travelProfiles: mergedProfiles });
             } else {
                 // Replace all maps
                 this.store.loadFromData(data);
@@ -0,0 +1,224 @@
+/**
+ * Avoidance - Places and terrain a route should keep away from
+ *
+ * Avoided waypoints, edges and terrain types are turned into the
+ * exclusions and cost penalties Pathfinder.dijkstra understands. A
+ * blocked item is never used; a penalised one costs more, so the route
+ * only uses it when there is no reasonable way around.
+ *
+ * Closures (the bridge is out) are kept apart from avoidances, as one
+ * named overlay the viewer can clear in one go, and block like them.
+ */
+
+import { sampleEdge, measurePathTerrain } from '../models/Terrain.js';
+
+/**
+ * Cost multiplier for penalised (soft) avoidances
+ */
+export const AVOID_PENALTY_FACTOR = 3;
+
+/**
+ * @typedef {Object} RouteAvoidance
+ * @property {string} id - Unique avoidance ID
+ * @property {'waypoint'|'edge'|'terrain'} type - What is avoided
+ * @property {string} targetId - Waypoint, edge or terrain type ID
+ * @property {string|null} mapId - Map of the waypoint or edge (null for terrain types, which apply everywhere)
+ * @property {'block'|'penalty'} mode - Never use it, or use it only at a higher cost
+ */
+
+/**
+ * @typedef {Object} RouteClosure
+ * @property {'waypoint'|'edge'} type - What is closed
+ * @property {string} targetId - Waypoint or edge ID
+ * @property {string} mapId - Map of the waypoint or edge
+ */
+
+/**
+ * @typedef {Object} ClosureOverlay
+ * @property {string} name - What the closures are about (e.g. "Floods")
+ * @property {RouteClosure[]} items - Closed waypoints and edges
+ */
+
+/**
+ * Prefix for the IDs of the avoidances closures turn into
+ */
+const CLOSURE_ID_PREFIX = 'closure:';
+
+/**
+ * @typedef {Object} RouteConstraints
+ * @property {Set<string>} excludedEdges - Edges that can't be used
+ * @property {Set<string>} excludedNodes - Waypoints that can't be passed through
+ * @property {import('./Pathfinder.js').CostPenalties} penalties - Cost multipliers for the rest
+ */
+
+/**
+ * Turn avoidances into search constraints for a set of maps
+ * @param {RouteAvoidance[]} avoidances
+ * @param {import('../models/Map.js').MapData[]} maps - Maps the route may use
+ * @returns {RouteConstraints}
+ */
+export function getRouteConstraints(avoidances, maps) {
+    const constraints = {
+        excludedEdges: new Set(),
+        excludedNodes: new Set(),
+        penalties: { edges: new Map(), nodes: new Map() }
+    };
+    
+    avoidances.forEach(avoidance => {
+        const isBlock = avoidance.mode === 'block';
+        
+        if (avoidance.type === 'waypoint') {
+            if (isBlock) constraints.excludedNodes.add(avoidance.targetId);
+            else constraints.penalties.nodes.set(avoidance.targetId, AVOID_PENALTY_FACTOR);
+        } else if (avoidance.type === 'edge') {
+            if (isBlock) constraints.excludedEdges.add(avoidance.targetId);
+            else addEdgePenalty(constraints, avoidance.targetId, AVOID_PENALTY_FACTOR);
+        }
+    });
+    
+    // Terrain avoidances apply to every edge that crosses the terrain
+    const terrainModes = new Map(avoidances
+        .filter(a => a.type === 'terrain')
+        .map(a => [a.targetId, a.mode]));
+    if (terrainModes.size === 0) return constraints;
+    
+    maps.forEach(map => {
+        if (!map.terrain) return;
+        const waypointMap = new Map(map.waypoints.map(wp => [wp.id, wp]));
+        
+        map.edges.forEach(edge => {
+            const fromWp = waypointMap.get(edge.from);
+            const toWp = waypointMap.get(edge.to);
+            if (!fromWp || !toWp) return;
+            
+            const shares = getEdgeTerrainShares(edge, fromWp, toWp, map);
+            let penaltyShare = 0;
+            for (const [typeId, share] of shares) {
+                const mode = terrainModes.get(typeId);
+                if (mode === 'block') {
+                    constraints.excludedEdges.add(edge.id);
+                    return;
+                }
+                if (mode === 'penalty') penaltyShare += share;
+            }
+            
+            // Only the part of the edge in avoided terrain costs more
+            if (penaltyShare > 0) {
+                addEdgePenalty(constraints, edge.id, 1 + (AVOID_PENALTY_FACTOR - 1) * penaltyShare);
+            }
+        });
+    });
+    
+    return constraints;
+}
+
+/**
+ * Turn closures into blocking avoidances
+ * @param {ClosureOverlay} closures
+ * @returns {RouteAvoidance[]}
+ */
+export function getClosureAvoidances(closures) {
+    return closures.items.map(closure => ({
+        id: CLOSURE_ID_PREFIX + closure.targetId,
+        type: closure.type,
+        targetId: closure.targetId,
+        mapId: closure.mapId,
+        mode: 'block'
+    }));
+}
+
+/**
+ * Take closed waypoints and edges out of a graph
+ * For searches that take no constraints, such as reachability. Closed
+ * waypoints can't be reached (but a search may still start at one).
+ * @param {Map<string, import('./Pathfinder.js').GraphNode>} graph - Modified in place
+ * @param {ClosureOverlay} closures
+ * @param {string[]} [openIds] - Closed waypoints to keep reachable (route stops)
+ */
+export function removeClosures(graph, closures, openIds = []) {
+    if (closures.items.length === 0) return;
+    
+    const closedNodes = new Set(closures.items
+        .filter(c => c.type === 'waypoint' && !openIds.includes(c.targetId))
+        .map(c => c.targetId));
+    const closedEdges = new Set(closures.items.filter(c => c.type === 'edge').map(c => c.targetId));
+    
+    // Links from arbitrary points along an edge are named after it (see addAttachmentConstraints)
+    const isClosedLink = edgeId => closedEdges.has(edgeId) || closedEdges.has(edgeId.slice(edgeId.lastIndexOf(':') + 1));
+    
+    graph.forEach(node => {
+        node.neighbors.forEach((link, neighborId) => {
+            if (closedNodes.has(neighborId) || isClosedLink(link.edgeId)) {
+                node.neighbors.delete(neighborId);
+            }
+        });
+    });
+}
+
+/**
+ * Apply the constraints of avoided edges to a virtual point node's links
+ * Links from arbitrary points run along part of an edge under their own ID.
+ * @param {RouteConstraints} constraints
+ * @param {string} nodeId - Virtual point node
+ * @param {import('./PointAttachment.js').Attachment[]} attachments
+ */
+export function addAttachmentConstraints(constraints, nodeId, attachments) {
+    attachments.forEach(attachment => {
+        if (attachment.type !== 'edge') return;
+        
+        const edgeId = attachment.edge.id;
+        const linkId = `${nodeId}:${edgeId}`;
+        if (constraints.excludedEdges.has(edgeId)) {
+            constraints.excludedEdges.add(linkId);
+        } else if (constraints.penalties.edges.has(edgeId)) {
+            constraints.penalties.edges.set(linkId, constraints.penalties.edges.get(edgeId));
+        }
+    });
+}
+
+/**
+ * Get cost multipliers per terrain type for routing over the terrain grid
+ * @param {RouteAvoidance[]} avoidances
+ * @returns {Map<string, number>} Multiplier per terrain type ID (Infinity if blocked)
+ */
+export function getTerrainAvoidFactors(avoidances) {
+    const factors = new Map();
+    avoidances.forEach(avoidance => {
+        if (avoidance.type !== 'terrain') return;
+        factors.set(avoidance.targetId, avoidance.mode === 'block' ? Infinity : AVOID_PENALTY_FACTOR);
+    });
+    return factors;
+}
+
+/**
+ * Get the share of an edge's length in each terrain type
+ * @param {import('../models/Edge.js').EdgeData} edge
+ * @param {import('../models/Waypoint.js').WaypointData} fromWp
+ * @param {import('../models/Waypoint.js').WaypointData} toWp
+ * @param {import('../models/Map.js').MapData} map - Map with a terrain layer
+ * @returns {Map<string, number>} Share (0-1) per terrain type ID
+ */
+export function getEdgeTerrainShares(edge, fromWp, toWp, map) {
+    const points = sampleEdge(edge, fromWp, toWp);
+    const lengths = measurePathTerrain(map.terrain, points, map.imageWidth, map.imageHeight);
+    
+    let total = 0;
+    lengths.forEach(length => { total += length; });
+    
+    const shares = new Map();
+    lengths.forEach((length, typeId) => {
+        if (typeId) shares.set(typeId, total > 0 ? length / total : 0);
+    });
+    return shares;
+}
+
+/**
+ * Set an edge's penalty, keeping a larger one already set
+ * @param {RouteConstraints} constraints
+ * @param {string} edgeId
+ * @param {number} factor
+ */
+function addEdgePenalty(constraints, edgeId, factor) {
+    const edges = constraints.penalties.edges;
+    edges.set(edgeId, Math.max(edges.get(edgeId) || 1, factor));
+}
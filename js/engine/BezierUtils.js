@@ -261,6 +261,29 @@ export function splitBezier(p0, p1, p2, p3, t) {
     };
 }
 
+/**
+ * Get the part of a bezier curve between two parameters
+ * If t2 is before t1 the part is returned reversed (running from t1 to t2).
+ * @param {Point} p0 
+ * @param {Point} p1 
+ * @param {Point} p2 
+ * @param {Point} p3 
+ * @param {number} t1 
+ * @param {number} t2 
+ * @returns {Point[]} Start, two control points and end of the part
+ */
+export function getBezierSegment(p0, p1, p2, p3, t1, t2) {
+    const from = Math.min(t1, t2);
+    const to = Math.max(t1, t2);
+    
+    // Cut off the start, then the end (rescaled to the remaining curve)
+    const { right } = splitBezier(p0, p1, p2, p3, from);
+    const localT = from < 1 ? (to - from) / (1 - from) : 0;
+    const { left } = splitBezier(right[0], right[1], right[2], right[3], localT);
+    
+    return t1 <= t2 ? left : [...left].reverse();
+}
+
 /**
  * Generate SVG path data for a cubic bezier
  * @param {Point} p0 
@@ -0,0 +1,97 @@
+/**
+ * CostStrategy - Rules for what travelling an edge costs
+ *
+ * A cost strategy turns an edge, the waypoints at its ends and the map it
+ * lies on into a cost each way. Strategies are registered by ID and one
+ * is chosen in the viewer; the default keeps the map's own costs (edge
+ * cost times the curve's extra length), which is what graphs were always
+ * built with. Costs should stay in the map's cost units, so scales still
+ * convert them.
+ *
+ * The engine worker has its own registry. A strategy used for searches
+ * must be registered by a module both threads load, which
+ * EngineClient.loadCostStrategies takes care of.
+ */
+
+import { getEdgeLinkCosts } from './GraphCache.js';
+import { calculateEdgeTerrainCosts } from '../models/Terrain.js';
+
+/**
+ * @typedef {Object} CostStrategy
+ * @property {string} id - Unique strategy identifier
+ * @property {string} name - Display name in the viewer
+ * @property {string} [description] - What the strategy does, shown on hover
+ * @property {function(import('../models/Edge.js').EdgeData, import('../models/Waypoint.js').WaypointData, import('../models/Waypoint.js').WaypointData, import('../models/Map.js').MapData): {cost: number, reverseCost: number|null}} getCosts
+ *   Cost from → to and to → from. Reverse cost is null if the edge can't be travelled back.
+ */
+
+/**
+ * ID of the strategy that keeps the map's own costs
+ */
+export const DEFAULT_COST_STRATEGY_ID = 'map';
+
+/** @type {Map<string, CostStrategy>} Registered strategies in registration order */
+const strategies = new Map();
+
+/**
+ * Register a cost strategy, replacing any other with the same ID
+ * @param {CostStrategy} strategy
+ */
+export function registerCostStrategy(strategy) {
+    if (!strategy || !strategy.id || typeof strategy.getCosts !== 'function') {
+        throw new Error('A cost strategy needs an id and a getCosts function.');
+    }
+    if (strategy.id === DEFAULT_COST_STRATEGY_ID && strategies.has(DEFAULT_COST_STRATEGY_ID)) {
+        throw new Error('The default cost strategy can\'t be replaced.');
+    }
+    strategies.set(strategy.id, { name: strategy.id, description: '', ...strategy });
+}
+
+/**
+ * Get a registered cost strategy
+ * @param {string|null} [id] - Strategy ID (null for the default)
+ * @returns {CostStrategy}
+ */
+export function getCostStrategy(id = null) {
+    const strategy = strategies.get(id || DEFAULT_COST_STRATEGY_ID);
+    if (!strategy) {
+        throw new Error(`Unknown cost strategy "${id}".`);
+    }
+    return strategy;
+}
+
+/**
+ * Get all registered cost strategies
+ * @returns {CostStrategy[]} Default first, then in registration order
+ */
+export function getCostStrategies() {
+    return [...strategies.values()];
+}
+
+/**
+ * Check if a strategy ID means the map's own costs
+ * @param {string|null} id
+ * @returns {boolean}
+ */
+export function isDefaultCostStrategy(id) {
+    return !id || id === DEFAULT_COST_STRATEGY_ID;
+}
+
+registerCostStrategy({
+    id: DEFAULT_COST_STRATEGY_ID,
+    name: 'Map costs',
+    description: 'Edge costs as set on the map; curves cost more by their extra length',
+    getCosts: (edge, fromWp, toWp) => getEdgeLinkCosts(edge, fromWp, toWp)
+});
+
+registerCostStrategy({
+    id: 'terrain',
+    name: 'Terrain only',
+    description: 'Every edge costs what its terrain and climbing cost, including edges with hand-set costs',
+    getCosts: (edge, fromWp, toWp, map) => {
+        if (!map || !map.terrain) return getEdgeLinkCosts(edge, fromWp, toWp);
+        
+        const { cost, reverseCost } = calculateEdgeTerrainCosts(edge, fromWp, toWp, map.terrain, map.imageWidth, map.imageHeight);
+        return { cost, reverseCost: edge.bidirectional !== false ? reverseCost : null };
+    }
+});
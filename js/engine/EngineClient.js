@@ -0,0 +1,408 @@
+/**
+ * EngineClient - Async access to the engine worker
+ *
+ * Sends route searches to EngineWorker and resolves with their results.
+ * Each kind of search runs on its own channel, with its own worker: a
+ * new search aborts the one in flight on its channel only, so a cost
+ * table keeps building while the route is searched again. As searches
+ * can't be interrupted inside the worker, aborting terminates it and a
+ * fresh worker is started for the channel's next request.
+ */
+
+import { getPortalConnectedMapIds } from '../models/Map.js';
+
+/**
+ * Rejection reason for a request that was aborted
+ */
+export class EngineCancelledError extends Error {
+    constructor() {
+        super('Search cancelled');
+        this.name = 'EngineCancelledError';
+    }
+}
+
+/**
+ * Channel of each request type that shares one with others
+ * All the ways of finding the route replace each other; every other type
+ * has a channel of its own.
+ */
+const REQUEST_CHANNELS = {
+    stages: 'route',
+    tradeOffs: 'route',
+    terrainRoute: 'route'
+};
+
+/**
+ * @typedef {Object} EngineProgress
+ * @property {number} done - Steps finished
+ * @property {number} total - Steps in the search
+ */
+
+export class EngineClient {
+    /**
+     * @param {import('./GraphCache.js').GraphCache} graphCache - Tells the worker which map graphs it can reuse
+     */
+    constructor(graphCache) {
+        this.graphCache = graphCache;
+        
+        this.nextRequestId = 1;
+        
+        // Channels by name: { worker, pending }, where pending is the request
+        // in flight ({ id, resolve, reject, onProgress }) or null
+        this.channels = new Map();
+        
+        // URLs of modules that register cost strategies, loaded by the worker too
+        this.strategyModules = [];
+    }
+    
+    /**
+     * Load a module that registers cost strategies, on this thread and in the worker
+     * The module should call registerCostStrategy (see CostStrategy) when imported.
+     * @param {string} url - Module URL, relative to the page
+     * @returns {Promise<void>} Rejects if the module can't be loaded
+     */
+    async loadCostStrategies(url) {
+        const href = new URL(url, document.baseURI).href;
+        await import(href);
+        if (!this.strategyModules.includes(href)) {
+            this.strategyModules.push(href);
+        }
+    }
+    
+    /**
+     * Check whether a request is in flight on any channel
+     * @returns {boolean}
+     */
+    isBusy() {
+        return [...this.channels.values()].some(channel => channel.pending !== null);
+    }
+    
+    /**
+     * Find the routes between each pair of consecutive stops
+     * @param {Object} query
+     * @param {Object.<string, import('../models/Map.js').MapData>} query.maps - All maps
+     * @param {import('./RouteSearch.js').RouteStop[]} query.stops - Stops in order
+     * @param {number} query.alternativeCount - Alternatives to find for each pair
+     * @param {import('./Avoidance.js').RouteAvoidance[]} query.avoidances
+     * @param {import('../models/TravelProfile.js').TravelProfile|null} query.profile - Way of travelling
+     * @param {string|null} query.scenario - Name of the scenario to apply
+     * @param {string|null} query.costStrategy - ID of the cost strategy to use
+     * @param {boolean} query.useAStar - Search with A* where the graph allows it
+     * @param {function(EngineProgress): void} [onProgress]
+     * @returns {Promise<import('./RouteSearch.js').StopRoutes[]>}
+     */
+    findRoute(query, onProgress) {
+        return this.request('route', {
+            ...query,
+            maps: withoutImages(query.maps),
+            ...this.getGraphState(query.maps, query.stops[0].mapId)
+        }, onProgress);
+    }
+    
+    /**
+     * Split the route between two stops into days that end at rest stops
+     * @param {Object} query
+     * @param {Object.<string, import('../models/Map.js').MapData>} query.maps - All maps
+     * @param {import('./RouteSearch.js').RouteStop[]} query.stops - Start and end
+     * @param {number} query.dailyLimit - Most a day can cost, in the start map's cost units
+     * @param {import('./Avoidance.js').RouteAvoidance[]} query.avoidances
+     * @param {import('../models/TravelProfile.js').TravelProfile|null} query.profile - Way of travelling
+     * @param {string|null} query.scenario - Name of the scenario to apply
+     * @param {string|null} query.costStrategy - ID of the cost strategy to use
+     * @param {function(EngineProgress): void} [onProgress]
+     * @returns {Promise<import('./RouteSearch.js').StopRoutes>} One path per day
+     */
+    findDailyStages(query, onProgress) {
+        return this.request('stages', {
+            ...query,
+            maps: withoutImages(query.maps),
+            ...this.getGraphState(query.maps, query.stops[0].mapId)
+        }, onProgress);
+    }
+    
+    /**
+     * Find the routes between two waypoints that trade cost against danger
+     * @param {Object} query
+     * @param {Object.<string, import('../models/Map.js').MapData>} query.maps - All maps
+     * @param {import('./RouteSearch.js').RouteStop[]} query.stops - Start and end, both waypoints
+     * @param {import('./Avoidance.js').RouteAvoidance[]} query.avoidances
+     * @param {import('../models/TravelProfile.js').TravelProfile|null} query.profile - Way of travelling
+     * @param {string|null} query.scenario - Name of the scenario to apply
+     * @param {string|null} query.costStrategy - ID of the cost strategy to use
+     * @param {function(EngineProgress): void} [onProgress]
+     * @returns {Promise<Object[]>} Routes with danger and kind, cheapest first
+     */
+    findTradeOffRoutes(query, onProgress) {
+        return this.request('tradeOffs', {
+            ...query,
+            maps: withoutImages(query.maps),
+            ...this.getGraphState(query.maps, query.stops[0].mapId)
+        }, onProgress);
+    }
+    
+    /**
+     * Find the cost of travelling between every ordered pair of waypoints
+     * @param {Object} query
+     * @param {Object.<string, import('../models/Map.js').MapData>} query.maps - All maps
+     * @param {string} query.mapId - Map whose cost units are used
+     * @param {string[]} query.waypointIds - Waypoints to travel between
+     * @param {import('./Avoidance.js').ClosureOverlay} query.closures
+     * @param {import('../models/TravelProfile.js').TravelProfile|null} query.profile - Way of travelling
+     * @param {string|null} query.scenario - Name of the scenario to apply
+     * @param {string|null} query.costStrategy - ID of the cost strategy to use
+     * @param {function(EngineProgress): void} [onProgress]
+     * @returns {Promise<(number|null)[][]>} Cost matrix (null where unreachable)
+     */
+    findCostMatrix(query, onProgress) {
+        return this.request('costMatrix', {
+            ...query,
+            maps: withoutImages(query.maps),
+            ...this.getGraphState(query.maps, query.mapId)
+        }, onProgress);
+    }
+    
+    /**
+     * Find the cheapest routes from a waypoint to the nearest waypoints of a category
+     * @param {Object} query
+     * @param {Object.<string, import('../models/Map.js').MapData>} query.maps - All maps
+     * @param {string} query.mapId - Map of the waypoint to search from
+     * @param {string} query.fromId - Waypoint to search from
+     * @param {string} query.category - Kind of waypoint to look for
+     * @param {number} query.count - How many to find
+     * @param {import('./Avoidance.js').RouteAvoidance[]} query.avoidances
+     * @param {import('../models/TravelProfile.js').TravelProfile|null} query.profile - Way of travelling
+     * @param {string|null} query.scenario - Name of the scenario to apply
+     * @param {string|null} query.costStrategy - ID of the cost strategy to use
+     * @param {function(EngineProgress): void} [onProgress]
+     * @returns {Promise<import('./Pathfinder.js').PathResult[]>} Nearest first
+     */
+    findNearest(query, onProgress) {
+        return this.request('nearest', {
+            ...query,
+            maps: withoutImages(query.maps),
+            ...this.getGraphState(query.maps, query.mapId)
+        }, onProgress);
+    }
+    
+    /**
+     * Find where parties starting at different waypoints can meet
+     * @param {Object} query
+     * @param {Object.<string, import('../models/Map.js').MapData>} query.maps - All maps
+     * @param {string} query.mapId - Map of the first party
+     * @param {string[]} query.partyIds - Waypoint each party starts at
+     * @param {'max'|'total'} query.mode - Keep the last arrival or the total cost lowest
+     * @param {import('./Avoidance.js').RouteAvoidance[]} query.avoidances
+     * @param {import('../models/TravelProfile.js').TravelProfile|null} query.profile - Way of travelling
+     * @param {string|null} query.scenario - Name of the scenario to apply
+     * @param {string|null} query.costStrategy - ID of the cost strategy to use
+     * @param {function(EngineProgress): void} [onProgress]
+     * @returns {Promise<import('./Pathfinder.js').MeetingPoint>} Paths in party order
+     */
+    findMeetingPoint(query, onProgress) {
+        return this.request('meeting', {
+            ...query,
+            maps: withoutImages(query.maps),
+            ...this.getGraphState(query.maps, query.mapId)
+        }, onProgress);
+    }
+    
+    /**
+     * Find the cheapest order to visit stops in
+     * @param {Object} query
+     * @param {Object.<string, import('../models/Map.js').MapData>} query.maps - All maps
+     * @param {import('./RouteSearch.js').RouteStop[]} query.stops - Stops in their current order
+     * @param {string} query.mode - Which stops keep their place (see TourSolver TOUR_MODES)
+     * @param {import('./Avoidance.js').RouteAvoidance[]} query.avoidances
+     * @param {import('../models/TravelProfile.js').TravelProfile|null} query.profile - Way of travelling
+     * @param {string|null} query.scenario - Name of the scenario to apply
+     * @param {string|null} query.costStrategy - ID of the cost strategy to use
+     * @param {function(EngineProgress): void} [onProgress]
+     * @returns {Promise<import('./TourSolver.js').TourResult>}
+     */
+    findStopOrder(query, onProgress) {
+        return this.request('tour', {
+            ...query,
+            maps: withoutImages(query.maps),
+            ...this.getGraphState(query.maps, query.stops[0].mapId)
+        }, onProgress);
+    }
+    
+    /**
+     * Find how far a start can get within each of several cost budgets
+     * @param {Object} query
+     * @param {Object.<string, import('../models/Map.js').MapData>} query.maps - All maps
+     * @param {import('./RouteSearch.js').RouteStop} query.start - Where to start
+     * @param {number[]} query.budgets - Cost budgets in the start map's cost units, smallest first
+     * @param {import('./Avoidance.js').ClosureOverlay} query.closures
+     * @param {import('../models/TravelProfile.js').TravelProfile|null} query.profile - Way of travelling
+     * @param {string|null} query.scenario - Name of the scenario to apply
+     * @param {string|null} query.costStrategy - ID of the cost strategy to use
+     * @param {function(EngineProgress): void} [onProgress]
+     * @returns {Promise<import('./RouteSearch.js').ReachResult>}
+     */
+    findReach(query, onProgress) {
+        return this.request('reach', {
+            ...query,
+            maps: withoutImages(query.maps),
+            ...this.getGraphState(query.maps, query.start.mapId)
+        }, onProgress);
+    }
+    
+    /**
+     * Find a route over the terrain grid through points on one map
+     * @param {Object} query
+     * @param {import('../models/Map.js').MapData} query.map
+     * @param {{x: number, y: number}[]} query.points - Stops in order
+     * @param {import('./Avoidance.js').RouteAvoidance[]} query.avoidances
+     * @param {import('../models/TravelProfile.js').TravelProfile|null} query.profile - Way of travelling
+     * @param {string|null} query.scenario - Name of the scenario to apply
+     * @param {function(EngineProgress): void} [onProgress]
+     * @returns {Promise<Object>}
+     */
+    findTerrainRoute(query, onProgress) {
+        return this.request('terrainRoute', { ...query, map: { ...query.map, imageData: null } }, onProgress);
+    }
+    
+    /**
+     * Get the graph versions of the maps a search from a map can reach through portals
+     * Reading versions doesn't build graphs. The edits logged for those maps
+     * go along, so the worker can patch the graphs it has and builds only
+     * the ones it lacks or has fallen too far behind on.
+     * @param {Object.<string, import('../models/Map.js').MapData>} maps - All maps
+     * @param {string} startMapId
+     * @returns {{graphVersions: Object.<string, number>, graphChanges: Object.<string, import('./GraphCache.js').GraphChange[]>}}
+     */
+    getGraphState(maps, startMapId) {
+        const searched = {};
+        getPortalConnectedMapIds(maps, startMapId).forEach(mapId => {
+            searched[mapId] = maps[mapId];
+        });
+        return {
+            graphVersions: this.graphCache.getVersions(searched),
+            graphChanges: this.graphCache.getChanges(Object.keys(searched))
+        };
+    }
+    
+    /**
+     * Send a request to its channel's worker, aborting the request in flight there
+     * @param {string} type - Request type (see EngineWorker)
+     * @param {Object} payload
+     * @param {function(EngineProgress): void} [onProgress]
+     * @returns {Promise<*>} Rejects with EngineCancelledError if aborted
+     */
+    request(type, payload, onProgress = () => {}) {
+        this.cancel(type);
+        
+        const channel = this.getChannel(type);
+        if (!channel.worker) {
+            this.startWorker(channel);
+        }
+        
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            channel.pending = { id, resolve, reject, onProgress };
+            channel.worker.postMessage({ id, type, payload, strategyModules: this.strategyModules });
+        });
+    }
+    
+    /**
+     * Abort the request in flight on a request type's channel, if any
+     * @param {string} type - Request type (see EngineWorker)
+     */
+    cancel(type) {
+        const channel = this.getChannel(type);
+        if (!channel.pending) return;
+        
+        const { reject } = channel.pending;
+        channel.pending = null;
+        
+        // The worker may be mid-search, so replace it
+        channel.worker.terminate();
+        channel.worker = null;
+        
+        reject(new EngineCancelledError());
+    }
+    
+    /**
+     * Get the channel a request type runs on, opening it on first use
+     * @param {string} type - Request type (see EngineWorker)
+     * @returns {{worker: Worker|null, pending: Object|null}}
+     */
+    getChannel(type) {
+        const name = REQUEST_CHANNELS[type] || type;
+        if (!this.channels.has(name)) {
+            this.channels.set(name, { worker: null, pending: null });
+        }
+        return this.channels.get(name);
+    }
+    
+    /**
+     * Start a new worker for a channel
+     * @param {{worker: Worker|null, pending: Object|null}} channel
+     */
+    startWorker(channel) {
+        const worker = new Worker(new URL('./EngineWorker.js', import.meta.url), { type: 'module' });
+        worker.addEventListener('message', (e) => this.handleMessage(channel, e.data));
+        worker.addEventListener('error', (e) => {
+            e.preventDefault();
+            if (worker !== channel.worker) return;
+            
+            // A worker that failed to load or crashed is started again for the next request
+            worker.terminate();
+            channel.worker = null;
+            this.fail(channel, new Error(e.message || 'The route engine stopped unexpectedly.'));
+        });
+        channel.worker = worker;
+    }
+    
+    /**
+     * Handle a message from a channel's worker
+     * @param {{worker: Worker|null, pending: Object|null}} channel
+     * @param {{id: number, type: string, done?: number, total?: number, result?: *, message?: string}} message
+     */
+    handleMessage(channel, message) {
+        // Ignore anything from a request that has been replaced
+        if (!channel.pending || message.id !== channel.pending.id) return;
+        
+        switch (message.type) {
+            case 'progress':
+                channel.pending.onProgress({ done: message.done, total: message.total });
+                break;
+            case 'result': {
+                const { resolve } = channel.pending;
+                channel.pending = null;
+                resolve(message.result);
+                break;
+            }
+            case 'error':
+                this.fail(channel, new Error(message.message));
+                break;
+        }
+    }
+    
+    /**
+     * Reject a channel's request in flight with an error
+     * @param {{worker: Worker|null, pending: Object|null}} channel
+     * @param {Error} error
+     */
+    fail(channel, error) {
+        if (!channel.pending) return;
+        const { reject } = channel.pending;
+        channel.pending = null;
+        reject(error);
+    }
+}
+
+/**
+ * Copy maps without their images, which the engine never needs
+ * (saves copying large data URLs to the worker on every request)
+ * @param {Object.<string, import('../models/Map.js').MapData>} maps
+ * @returns {Object.<string, import('../models/Map.js').MapData>}
+ */
+function withoutImages(maps) {
+    const result = {};
+    Object.values(maps).forEach(map => {
+        result[map.id] = { ...map, imageData: null };
+    });
+    return result;
+}
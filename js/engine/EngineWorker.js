@@ -0,0 +1,81 @@
+/**
+ * EngineWorker - Runs route searches off the main thread
+ *
+ * Loaded as a module worker by EngineClient. Each request message is
+ * { id, type, payload }; the worker answers with progress messages and
+ * then one result or error message carrying the same id. Searches are
+ * synchronous, so a request is cancelled by terminating the worker.
+ * Map graphs are cached between requests by the versions sent with them,
+ * and patched with the edits sent along (see GraphCache.catchUp).
+ * Modules that register cost strategies are named in every request and
+ * imported before it runs (each only once).
+ */
+
+import { Pathfinder } from './Pathfinder.js';
+import { findRouteParts, findDailyStages, findTradeOffRoutes, findCostMatrix, findNearest, findMeetingPoint, findStopOrder, findReach, findTerrainRoute } from './RouteSearch.js';
+
+const pathfinder = new Pathfinder();
+
+/**
+ * Request handlers by type
+ * Each gets the payload and a progress callback, and returns the result.
+ */
+const HANDLERS = {
+    route(payload, onProgress) {
+        pathfinder.setAStar(payload.useAStar);
+        return findRouteParts(pathfinder, payload, onProgress);
+    },
+    
+    stages(payload, onProgress) {
+        return findDailyStages(pathfinder, payload, onProgress);
+    },
+    
+    tradeOffs(payload, onProgress) {
+        return findTradeOffRoutes(pathfinder, payload, onProgress);
+    },
+    
+    costMatrix(payload, onProgress) {
+        return findCostMatrix(pathfinder, payload, onProgress);
+    },
+    
+    nearest(payload, onProgress) {
+        return findNearest(pathfinder, payload, onProgress);
+    },
+    
+    meeting(payload, onProgress) {
+        return findMeetingPoint(pathfinder, payload, onProgress);
+    },
+    
+    tour(payload, onProgress) {
+        return findStopOrder(pathfinder, payload, onProgress);
+    },
+    
+    reach(payload, onProgress) {
+        return findReach(pathfinder, payload, onProgress);
+    },
+    
+    terrainRoute(payload, onProgress) {
+        return findTerrainRoute(payload, onProgress);
+    }
+};
+
+self.addEventListener('message', async (e) => {
+    const { id, type, payload, strategyModules = [] } = e.data;
+    const handler = HANDLERS[type];
+    
+    const onProgress = (done, total) => {
+        self.postMessage({ id, type: 'progress', done, total });
+    };
+    
+    try {
+        if (!handler) throw new Error(`Unknown engine request: ${type}`);
+        await Promise.all(strategyModules.map(url => import(url)));
+        if (payload.graphChanges) {
+            pathfinder.graphCache.catchUp(payload.maps, payload.graphChanges);
+        }
+        const result = handler(payload, onProgress);
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+});
@@ -0,0 +1,200 @@
+/**
+ * GraphAnalysis - Finds the weak spots of a routing graph
+ *
+ * Explains why routes can't be found: parts of the network that aren't
+ * joined up, waypoints without edges, waypoints one-way edges lead into but
+ * not out of, and the edges and waypoints a part of the network hangs on
+ * (bridges and articulation points). Link direction only matters for dead
+ * ends; everything else treats links as two-way.
+ */
+
+/**
+ * @typedef {Object} DeadEnd
+ * @property {string} nodeId
+ * @property {'no-exit'|'no-entry'} kind - Can be reached but not left, or left but not reached
+ */
+
+/**
+ * @typedef {Object} GraphHealth
+ * @property {string[][]} components - Node IDs of each connected part, largest first
+ * @property {string[]} isolated - Nodes without any links
+ * @property {DeadEnd[]} deadEnds - Nodes one-way links only lead into or only lead out of
+ * @property {string[]} bridges - Edges whose loss would split their part in two
+ * @property {string[]} articulations - Nodes whose loss would split their part
+ */
+
+/**
+ * Analyse a graph
+ * The graph keeps one link per pair of nodes, so pass the edges it was
+ * built from to stop edges with a parallel twin counting as bridges.
+ * @param {Map<string, import('./Pathfinder.js').GraphNode>} graph
+ * @param {import('../models/Edge.js').EdgeData[]} [edges] - Edges the graph was built from
+ * @returns {GraphHealth}
+ */
+export function analyzeGraph(graph, edges = []) {
+    const links = getUndirectedLinks(graph, edges);
+    const { bridges, articulations } = findCutPoints(graph, links);
+    
+    return {
+        components: findComponents(graph, links),
+        isolated: [...graph.keys()].filter(id => links.get(id).size === 0),
+        deadEnds: findDeadEnds(graph),
+        bridges,
+        articulations
+    };
+}
+
+/**
+ * Get each node's neighbours in either direction, with the edges joining them
+ * Parallel edges between the same two nodes share one entry.
+ * @param {Map<string, import('./Pathfinder.js').GraphNode>} graph
+ * @param {import('../models/Edge.js').EdgeData[]} edges - Edges the graph may have merged
+ * @returns {Map<string, Map<string, Set<string>>>} Node -> neighbour -> edge IDs
+ */
+function getUndirectedLinks(graph, edges) {
+    const links = new Map([...graph.keys()].map(id => [id, new Map()]));
+    const addLink = (fromId, toId, edgeId) => {
+        const neighbors = links.get(fromId);
+        if (!neighbors.has(toId)) neighbors.set(toId, new Set());
+        neighbors.get(toId).add(edgeId);
+    };
+    
+    graph.forEach((node, id) => {
+        node.neighbors.forEach((link, neighborId) => {
+            if (neighborId === id || !links.has(neighborId)) return;
+            addLink(id, neighborId, link.edgeId);
+            addLink(neighborId, id, link.edgeId);
+        });
+    });
+    
+    edges.forEach(edge => {
+        if (edge.from === edge.to || !links.has(edge.from) || !links.has(edge.to)) return;
+        addLink(edge.from, edge.to, edge.id);
+        addLink(edge.to, edge.from, edge.id);
+    });
+    
+    return links;
+}
+
+/**
+ * Group nodes into connected parts
+ * @param {Map<string, import('./Pathfinder.js').GraphNode>} graph
+ * @param {Map<string, Map<string, Set<string>>>} links
+ * @returns {string[][]} Largest part first
+ */
+function findComponents(graph, links) {
+    const seen = new Set();
+    const components = [];
+    
+    graph.forEach((node, startId) => {
+        if (seen.has(startId)) return;
+        
+        const component = [startId];
+        seen.add(startId);
+        for (let i = 0; i < component.length; i++) {
+            links.get(component[i]).forEach((edgeIds, neighborId) => {
+                if (seen.has(neighborId)) return;
+                seen.add(neighborId);
+                component.push(neighborId);
+            });
+        }
+        components.push(component);
+    });
+    
+    return components.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Find nodes that one-way links only lead into, or only lead out of
+ * @param {Map<string, import('./Pathfinder.js').GraphNode>} graph
+ * @returns {DeadEnd[]}
+ */
+function findDeadEnds(graph) {
+    const entries = new Map([...graph.keys()].map(id => [id, 0]));
+    graph.forEach((node, id) => {
+        node.neighbors.forEach((link, neighborId) => {
+            if (neighborId !== id && entries.has(neighborId)) {
+                entries.set(neighborId, entries.get(neighborId) + 1);
+            }
+        });
+    });
+    
+    const deadEnds = [];
+    graph.forEach((node, id) => {
+        const exits = [...node.neighbors.keys()].filter(neighborId => neighborId !== id && graph.has(neighborId)).length;
+        if (exits === 0 && entries.get(id) > 0) {
+            deadEnds.push({ nodeId: id, kind: 'no-exit' });
+        } else if (exits > 0 && entries.get(id) === 0) {
+            deadEnds.push({ nodeId: id, kind: 'no-entry' });
+        }
+    });
+    
+    return deadEnds;
+}
+
+/**
+ * Find bridges and articulation points with Tarjan's low-link method
+ * Runs depth-first without recursion, so large maps can't overflow the stack.
+ * A pair of nodes joined by parallel edges is never a bridge.
+ * @param {Map<string, import('./Pathfinder.js').GraphNode>} graph
+ * @param {Map<string, Map<string, Set<string>>>} links
+ * @returns {{bridges: string[], articulations: string[]}}
+ */
+function findCutPoints(graph, links) {
+    const order = new Map(); // Node -> when the search first reached it
+    const low = new Map();   // Node -> earliest node its subtree links back to
+    const bridges = [];
+    const articulations = new Set();
+    let counter = 0;
+    
+    const visit = (id) => {
+        order.set(id, counter);
+        low.set(id, counter);
+        counter++;
+    };
+    
+    graph.forEach((node, rootId) => {
+        if (order.has(rootId)) return;
+        
+        visit(rootId);
+        let rootChildren = 0;
+        const stack = [{ id: rootId, parentId: null, neighborIds: [...links.get(rootId).keys()], index: 0 }];
+        
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            
+            if (frame.index < frame.neighborIds.length) {
+                const neighborId = frame.neighborIds[frame.index++];
+                if (neighborId === frame.parentId) continue;
+                
+                if (order.has(neighborId)) {
+                    low.set(frame.id, Math.min(low.get(frame.id), order.get(neighborId)));
+                } else {
+                    visit(neighborId);
+                    if (frame.id === rootId) rootChildren++;
+                    stack.push({ id: neighborId, parentId: frame.id, neighborIds: [...links.get(neighborId).keys()], index: 0 });
+                }
+                continue;
+            }
+            
+            // Subtree done: pass its low-link up to the parent
+            stack.pop();
+            const { id, parentId } = frame;
+            if (parentId === null) continue;
+            
+            low.set(parentId, Math.min(low.get(parentId), low.get(id)));
+            
+            if (low.get(id) > order.get(parentId)) {
+                const edgeIds = links.get(parentId).get(id);
+                if (edgeIds.size === 1) bridges.push(...edgeIds);
+            }
+            if (parentId !== rootId && low.get(id) >= order.get(parentId)) {
+                articulations.add(parentId);
+            }
+        }
+        
+        if (rootChildren > 1) articulations.add(rootId);
+    });
+    
+    return { bridges, articulations: [...articulations] };
+}
@@ -0,0 +1,447 @@
+/**
+ * GraphCache - Routing graph of each map, kept between searches
+ *
+ * Building a map's graph measures every curved edge, so graphs are built
+ * once per map and then patched as waypoints and edges change. Each map
+ * graph has a version that changes with it; searches in the engine worker
+ * pass the version along, with a log of recent edits, so the worker can
+ * patch its own copy the same way. Versions can be read without building
+ * graphs, so the main thread only numbers maps' contents (and logs their
+ * edits) and leaves building to the worker.
+ *
+ * Map graphs are in the map's own cost units and must not be modified by
+ * searches: Pathfinder copies them into the graph it searches. Edges that
+ * cross terrain which blocks movement are left out, so repainting the
+ * terrain rebuilds the graph.
+ */
+
+import { getBezierLength } from './BezierUtils.js';
+import { getReverseCost } from '../models/Edge.js';
+import { getPassCost } from '../models/Waypoint.js';
+import { isEdgeBlocked } from '../models/Terrain.js';
+
+/**
+ * Most edits logged per map for the engine worker to catch up with
+ * A worker further behind rebuilds the map's graph.
+ */
+const MAX_LOGGED_CHANGES = 100;
+
+/**
+ * @typedef {Object} MapGraphNode
+ * @property {string} id - Waypoint ID
+ * @property {number} x - Waypoint X coordinate
+ * @property {number} y - Waypoint Y coordinate
+ * @property {number} passCost - Cost of passing through the waypoint
+ * @property {Map<string, {cost: number, edgeId: string}>} neighbors - Adjacent waypoints
+ */
+
+/**
+ * @typedef {Object} MapGraphEntry
+ * @property {Map<string, MapGraphNode>} nodes - Graph of the map
+ * @property {Map<string, {from: string, to: string}>} edgeEnds - Waypoints joined by each edge
+ * @property {number} version - Changes whenever the graph does
+ * @property {import('../models/Waypoint.js').WaypointData[]} waypoints - Waypoints the graph was built from
+ * @property {import('../models/Edge.js').EdgeData[]} edges - Edges the graph was built from
+ * @property {import('../models/Terrain.js').TerrainLayer|null} terrain - Terrain the graph was built on
+ */
+
+/**
+ * @typedef {Object} GraphChange
+ * @property {number} fromVersion - Version of the graph before the edit
+ * @property {number} version - Version of the graph after it
+ * @property {string[]} waypointIds - Waypoints added, moved, re-costed or deleted
+ * @property {string[]} edgeIds - Edges added, changed or deleted
+ */
+
+/**
+ * Get the cost of travelling an edge each way
+ * Curved edges cost more by the ratio of their curve length to the
+ * straight distance between their waypoints.
+ * @param {import('../models/Edge.js').EdgeData} edge
+ * @param {import('../models/Waypoint.js').WaypointData} fromWp
+ * @param {import('../models/Waypoint.js').WaypointData} toWp
+ * @returns {{cost: number, reverseCost: number|null}} Reverse cost is null for one-way edges
+ */
+export function getEdgeLinkCosts(edge, fromWp, toWp) {
+    let lengthRatio = 1;
+    
+    if (edge.type === 'bezier' && edge.controlPoints && edge.controlPoints.length >= 2) {
+        const bezierLength = getBezierLength(
+            { x: fromWp.x, y: fromWp.y },
+            edge.controlPoints[0],
+            edge.controlPoints[1],
+            { x: toWp.x, y: toWp.y }
+        );
+        const straightLength = Math.sqrt(
+            Math.pow(toWp.x - fromWp.x, 2) + Math.pow(toWp.y - fromWp.y, 2)
+        );
+        lengthRatio = bezierLength / (straightLength || 1);
+    }
+    
+    return {
+        cost: edge.cost * lengthRatio,
+        reverseCost: edge.bidirectional !== false ? getReverseCost(edge) * lengthRatio : null
+    };
+}
+
+export class GraphCache {
+    /**
+     * @param {import('../core/EventBus.js').EventBus|null} [eventBus] - Patch graphs on edits (omit in workers)
+     * @param {import('../core/StateStore.js').StateStore|null} [store] - Needed with eventBus
+     */
+    constructor(eventBus = null, store = null) {
+        this.store = store;
+        
+        /** @type {Map<string, MapGraphEntry>} */
+        this.entries = new Map();
+        this.lastVersion = 0;
+        
+        // Versions given to maps whose graphs aren't built here: { version, waypoints, edges, terrain } per map ID
+        this.versions = new Map();
+        
+        /** @type {Map<string, GraphChange[]>} Edits since each map's graph or version was made, oldest first */
+        this.changes = new Map();
+        
+        if (eventBus) {
+            this.setupEventListeners(eventBus);
+        }
+    }
+    
+    /**
+     * Patch cached graphs as waypoints and edges change
+     * Edit events only say what changed on the current map, so a graph is
+     * only patched if it matched the map just before the change. Anything
+     * else (undo, imports, painting terrain) leaves it out of date, to be
+     * rebuilt when next used. Versions given to unbuilt graphs move on
+     * with each edit the same way, logging what changed.
+     * @param {import('../core/EventBus.js').EventBus} eventBus
+     */
+    setupEventListeners(eventBus) {
+        eventBus.on('state:change', ({ changedKeys, oldState, newState }) => {
+            if (!changedKeys.includes('maps')) return;
+            
+            [this.entries, this.versions].forEach(tracked => {
+                tracked.forEach((built, mapId) => {
+                    const oldMap = oldState.maps[mapId];
+                    const newMap = newState.maps[mapId];
+                    const wasCurrent = oldMap && built.waypoints === oldMap.waypoints && built.edges === oldMap.edges;
+                    if (!newMap || !wasCurrent || (newMap.terrain || null) !== built.terrain) {
+                        tracked.delete(mapId);
+                        this.changes.delete(mapId);
+                    }
+                });
+            });
+        });
+        
+        eventBus.on('waypoint:added', (waypoint) => {
+            this.patch({ waypointIds: [waypoint.id], edgeIds: [] });
+        });
+        
+        eventBus.on('waypoint:updated', ({ id, changes }) => {
+            // Other waypoint details don't change the graph
+            const isChanged = 'x' in changes || 'y' in changes || 'passCost' in changes;
+            this.patch(isChanged ? { waypointIds: [id], edgeIds: [] } : null);
+        });
+        
+        eventBus.on('waypoint:deleted', (waypointId) => {
+            this.patch({ waypointIds: [waypointId], edgeIds: [] });
+        });
+        
+        eventBus.on('edge:added', (edge) => {
+            this.patch({ waypointIds: [], edgeIds: [edge.id] });
+        });
+        
+        eventBus.on('edge:updated', ({ id }) => {
+            this.patch({ waypointIds: [], edgeIds: [id] });
+        });
+        
+        eventBus.on('edge:deleted', (edgeId) => {
+            this.patch({ waypointIds: [], edgeIds: [edgeId] });
+        });
+    }
+    
+    /**
+     * Apply an edit of the current map to its cached graph or version, if it has one
+     * @param {{waypointIds: string[], edgeIds: string[]}|null} change - What the edit changed (null if it doesn't affect the graph)
+     */
+    patch(change) {
+        const map = this.store.getCurrentMap();
+        const entry = map ? this.entries.get(map.id) : null;
+        const built = entry || (map ? this.versions.get(map.id) : null);
+        if (!built) return;
+        
+        if (change) {
+            if (entry) applyChange(entry, map, change);
+            
+            const version = ++this.lastVersion;
+            const log = this.changes.get(map.id) || [];
+            log.push({ fromVersion: built.version, version, ...change });
+            if (log.length > MAX_LOGGED_CHANGES) log.shift();
+            this.changes.set(map.id, log);
+            
+            built.version = version;
+        }
+        built.waypoints = map.waypoints;
+        built.edges = map.edges;
+    }
+    
+    /**
+     * Get the edits logged for maps' graphs
+     * @param {string[]} mapIds
+     * @returns {Object.<string, GraphChange[]>} Edits per map ID, oldest first (maps without any are left out)
+     */
+    getChanges(mapIds) {
+        const changes = {};
+        mapIds.forEach(mapId => {
+            if (this.changes.has(mapId)) changes[mapId] = this.changes.get(mapId);
+        });
+        return changes;
+    }
+    
+    /**
+     * Bring cached graphs up to date with edits logged by another cache
+     * For the engine worker, which gets the main thread's log with each
+     * request: a graph that every edit since its version is logged for is
+     * patched instead of being rebuilt.
+     * @param {Object.<string, import('../models/Map.js').MapData>} maps - Maps as they are now
+     * @param {Object.<string, GraphChange[]>} changes - Edits per map ID, oldest first (see getChanges)
+     */
+    catchUp(maps, changes) {
+        Object.entries(changes).forEach(([mapId, log]) => {
+            const entry = this.entries.get(mapId);
+            const first = entry ? log.findIndex(change => change.fromVersion === entry.version) : -1;
+            if (first === -1 || !maps[mapId]) return;
+            
+            // Every edit is patched in from the map as it is now, so they can be merged
+            const missed = log.slice(first);
+            applyChange(entry, maps[mapId], {
+                waypointIds: [...new Set(missed.flatMap(change => change.waypointIds))],
+                edgeIds: [...new Set(missed.flatMap(change => change.edgeIds))]
+            });
+            entry.version = missed[missed.length - 1].version;
+        });
+    }
+    
+    /**
+     * Get a map's graph, building it if it isn't cached or is out of date
+     * @param {import('../models/Map.js').MapData} map
+     * @param {number|null} [version] - Version the graph must have (from another cache, e.g. in a worker).
+     *   Without one, a graph is current if it was built from the map's waypoints and edges.
+     * @returns {Map<string, MapGraphNode>} Read-only graph in the map's own cost units
+     */
+    getMapGraph(map, version = null) {
+        return this.getEntry(map, version).nodes;
+    }
+    
+    /**
+     * Get the version of a map's graph, without building it
+     * A map whose graph isn't cached gets a version for its current
+     * waypoints, edges and terrain, which the graph takes when it is built.
+     * @param {import('../models/Map.js').MapData} map
+     * @returns {number}
+     */
+    getVersion(map) {
+        const entry = this.entries.get(map.id);
+        if (entry && isBuiltFrom(entry, map)) return entry.version;
+        
+        const stamp = this.versions.get(map.id);
+        if (stamp && isBuiltFrom(stamp, map)) return stamp.version;
+        
+        const version = ++this.lastVersion;
+        this.versions.set(map.id, { version, waypoints: map.waypoints, edges: map.edges, terrain: map.terrain || null });
+        this.changes.delete(map.id);
+        return version;
+    }
+    
+    /**
+     * Get the versions of several maps' graphs
+     * @param {Object.<string, import('../models/Map.js').MapData>} maps
+     * @returns {Object.<string, number>} Version per map ID
+     */
+    getVersions(maps) {
+        const versions = {};
+        Object.values(maps).forEach(map => {
+            versions[map.id] = this.getVersion(map);
+        });
+        return versions;
+    }
+    
+    /**
+     * Get a map's cache entry, building it if needed
+     * @param {import('../models/Map.js').MapData} map
+     * @param {number|null} [version]
+     * @returns {MapGraphEntry}
+     */
+    getEntry(map, version = null) {
+        const entry = this.entries.get(map.id);
+        const isCurrent = entry && (version !== null ? entry.version === version : isBuiltFrom(entry, map));
+        if (isCurrent) return entry;
+        
+        const built = buildEntry(map, version !== null ? version : this.getVersion(map));
+        this.entries.set(map.id, built);
+        this.versions.delete(map.id);
+        return built;
+    }
+}
+
+/**
+ * Check whether a graph, or a version given to a map, stands for the map as it is
+ * @param {{waypoints: Array, edges: Array, terrain: Object|null}} built - Cache entry or version
+ * @param {import('../models/Map.js').MapData} map
+ * @returns {boolean}
+ */
+function isBuiltFrom(built, map) {
+    return built.waypoints === map.waypoints && built.edges === map.edges && built.terrain === (map.terrain || null);
+}
+
+/**
+ * Build the graph of a map without caching it
+ * For variants of a map (scenarios, other cost strategies) that aren't
+ * kept up to date with edits.
+ * @param {import('../models/Map.js').MapData} map
+ * @param {function(import('../models/Edge.js').EdgeData, import('../models/Waypoint.js').WaypointData, import('../models/Waypoint.js').WaypointData, import('../models/Map.js').MapData): {cost: number, reverseCost: number|null}} [getCosts] - Cost rule (see CostStrategy)
+ * @returns {Map<string, MapGraphNode>}
+ */
+export function buildMapGraph(map, getCosts = getEdgeLinkCosts) {
+    return buildEntry(map, 0, getCosts).nodes;
+}
+
+/**
+ * Build the graph of one map
+ * @param {import('../models/Map.js').MapData} map
+ * @param {number} version
+ * @param {Function} [getCosts] - Cost rule (see buildMapGraph)
+ * @returns {MapGraphEntry}
+ */
+function buildEntry(map, version, getCosts = getEdgeLinkCosts) {
+    const entry = {
+        nodes: new Map(map.waypoints.map(wp => [wp.id, createNode(wp)])),
+        edgeEnds: new Map(),
+        version,
+        waypoints: map.waypoints,
+        edges: map.edges,
+        terrain: map.terrain || null
+    };
+    
+    const waypointMap = new Map(map.waypoints.map(wp => [wp.id, wp]));
+    map.edges.forEach(edge => {
+        entry.edgeEnds.set(edge.id, { from: edge.from, to: edge.to });
+        addEdgeLinks(entry, edge, waypointMap.get(edge.from), waypointMap.get(edge.to), getCosts, map);
+    });
+    
+    return entry;
+}
+
+/**
+ * Create a graph node for a waypoint
+ * @param {import('../models/Waypoint.js').WaypointData} waypoint
+ * @returns {MapGraphNode}
+ */
+function createNode(waypoint) {
+    return { id: waypoint.id, x: waypoint.x, y: waypoint.y, passCost: getPassCost(waypoint), neighbors: new Map() };
+}
+
+/**
+ * Link an edge's waypoints in the graph
+ * Edges through terrain that blocks movement aren't linked.
+ * @param {MapGraphEntry} entry
+ * @param {import('../models/Edge.js').EdgeData} edge
+ * @param {import('../models/Waypoint.js').WaypointData|undefined} fromWp
+ * @param {import('../models/Waypoint.js').WaypointData|undefined} toWp
+ * @param {Function} [getCosts] - Cost rule (see buildMapGraph)
+ * @param {import('../models/Map.js').MapData|null} [map] - Map the edge lies on, for the cost rule and its terrain
+ */
+function addEdgeLinks(entry, edge, fromWp, toWp, getCosts = getEdgeLinkCosts, map = null) {
+    const fromNode = entry.nodes.get(edge.from);
+    const toNode = entry.nodes.get(edge.to);
+    if (!fromNode || !toNode || !fromWp || !toWp) return;
+    if (map && isEdgeBlocked(edge, fromWp, toWp, map.terrain, map.imageWidth, map.imageHeight)) return;
+    
+    const { cost, reverseCost } = getCosts(edge, fromWp, toWp, map);
+    fromNode.neighbors.set(edge.to, { cost, edgeId: edge.id });
+    if (reverseCost !== null) {
+        toNode.neighbors.set(edge.from, { cost: reverseCost, edgeId: edge.id });
+    }
+}
+
+/**
+ * Patch a graph for edited waypoints and edges
+ * Works from the map as it is after the edits, so any number of them can
+ * be applied at once.
+ * @param {MapGraphEntry} entry
+ * @param {import('../models/Map.js').MapData} map - Map after the edits
+ * @param {{waypointIds: string[], edgeIds: string[]}} change
+ */
+function applyChange(entry, map, { waypointIds, edgeIds }) {
+    const waypointMap = new Map(map.waypoints.map(wp => [wp.id, wp]));
+    const pairs = [];
+    
+    waypointIds.forEach(id => {
+        const waypoint = waypointMap.get(id);
+        const node = entry.nodes.get(id);
+        
+        // A deleted waypoint's edges go with it
+        if (!waypoint) {
+            entry.nodes.delete(id);
+            entry.nodes.forEach(other => other.neighbors.delete(id));
+            entry.edgeEnds.forEach(({ from, to }, edgeId) => {
+                if (from === id || to === id) entry.edgeEnds.delete(edgeId);
+            });
+            return;
+        }
+        
+        if (!node) {
+            entry.nodes.set(id, createNode(waypoint));
+            return;
+        }
+        node.x = waypoint.x;
+        node.y = waypoint.y;
+        node.passCost = getPassCost(waypoint);
+        
+        // Moving a waypoint changes the length of its curved edges
+        entry.edgeEnds.forEach(({ from, to }) => {
+            if (from === id || to === id) pairs.push([from, to]);
+        });
+    });
+    
+    edgeIds.forEach(id => {
+        const oldEnds = entry.edgeEnds.get(id);
+        if (oldEnds) pairs.push([oldEnds.from, oldEnds.to]);
+        
+        const edge = map.edges.find(e => e.id === id);
+        if (edge) {
+            entry.edgeEnds.set(id, { from: edge.from, to: edge.to });
+            pairs.push([edge.from, edge.to]);
+        } else {
+            entry.edgeEnds.delete(id);
+        }
+    });
+    
+    pairs.forEach(([a, b]) => relinkPair(entry, map, a, b));
+}
+
+/**
+ * Redo the links between two waypoints from the map's edges
+ * Where several edges join the same waypoints the last one wins, as when
+ * the graph is built from scratch.
+ * @param {MapGraphEntry} entry
+ * @param {import('../models/Map.js').MapData} map
+ * @param {string} a - Waypoint ID
+ * @param {string} b - Waypoint ID
+ */
+function relinkPair(entry, map, a, b) {
+    const nodeA = entry.nodes.get(a);
+    const nodeB = entry.nodes.get(b);
+    if (nodeA) nodeA.neighbors.delete(b);
+    if (nodeB) nodeB.neighbors.delete(a);
+    
+    const fromWp = map.waypoints.find(wp => wp.id === a);
+    const toWp = map.waypoints.find(wp => wp.id === b);
+    map.edges.forEach(edge => {
+        if (edge.from === a && edge.to === b) {
+            addEdgeLinks(entry, edge, fromWp, toWp, getEdgeLinkCosts, map);
+        } else if (edge.from === b && edge.to === a) {
+            addEdgeLinks(entry, edge, toWp, fromWp, getEdgeLinkCosts, map);
+        }
+    });
+}
@@ -1,15 +1,55 @@
 /**
- * Pathfinder - Dijkstra's algorithm and Yen's K-shortest paths
+ * Pathfinder - Dijkstra's algorithm, A* and Yen's K-shortest paths
  * 
  * Finds optimal routes between waypoints with support for
- * alternative routes.
+ * alternative routes and routes that cross maps through portals.
+ * Besides edge costs, a route pays the pass-through cost of every waypoint
+ * it goes through (but not of the waypoints it starts or ends at).
  */
 
-import { getBezierLength } from './BezierUtils.js';
+import { PriorityQueue } from './PriorityQueue.js';
+import { GraphCache, buildMapGraph } from './GraphCache.js';
+import { getCostStrategy, isDefaultCostStrategy } from './CostStrategy.js';
+import { getScaleFactor, getPortalConnectedMapIds } from '../models/Map.js';
+import { getProfileEdgeFactors } from '../models/TravelProfile.js';
+import { applyScenarioToMaps, getScenario } from '../models/Scenario.js';
+import { resolvePortalTarget, getPassCost } from '../models/Waypoint.js';
+import { isEdgeBlocked } from '../models/Terrain.js';
+
+/**
+ * Prefix for the IDs of the virtual edges that link portals to their targets
+ */
+export const PORTAL_EDGE_PREFIX = 'portal:';
+
+/**
+ * Default minimum dissimilarity between alternative routes
+ * (share of a route's cost not on edges of any other route)
+ */
+export const MIN_ROUTE_DISSIMILARITY = 0.3;
+
+/**
+ * Cost multiplier applied to edges already used by found routes
+ */
+const ALTERNATIVE_EDGE_PENALTY = 1.5;
+
+/**
+ * Penalised searches tried per requested alternative before giving up
+ */
+const ALTERNATIVE_ATTEMPTS = 6;
+
+/**
+ * Most partial routes a cost-and-danger search keeps before it stops
+ * (it then returns the cheaper part of the trade-offs)
+ */
+const PARETO_LABEL_LIMIT = 100000;
 
 /**
  * @typedef {Object} GraphNode
  * @property {string} id - Node ID
+ * @property {string|null} mapId - ID of the map the node belongs to (null for single-map graphs)
+ * @property {number} x - Waypoint X coordinate
+ * @property {number} y - Waypoint Y coordinate
+ * @property {number} [passCost] - Cost of passing through the node (none for virtual nodes)
  * @property {Map<string, {cost: number, edgeId: string}>} neighbors - Adjacent nodes
  */
 
@@ -20,25 +60,240 @@ import { getBezierLength } from './BezierUtils.js';
  * @property {string[]} edges - Array of edge IDs used
  */
 
+/**
+ * @typedef {Object} ParetoPath
+ * @property {string[]} path - Array of waypoint IDs in order
+ * @property {number} cost - Total path cost
+ * @property {number} danger - Total danger of the links taken
+ * @property {string[]} edges - Array of edge IDs used
+ */
+
+/**
+ * @typedef {Object} MeetingPoint
+ * @property {string} meetingId - Node the parties meet at
+ * @property {PathResult[]} paths - Each party's path there, in party order
+ */
+
+/**
+ * @typedef {Object} CostPenalties
+ * @property {Map<string, number>} [edges] - Cost multiplier per edge ID
+ * @property {Map<string, number>} [nodes] - Cost multiplier for links into a node (not applied to start/end)
+ */
+
+/**
+ * @typedef {Object} ReachableSegment
+ * @property {string} edgeId - Edge (or link) travelled along
+ * @property {string} fromId - Node the segment leaves from
+ * @property {string} toId - Node at the other end of the edge
+ * @property {number} fraction - Share of the edge's cost covered (1 = the whole edge)
+ */
+
+/**
+ * @typedef {Object} ReachableArea
+ * @property {number} budget - Cost budget
+ * @property {Map<string, number>} nodes - Cost to reach each node within the budget
+ * @property {ReachableSegment[]} segments - Edges reached, in full or part way
+ */
+
+/**
+ * @typedef {Object} RouteStep
+ * @property {string} fromId - Node the step leaves
+ * @property {string} toId - Node the step reaches
+ * @property {string|null} edgeId - Edge, portal or point link followed (null for passing through or stopping at a waypoint)
+ * @property {string|null} mapId - Map the step starts on
+ * @property {{x: number, y: number}} fromPoint - Position of fromId
+ * @property {{x: number, y: number}} toPoint - Position of toId
+ * @property {number} cost - Cost of the step in the graph's units
+ * @property {boolean} [isStopover] - Whether a waypoint step is a stopover rather than passing through
+ */
+
+/**
+ * @typedef {Object} RouteLeg
+ * @property {string|null} mapId - Map this leg runs on
+ * @property {string[]} path - Waypoint IDs of the leg in order
+ * @property {string[]} edges - Edge IDs of the leg (portal links excluded)
+ * @property {number} cost - Cost of the leg
+ */
+
 export class Pathfinder {
-    constructor() {
+    /**
+     * @param {GraphCache} [graphCache] - Map graphs to reuse between searches
+     */
+    constructor(graphCache = new GraphCache()) {
+        this.graphCache = graphCache;
+        
         /** @type {Map<string, GraphNode>} */
         this.graph = new Map();
+        
+        // Use A* instead of plain Dijkstra where the graph allows it
+        this.useAStar = false;
+        
+        /** @type {WeakMap<Map<string, GraphNode>, number|null>} Lowest cost per pixel of each graph */
+        this.costPerPixel = new WeakMap();
+        
+        /** @type {WeakMap<import('../models/Map.js').MapData, Map<import('./CostStrategy.js').CostStrategy, Map<string, import('./GraphCache.js').MapGraphNode>>>} Graphs of scenario variants and other cost strategies */
+        this.variantGraphs = new WeakMap();
+    }
+    
+    /**
+     * Enable or disable A* search
+     * A* finds routes of the same cost while exploring fewer waypoints.
+     * @param {boolean} enabled 
+     */
+    setAStar(enabled) {
+        this.useAStar = enabled;
     }
     
     /**
      * Build a graph from waypoints and edges
      * @param {import('../models/Waypoint.js').WaypointData[]} waypoints 
      * @param {import('../models/Edge.js').EdgeData[]} edges 
+     * @param {import('../models/Terrain.js').TerrainLayer|null} [terrain] - Terrain used for the A* heuristic
+     * @param {Object} [options]
+     * @param {string|null} [options.costStrategy] - ID of the cost strategy to use (null for the map's own costs)
+     * @param {import('../models/Map.js').MapData|null} [options.map] - Map the waypoints and edges belong to, for strategies that look at it
+     * @returns {Map<string, GraphNode>}
+     */
+    buildGraph(waypoints, edges, terrain = null, { costStrategy = null, map = null } = {}) {
+        this.graph = new Map();
+        this.addMapToGraph(this.graph, waypoints, edges, null, 1, getCostStrategy(costStrategy), map || { waypoints, edges, terrain });
+        this.costPerPixel.set(this.graph, this.getMinCostPerPixel(this.graph, terrain));
+        return this.graph;
+    }
+    
+    /**
+     * Build a combined graph of every map reachable through portals
+     * 
+     * Costs of other maps are rescaled into the start map's cost units using
+     * each map's scale, so totals stay consistent across maps. Portals are
+     * linked to their target waypoints in both directions at no cost.
+     * Each map's part comes from the graph cache; the result is a fresh copy.
+     * A travel profile rescales edge costs and leaves out edges it forbids.
+     * A scenario replaces the maps that have it with their variants, and a
+     * cost strategy other than the default re-costs every edge; both get
+     * graphs built apart from the cache.
+     * @param {Object.<string, import('../models/Map.js').MapData>} baseMaps - All maps
+     * @param {string} startMapId - Map whose cost units the graph uses
+     * @param {Object} [options]
+     * @param {Object.<string, number>|null} [options.graphVersions] - Map graph versions from the main thread's cache (in workers)
+     * @param {import('../models/TravelProfile.js').TravelProfile|null} [options.profile] - Way of travelling
+     * @param {string|null} [options.scenario] - Name of the scenario to apply
+     * @param {string|null} [options.costStrategy] - ID of the cost strategy to use (null for the map's own costs)
      * @returns {Map<string, GraphNode>}
      */
-    buildGraph(waypoints, edges) {
+    buildMultiMapGraph(baseMaps, startMapId, { graphVersions = null, profile = null, scenario = null, costStrategy = null } = {}) {
         this.graph = new Map();
         
+        const maps = applyScenarioToMaps(baseMaps, scenario);
+        const strategy = getCostStrategy(costStrategy);
+        const isCached = isDefaultCostStrategy(strategy.id);
+        const startMap = maps[startMapId];
+        if (!startMap) return this.graph;
+        
+        const mapIds = this.getPortalConnectedMapIds(maps, startMapId);
+        
+        mapIds.forEach(mapId => {
+            const map = maps[mapId];
+            const costFactor = this.getMapCostFactor(map, startMap);
+            const version = graphVersions && mapId in graphVersions ? graphVersions[mapId] : null;
+            const edgeFactors = profile ? getProfileEdgeFactors(profile, map) : null;
+            const mapGraph = isCached && map === baseMaps[mapId]
+                ? this.graphCache.getMapGraph(map, version)
+                : this.getVariantGraph(map, strategy);
+            this.copyMapGraph(this.graph, mapGraph, mapId, costFactor, edgeFactors);
+        });
+        
+        // Coordinates of different maps can't be compared, so A* only works on one map
+        this.costPerPixel.set(this.graph, mapIds.length === 1
+            ? this.getMinCostPerPixel(this.graph, startMap.terrain)
+            : null);
+        
+        // Link portals to their targets; a shut portal can't be arrived at either
+        const shutPortalIds = new Set(mapIds.flatMap(mapId => {
+            const mapScenario = getScenario(baseMaps[mapId], scenario);
+            return mapScenario ? mapScenario.disabledPortals : [];
+        }));
+        mapIds.forEach(mapId => {
+            maps[mapId].waypoints.forEach(wp => {
+                const target = resolvePortalTarget(wp, mapId, maps);
+                if (!target || shutPortalIds.has(target.id)) return;
+                
+                const portalNode = this.graph.get(wp.id);
+                const targetNode = this.graph.get(target.id);
+                if (!portalNode || !targetNode) return;
+                
+                const edgeId = PORTAL_EDGE_PREFIX + wp.id;
+                portalNode.neighbors.set(target.id, { cost: 0, edgeId });
+                
+                // A return portal may already link the other way
+                if (!targetNode.neighbors.has(wp.id)) {
+                    targetNode.neighbors.set(wp.id, { cost: 0, edgeId });
+                }
+            });
+        });
+        
+        return this.graph;
+    }
+    
+    /**
+     * Get the graph of a map that the graph cache doesn't keep
+     * Built once per map object and strategy; edits make new map objects.
+     * @param {import('../models/Map.js').MapData} map - Map, or its variant from applyScenario
+     * @param {import('./CostStrategy.js').CostStrategy} strategy
+     * @returns {Map<string, import('./GraphCache.js').MapGraphNode>} Read-only graph
+     */
+    getVariantGraph(map, strategy) {
+        if (!this.variantGraphs.has(map)) {
+            this.variantGraphs.set(map, new Map());
+        }
+        const graphs = this.variantGraphs.get(map);
+        if (!graphs.has(strategy)) {
+            graphs.set(strategy, buildMapGraph(map, strategy.getCosts));
+        }
+        return graphs.get(strategy);
+    }
+    
+    /**
+     * Get the multiplier that converts a map's costs into another map's cost units
+     * @param {import('../models/Map.js').MapData} map 
+     * @param {import('../models/Map.js').MapData} unitsMap - Map whose cost units are wanted
+     * @returns {number} 1 unless both maps have a scale
+     */
+    getMapCostFactor(map, unitsMap) {
+        const factor = getScaleFactor(map);
+        const unitsFactor = getScaleFactor(unitsMap);
+        return factor && unitsFactor ? factor / unitsFactor : 1;
+    }
+    
+    /**
+     * Get IDs of all maps connected to a map through portals (in either direction)
+     * @param {Object.<string, import('../models/Map.js').MapData>} maps - All maps
+     * @param {string} startMapId 
+     * @returns {string[]}
+     */
+    getPortalConnectedMapIds(maps, startMapId) {
+        return getPortalConnectedMapIds(maps, startMapId);
+    }
+    
+    /**
+     * Add one map's waypoints and edges to a graph
+     * @param {Map<string, GraphNode>} graph 
+     * @param {import('../models/Waypoint.js').WaypointData[]} waypoints 
+     * @param {import('../models/Edge.js').EdgeData[]} edges 
+     * @param {string|null} [mapId] - Map the nodes belong to
+     * @param {number} [costFactor=1] - Multiplier applied to every edge and waypoint cost
+     * @param {import('./CostStrategy.js').CostStrategy} [strategy] - Cost rule for edges (default: the map's own costs)
+     * @param {import('../models/Map.js').MapData|null} [map] - Map passed to the cost rule; its terrain can block edges
+     */
+    addMapToGraph(graph, waypoints, edges, mapId = null, costFactor = 1, strategy = getCostStrategy(), map = null) {
         // Create nodes for all waypoints
         waypoints.forEach(wp => {
-            this.graph.set(wp.id, {
+            graph.set(wp.id, {
                 id: wp.id,
+                mapId,
+                x: wp.x,
+                y: wp.y,
+                passCost: getPassCost(wp) * costFactor,
                 neighbors: new Map()
             });
         });
@@ -48,78 +303,160 @@ export class Pathfinder {
         
         // Add edges
         edges.forEach(edge => {
-            const fromNode = this.graph.get(edge.from);
-            const toNode = this.graph.get(edge.to);
+            const fromNode = graph.get(edge.from);
+            const toNode = graph.get(edge.to);
             
             if (!fromNode || !toNode) return;
             
-            // Calculate edge cost (base cost * length factor for bezier)
-            let edgeCost = edge.cost;
-            
-            if (edge.type === 'bezier' && edge.controlPoints && edge.controlPoints.length >= 2) {
-                const fromWp = waypointMap.get(edge.from);
-                const toWp = waypointMap.get(edge.to);
-                if (fromWp && toWp) {
-                    const bezierLength = getBezierLength(
-                        { x: fromWp.x, y: fromWp.y },
-                        edge.controlPoints[0],
-                        edge.controlPoints[1],
-                        { x: toWp.x, y: toWp.y }
-                    );
-                    const straightLength = Math.sqrt(
-                        Math.pow(toWp.x - fromWp.x, 2) + Math.pow(toWp.y - fromWp.y, 2)
-                    );
-                    // Adjust cost based on curve length vs straight line
-                    const lengthRatio = bezierLength / (straightLength || 1);
-                    edgeCost *= lengthRatio;
-                }
-            }
+            // Edges through terrain that blocks movement can't be travelled
+            const fromWp = waypointMap.get(edge.from);
+            const toWp = waypointMap.get(edge.to);
+            if (map && isEdgeBlocked(edge, fromWp, toWp, map.terrain, map.imageWidth, map.imageHeight)) return;
+            
+            // Edge cost by the strategy's rule, rescaled into the graph's units
+            const { cost, reverseCost } = strategy.getCosts(edge, fromWp, toWp, map);
             
             // Add forward edge
-            fromNode.neighbors.set(edge.to, { cost: edgeCost, edgeId: edge.id });
+            fromNode.neighbors.set(edge.to, { cost: cost * costFactor, edgeId: edge.id });
             
-            // Add reverse edge if bidirectional
-            if (edge.bidirectional !== false) {
-                toNode.neighbors.set(edge.from, { cost: edgeCost, edgeId: edge.id });
+            // Add reverse edge if bidirectional (it may cost a different amount)
+            if (reverseCost !== null) {
+                toNode.neighbors.set(edge.from, { cost: reverseCost * costFactor, edgeId: edge.id });
             }
         });
+    }
+    
+    /**
+     * Copy a cached map graph into a graph
+     * The copy can take virtual nodes and links without touching the cache.
+     * @param {Map<string, GraphNode>} graph 
+     * @param {Map<string, import('./GraphCache.js').MapGraphNode>} mapGraph 
+     * @param {string} mapId - Map the nodes belong to
+     * @param {number} costFactor - Multiplier applied to every edge and waypoint cost
+     * @param {Map<string, number>|null} [edgeFactors] - Extra multiplier per edge ID (Infinity leaves the edge out)
+     */
+    copyMapGraph(graph, mapGraph, mapId, costFactor, edgeFactors = null) {
+        mapGraph.forEach(node => {
+            const neighbors = new Map();
+            node.neighbors.forEach((link, neighborId) => {
+                const edgeFactor = edgeFactors && edgeFactors.has(link.edgeId) ? edgeFactors.get(link.edgeId) : 1;
+                if (edgeFactor === Infinity) return;
+                neighbors.set(neighborId, { cost: link.cost * costFactor * edgeFactor, edgeId: link.edgeId });
+            });
+            graph.set(node.id, { id: node.id, mapId, x: node.x, y: node.y, passCost: node.passCost * costFactor, neighbors });
+        });
+    }
+    
+    /**
+     * Get the lowest cost per pixel of travel anywhere in a graph
+     * 
+     * Starts from the cheapest terrain type and is lowered by any edge that
+     * is cheaper than that for its straight-line length (e.g. manual costs),
+     * so it never overestimates the cost of a path.
+     * @param {Map<string, GraphNode>} graph 
+     * @param {import('../models/Terrain.js').TerrainLayer|null} [terrain] 
+     * @returns {number}
+     */
+    getMinCostPerPixel(graph, terrain = null) {
+        // Terrain costs are per 100 pixels (unpainted cells cost 1)
+        let minCost = 1 / 100;
+        if (terrain && terrain.types.length > 0) {
+            minCost = Math.min(minCost, ...terrain.types.map(t => t.cost / 100));
+        }
         
-        return this.graph;
+        graph.forEach(node => {
+            node.neighbors.forEach((neighbor, neighborId) => {
+                const other = graph.get(neighborId);
+                if (!other) return;
+                const length = Math.sqrt((other.x - node.x) ** 2 + (other.y - node.y) ** 2);
+                if (length > 0) {
+                    minCost = Math.min(minCost, neighbor.cost / length);
+                }
+            });
+        });
+        
+        return Math.max(0, minCost);
     }
     
     /**
-     * Find shortest path using Dijkstra's algorithm
+     * Forget a graph's A* estimate after adding nodes or links to it
+     * It is recalculated from the graph's links on the next search.
+     * @param {Map<string, GraphNode>} graph 
+     */
+    invalidateHeuristic(graph) {
+        if (this.costPerPixel.get(graph) !== null) {
+            this.costPerPixel.delete(graph);
+        }
+    }
+    
+    /**
+     * Create the A* heuristic for a search towards a node
+     * @param {Map<string, GraphNode>} graph 
+     * @param {string} endId 
+     * @returns {((nodeId: string) => number)|null} Null when A* can't be used
+     */
+    createHeuristic(graph, endId) {
+        if (!this.useAStar) return null;
+        
+        if (!this.costPerPixel.has(graph)) {
+            this.costPerPixel.set(graph, this.getMinCostPerPixel(graph));
+        }
+        const costPerPixel = this.costPerPixel.get(graph);
+        const endNode = graph.get(endId);
+        if (!costPerPixel || !endNode) return null;
+        
+        return (nodeId) => {
+            const node = graph.get(nodeId);
+            if (!node) return 0;
+            return Math.sqrt((endNode.x - node.x) ** 2 + (endNode.y - node.y) ** 2) * costPerPixel;
+        };
+    }
+    
+    /**
+     * Find shortest path using Dijkstra's algorithm (A* when enabled)
      * @param {Map<string, GraphNode>} graph 
      * @param {string} startId 
      * @param {string} endId 
      * @param {Set<string>} [excludedEdges] - Edges to exclude
      * @param {Set<string>} [excludedNodes] - Nodes to exclude (except start/end)
-     * @returns {PathResult|null}
+     * @param {CostPenalties|null} [penalties] - Extra cost for edges and nodes to avoid where possible
+     * @returns {PathResult|null} Cost excludes penalties
      */
-    dijkstra(graph, startId, endId, excludedEdges = new Set(), excludedNodes = new Set()) {
-        // Priority queue using array (simple implementation)
-        const queue = [{ id: startId, cost: 0 }];
+    dijkstra(graph, startId, endId, excludedEdges = new Set(), excludedNodes = new Set(), penalties = null) {
+        // Penalties only raise costs, so the A* estimate still holds
+        const heuristic = this.createHeuristic(graph, endId);
+        const edgePenalties = penalties && penalties.edges || new Map();
+        const nodePenalties = penalties && penalties.nodes || new Map();
+        const hasPenalties = edgePenalties.size > 0 || nodePenalties.size > 0;
+        
+        // Frontier ordered by cost (plus estimate to the end for A*)
+        const queue = new PriorityQueue();
+        queue.push({ id: startId, cost: 0 }, 0);
         const costs = new Map([[startId, 0]]);
         const previous = new Map();
         const previousEdge = new Map();
         const visited = new Set();
         
-        while (queue.length > 0) {
+        while (!queue.isEmpty()) {
             // Get node with lowest cost
-            queue.sort((a, b) => a.cost - b.cost);
-            const current = queue.shift();
+            const current = queue.pop();
             
             if (visited.has(current.id)) continue;
             visited.add(current.id);
             
             // Found destination
             if (current.id === endId) {
-                return this.reconstructPath(previous, previousEdge, startId, endId, costs.get(endId));
+                const result = this.reconstructPath(previous, previousEdge, startId, endId, costs.get(endId));
+                if (hasPenalties) result.cost = this.calculatePathCost(graph, result.path);
+                return result;
             }
             
             const node = graph.get(current.id);
             if (!node) continue;
             
+            // Going on from anywhere but the start passes through the node
+            const passCost = current.id !== startId ? node.passCost || 0 : 0;
+            
             // Explore neighbors
             node.neighbors.forEach((neighbor, neighborId) => {
                 // Skip excluded edges
@@ -130,14 +467,23 @@ export class Pathfinder {
                 
                 if (visited.has(neighborId)) return;
                 
-                const newCost = current.cost + neighbor.cost;
+                let linkCost = neighbor.cost;
+                if (hasPenalties) {
+                    linkCost *= edgePenalties.get(neighbor.edgeId) || 1;
+                    if (neighborId !== startId && neighborId !== endId) {
+                        linkCost *= nodePenalties.get(neighborId) || 1;
+                    }
+                }
+                
+                const newCost = current.cost + passCost + linkCost;
                 const existingCost = costs.get(neighborId);
                 
                 if (existingCost === undefined || newCost < existingCost) {
                     costs.set(neighborId, newCost);
                     previous.set(neighborId, current.id);
                     previousEdge.set(neighborId, neighbor.edgeId);
-                    queue.push({ id: neighborId, cost: newCost });
+                    const priority = heuristic ? newCost + heuristic(neighborId) : newCost;
+                    queue.push({ id: neighborId, cost: newCost }, priority);
                 }
             });
         }
@@ -146,6 +492,323 @@ export class Pathfinder {
         return null;
     }
     
+    /**
+     * Find the cheapest paths from one node to every reachable node
+     * Links without a finite cost (blocked edges in a penalised graph) are
+     * never crossed, so nodes only reachable over them are left out.
+     * @param {Map<string, GraphNode>} graph 
+     * @param {string} startId 
+     * @param {Set<string>} [excludedNodes] - Nodes that can be reached but not passed through
+     * @param {number} [maxCost=Infinity] - Leave out nodes that cost more to reach
+     * @param {function(string): boolean} [isDone] - Called as each node's cheapest cost is settled; true stops the search
+     * @param {Set<string>} [excludedEdges] - Edges not to travel
+     * @returns {{costs: Map<string, number>, previous: Map<string, string>, previousEdge: Map<string, string>}}
+     */
+    shortestPathTree(graph, startId, excludedNodes = new Set(), maxCost = Infinity, isDone = () => false, excludedEdges = new Set()) {
+        const queue = new PriorityQueue();
+        queue.push(startId, 0);
+        const costs = new Map([[startId, 0]]);
+        const previous = new Map();
+        const previousEdge = new Map();
+        const visited = new Set();
+        
+        while (!queue.isEmpty()) {
+            const currentId = queue.pop();
+            if (visited.has(currentId)) continue;
+            visited.add(currentId);
+            
+            if (isDone(currentId)) break;
+            if (currentId !== startId && excludedNodes.has(currentId)) continue;
+            
+            const node = graph.get(currentId);
+            if (!node) continue;
+            
+            const currentCost = costs.get(currentId) + (currentId !== startId ? node.passCost || 0 : 0);
+            node.neighbors.forEach((neighbor, neighborId) => {
+                if (visited.has(neighborId) || excludedEdges.has(neighbor.edgeId)) return;
+                
+                const newCost = currentCost + neighbor.cost;
+                if (!isFinite(newCost) || newCost > maxCost) return;
+                const existingCost = costs.get(neighborId);
+                
+                if (existingCost === undefined || newCost < existingCost) {
+                    costs.set(neighborId, newCost);
+                    previous.set(neighborId, currentId);
+                    previousEdge.set(neighborId, neighbor.edgeId);
+                    queue.push(neighborId, newCost);
+                }
+            });
+        }
+        
+        return { costs, previous, previousEdge };
+    }
+    
+    /**
+     * Find everything reachable from a node within one or more cost budgets
+     * Searches once, up to the largest budget. An edge whose far end is out
+     * of reach is covered part way, by the share of its cost left in the budget.
+     * @param {Map<string, GraphNode>} graph 
+     * @param {string} startId 
+     * @param {number[]} budgets - Cost budgets, in the graph's cost units
+     * @returns {ReachableArea[]} One area per budget, in the same order
+     */
+    findReachable(graph, startId, budgets) {
+        const maxBudget = Math.max(...budgets);
+        const { costs } = this.shortestPathTree(graph, startId, new Set(), maxBudget);
+        
+        return budgets.map(budget => {
+            const nodes = new Map();
+            const segments = [];
+            
+            costs.forEach((cost, nodeId) => {
+                if (cost > budget) return;
+                nodes.set(nodeId, cost);
+                
+                // Going on past a waypoint pays its pass-through cost first
+                const node = graph.get(nodeId);
+                const left = budget - cost - (nodeId !== startId ? node.passCost || 0 : 0);
+                if (left < 0) return;
+                
+                node.neighbors.forEach((neighbor, neighborId) => {
+                    if (neighbor.edgeId.startsWith(PORTAL_EDGE_PREFIX)) return;
+                    const fraction = neighbor.cost > 0 ? Math.min(1, left / neighbor.cost) : 1;
+                    if (fraction > 0) {
+                        segments.push({ edgeId: neighbor.edgeId, fromId: nodeId, toId: neighborId, fraction });
+                    }
+                });
+            });
+            
+            return { budget, nodes, segments };
+        });
+    }
+    
+    /**
+     * Find the cheapest paths from a node to the nearest of some targets
+     * Stops as soon as enough targets are reached, so nearby targets are
+     * found without searching the whole graph. Targets can be passed
+     * through on the way to further ones.
+     * @param {Map<string, GraphNode>} graph 
+     * @param {string} startId 
+     * @param {Set<string>} targetIds - Nodes to look for (the start never counts)
+     * @param {number} [count=1] - How many targets to find
+     * @param {Set<string>} [excludedNodes] - Nodes that can be reached but not passed through
+     * @param {Set<string>} [excludedEdges] - Edges not to travel
+     * @returns {PathResult[]} Nearest first; fewer than count if no more can be reached
+     */
+    findNearest(graph, startId, targetIds, count = 1, excludedNodes = new Set(), excludedEdges = new Set()) {
+        const found = [];
+        const tree = this.shortestPathTree(graph, startId, excludedNodes, Infinity, (nodeId) => {
+            if (nodeId !== startId && targetIds.has(nodeId)) found.push(nodeId);
+            return found.length >= count;
+        }, excludedEdges);
+        
+        return found.map(id => this.reconstructPath(tree.previous, tree.previousEdge, startId, id, tree.costs.get(id)));
+    }
+    
+    /**
+     * Find every route that no other route beats on both cost and danger
+     * A multi-objective label-setting search: each node keeps the partial
+     * routes to it that no other partial route there is both cheaper and
+     * safer than, expanded cheapest first. Routes reaching the end in that
+     * order are final, so stopping early still gives true trade-offs.
+     * Danger belongs to links (by edge ID) and isn't rescaled between maps.
+     * @param {Map<string, GraphNode>} graph 
+     * @param {string} startId 
+     * @param {string} endId 
+     * @param {Map<string, number>} edgeDangers - Danger per edge ID (missing: none)
+     * @param {Set<string>} [excludedNodes] - Nodes that can't be passed through
+     * @param {Set<string>} [excludedEdges] - Edges that can't be used
+     * @returns {ParetoPath[]} Cheapest first, so safest last
+     */
+    findParetoRoutes(graph, startId, endId, edgeDangers, excludedNodes = new Set(), excludedEdges = new Set()) {
+        // Ties count as beaten while searching, so only one of equal routes is kept
+        const dominates = (a, b) => a.cost <= b.cost && a.danger <= b.danger;
+        const queue = new PriorityQueue();
+        const nodeLabels = new Map(); // Node ID -> labels there not (yet) beaten
+        const found = [];
+        let labelCount = 0;
+        
+        const addLabel = (label) => {
+            if (found.some(other => dominates(other, label))) return;
+            
+            const labels = nodeLabels.get(label.nodeId) || [];
+            if (labels.some(other => dominates(other, label))) return;
+            labels.forEach(other => {
+                if (dominates(label, other)) other.isBeaten = true;
+            });
+            nodeLabels.set(label.nodeId, [...labels.filter(other => !other.isBeaten), label]);
+            
+            queue.push(label, label.cost);
+            labelCount++;
+        };
+        
+        addLabel({ nodeId: startId, cost: 0, danger: 0, previous: null, edgeId: null, isBeaten: false });
+        
+        while (!queue.isEmpty() && labelCount < PARETO_LABEL_LIMIT) {
+            const label = queue.pop();
+            if (label.isBeaten) continue;
+            
+            if (label.nodeId === endId) {
+                found.push(label);
+                continue;
+            }
+            if (label.nodeId !== startId && excludedNodes.has(label.nodeId)) continue;
+            
+            const node = graph.get(label.nodeId);
+            if (!node) continue;
+            
+            const passCost = label.nodeId !== startId ? node.passCost || 0 : 0;
+            node.neighbors.forEach((neighbor, neighborId) => {
+                if (excludedEdges.has(neighbor.edgeId)) return;
+                if (neighborId !== endId && excludedNodes.has(neighborId)) return;
+                
+                addLabel({
+                    nodeId: neighborId,
+                    cost: label.cost + passCost + neighbor.cost,
+                    danger: label.danger + (edgeDangers.get(neighbor.edgeId) || 0),
+                    previous: label,
+                    edgeId: neighbor.edgeId,
+                    isBeaten: false
+                });
+            });
+        }
+        
+        // A route found first can be beaten later by one as cheap but safer
+        const isBetter = (a, b) => dominates(a, b) && (a.cost < b.cost || a.danger < b.danger);
+        return found
+            .filter(label => !found.some(other => isBetter(other, label)))
+            .sort((a, b) => a.cost - b.cost || a.danger - b.danger)
+            .map(label => {
+                const path = [];
+                const edges = [];
+                for (let current = label; current; current = current.previous) {
+                    path.unshift(current.nodeId);
+                    if (current.edgeId) edges.unshift(current.edgeId);
+                }
+                return { path, cost: label.cost, danger: label.danger, edges };
+            });
+    }
+    
+    /**
+     * Find where parties starting at different nodes can meet
+     * Grows one shortest-path tree per party; any node every party can reach
+     * may be the meeting point. 'max' picks the node where the last party
+     * arrives at the least cost (the fairest), 'total' the one where the
+     * parties' costs add up to least. Ties go to the other measure.
+     * @param {Map<string, GraphNode>} graph 
+     * @param {string[]} partyIds - Node each party starts at
+     * @param {'max'|'total'} [mode='max'] - Cost to keep lowest
+     * @param {Set<string>} [excludedNodes] - Nodes that can be reached but not passed through (or met at)
+     * @param {Set<string>} [excludedEdges] - Edges not to travel
+     * @param {function(number, number): void} [onProgress] - Called with parties searched and party count
+     * @returns {MeetingPoint|null} Null if no node can be reached by every party
+     */
+    findMeetingPoint(graph, partyIds, mode = 'max', excludedNodes = new Set(), excludedEdges = new Set(), onProgress = () => {}) {
+        const trees = partyIds.map((partyId, i) => {
+            onProgress(i, partyIds.length);
+            return this.shortestPathTree(graph, partyId, excludedNodes, Infinity, () => false, excludedEdges);
+        });
+        onProgress(partyIds.length, partyIds.length);
+        
+        let best = null;
+        trees[0].costs.forEach((cost, nodeId) => {
+            if (excludedNodes.has(nodeId) && !partyIds.includes(nodeId)) return;
+            
+            const costs = trees.map(tree => tree.costs.get(nodeId));
+            if (costs.some(partyCost => partyCost === undefined)) return;
+            
+            const max = Math.max(...costs);
+            const total = costs.reduce((sum, partyCost) => sum + partyCost, 0);
+            const [first, second] = mode === 'total' ? [total, max] : [max, total];
+            if (!best || first < best.first || (first === best.first && second < best.second)) {
+                best = { nodeId, first, second };
+            }
+        });
+        if (!best) return null;
+        
+        return {
+            meetingId: best.nodeId,
+            paths: trees.map((tree, i) => this.reconstructPath(tree.previous, tree.previousEdge, partyIds[i], best.nodeId, tree.costs.get(best.nodeId)))
+        };
+    }
+    
+    /**
+     * Split a route into days that each cost at most a daily limit
+     * Every day but the last ends at a rest stop. Finds the fewest days
+     * first, then the cheapest plan with that many days. A rest stop first
+     * reachable on day N is only ever worth reaching on day N (reaching it
+     * later would add a day), so the search goes one day at a time. A day
+     * that ends at a rest stop pays the cost of stopping there, which has
+     * to fit in the limit too.
+     * @param {Map<string, GraphNode>} graph 
+     * @param {string} startId 
+     * @param {string} endId 
+     * @param {Map<string, number>} restStops - Nodes a day can end at, with the cost of stopping there
+     * @param {number} dailyLimit - Most a day can cost
+     * @param {Set<string>} [excludedNodes] - Nodes that can be reached but not passed through (or rested at)
+     * @param {function(number, number): void} [onProgress] - Called with rest stops searched and rest stop count
+     * @returns {PathResult[]|null} One path per day (costs without stopping), or null if the end can't be reached
+     */
+    findDailyStages(graph, startId, endId, restStops, dailyLimit, excludedNodes = new Set(), onProgress = () => {}) {
+        const restSet = new Set([...restStops.keys()].filter(id => id !== startId && id !== endId && !excludedNodes.has(id)));
+        
+        // Everywhere a day can reach from each place a day can start
+        const trees = new Map();
+        const getTree = (id) => {
+            if (!trees.has(id)) {
+                onProgress(trees.size, restSet.size + 1);
+                trees.set(id, this.shortestPathTree(graph, id, excludedNodes, dailyLimit));
+            }
+            return trees.get(id);
+        };
+        
+        const previous = new Map(); // rest stop -> where its day started
+        const reached = new Set([startId]);
+        let frontier = new Map([[startId, 0]]); // Places reached after the days so far -> cheapest cost
+        
+        while (frontier.size > 0) {
+            // Finish today if possible, from wherever is cheapest overall
+            let finish = null;
+            frontier.forEach((cost, id) => {
+                const dayCost = getTree(id).costs.get(endId);
+                if (dayCost !== undefined && (!finish || cost + dayCost < finish.cost)) {
+                    finish = { fromId: id, cost: cost + dayCost };
+                }
+            });
+            
+            if (finish) {
+                onProgress(restSet.size + 1, restSet.size + 1);
+                const stops = [endId];
+                for (let id = finish.fromId; id !== undefined; id = previous.get(id)) {
+                    stops.unshift(id);
+                }
+                return stops.slice(0, -1).map((fromId, i) => {
+                    const tree = trees.get(fromId);
+                    const toId = stops[i + 1];
+                    return this.reconstructPath(tree.previous, tree.previousEdge, fromId, toId, tree.costs.get(toId));
+                });
+            }
+            
+            // Otherwise rest for the night somewhere new
+            const next = new Map();
+            frontier.forEach((cost, id) => {
+                getTree(id).costs.forEach((travelCost, restId) => {
+                    if (!restSet.has(restId) || reached.has(restId)) return;
+                    const dayCost = travelCost + restStops.get(restId);
+                    if (dayCost > dailyLimit) return;
+                    if (!next.has(restId) || cost + dayCost < next.get(restId)) {
+                        next.set(restId, cost + dayCost);
+                        previous.set(restId, id);
+                    }
+                });
+            });
+            next.forEach((cost, id) => reached.add(id));
+            frontier = next;
+        }
+        
+        return null;
+    }
+    
     /**
      * Reconstruct path from Dijkstra result
      * @param {Map<string, string>} previous 
@@ -225,10 +888,11 @@ export class Pathfinder {
                     // Combine root path with spur path
                     // rootPath includes spurNode, spurPath.path also starts with spurNode
                     // So we remove spurNode from rootPath to avoid duplication in path array
-                    // But cost and edges should use the full rootPath
+                    // But edges should use the full rootPath, and the spur node is now passed through
+                    const path = [...rootPath.slice(0, -1), ...spurPath.path];
                     const totalPath = {
-                        path: [...rootPath.slice(0, -1), ...spurPath.path],
-                        cost: this.calculatePathCost(graph, rootPath) + spurPath.cost,
+                        path,
+                        cost: this.calculatePathCost(graph, path),
                         edges: [...this.getPathEdges(graph, rootPath), ...spurPath.edges]
                     };
                     
@@ -253,6 +917,116 @@ export class Pathfinder {
         return { paths };
     }
     
+    /**
+     * Find the best path plus alternatives that differ meaningfully from it
+     * Each search penalises the edges of routes found so far, then the
+     * result is kept only if enough of its cost lies on edges no kept
+     * route uses. Yen's paths are usually the best route with one
+     * waypoint swapped; these are not.
+     * @param {Map<string, GraphNode>} graph 
+     * @param {string} startId 
+     * @param {string} endId 
+     * @param {number} count - Number of alternatives wanted (besides the best path)
+     * @param {number} [minDissimilarity] - 0 to 1, share of cost that must not be shared
+     * @param {{excludedEdges?: Set<string>, excludedNodes?: Set<string>, penalties?: CostPenalties}} [constraints] - Passed on to every search
+     * @returns {{paths: PathResult[]}} Best path first, alternatives by cost (with a dissimilarity to the best path)
+     */
+    findAlternativePaths(graph, startId, endId, count, minDissimilarity = MIN_ROUTE_DISSIMILARITY, constraints = {}) {
+        const { excludedEdges = new Set(), excludedNodes = new Set(), penalties: costPenalties = null } = constraints;
+        
+        const firstPath = this.dijkstra(graph, startId, endId, excludedEdges, excludedNodes, costPenalties);
+        if (!firstPath) {
+            return { paths: [] };
+        }
+        
+        const paths = [firstPath];
+        const penalties = new Map(); // edgeId -> multiplier
+        const addPenalties = (path) => {
+            new Set(path.edges).forEach(edgeId => {
+                penalties.set(edgeId, (penalties.get(edgeId) || 1) * ALTERNATIVE_EDGE_PENALTY);
+            });
+        };
+        addPenalties(firstPath);
+        
+        const seen = new Set([firstPath.path.join(',')]);
+        const alternatives = [];
+        
+        for (let attempt = 0; attempt < count * ALTERNATIVE_ATTEMPTS && alternatives.length < count; attempt++) {
+            const penalised = this.createPenalisedGraph(graph, penalties);
+            const candidate = this.dijkstra(penalised, startId, endId, excludedEdges, excludedNodes, costPenalties);
+            if (!candidate) break;
+            
+            addPenalties(candidate);
+            
+            const key = candidate.path.join(',');
+            if (seen.has(key)) continue;
+            seen.add(key);
+            
+            // Report the real cost, not the penalised one
+            candidate.cost = this.calculatePathCost(graph, candidate.path);
+            
+            const kept = [...paths, ...alternatives];
+            if (kept.every(other => this.getPathDissimilarity(graph, candidate, other) >= minDissimilarity)) {
+                candidate.dissimilarity = this.getPathDissimilarity(graph, candidate, firstPath);
+                alternatives.push(candidate);
+            }
+        }
+        
+        alternatives.sort((a, b) => a.cost - b.cost);
+        return { paths: [...paths, ...alternatives] };
+    }
+    
+    /**
+     * Copy a graph with some edge costs multiplied
+     * Penalties only raise costs, so the original A* estimate still holds.
+     * Unlike dijkstra's node penalties, those here apply to every link into
+     * the node, so reaching a penalised node costs more too.
+     * @param {Map<string, GraphNode>} graph 
+     * @param {Map<string, number>} penalties - Multiplier per edge ID
+     * @param {Map<string, number>} [nodePenalties] - Multiplier for links into each node
+     * @returns {Map<string, GraphNode>}
+     */
+    createPenalisedGraph(graph, penalties, nodePenalties = new Map()) {
+        const penalised = new Map();
+        
+        graph.forEach((node, id) => {
+            const neighbors = new Map();
+            node.neighbors.forEach((edge, neighborId) => {
+                const factor = (penalties.get(edge.edgeId) || 1) * (nodePenalties.get(neighborId) || 1);
+                neighbors.set(neighborId, factor === 1 ? edge : { ...edge, cost: edge.cost * factor });
+            });
+            penalised.set(id, { ...node, neighbors });
+        });
+        
+        if (this.costPerPixel.has(graph)) {
+            this.costPerPixel.set(penalised, this.costPerPixel.get(graph));
+        }
+        
+        return penalised;
+    }
+    
+    /**
+     * Get how different a path is from another, by cost on edges they share
+     * @param {Map<string, GraphNode>} graph 
+     * @param {PathResult} path 
+     * @param {PathResult} other 
+     * @returns {number} 0 (same edges) to 1 (no shared edges)
+     */
+    getPathDissimilarity(graph, path, other) {
+        if (path.cost <= 0) return 0;
+        
+        const otherEdges = new Set(other.edges);
+        let sharedCost = 0;
+        for (let i = 0; i < path.path.length - 1; i++) {
+            const edge = graph.get(path.path[i]).neighbors.get(path.path[i + 1]);
+            if (edge && otherEdges.has(edge.edgeId)) {
+                sharedCost += edge.cost;
+            }
+        }
+        
+        return 1 - sharedCost / path.cost;
+    }
+    
     /**
      * Check if a path starts with a given prefix
      * @param {string[]} path 
@@ -268,7 +1042,7 @@ export class Pathfinder {
     }
     
     /**
-     * Calculate cost of a path
+     * Calculate cost of a path, including the waypoints it passes through
      * @param {Map<string, GraphNode>} graph 
      * @param {string[]} path 
      * @returns {number}
@@ -278,6 +1052,7 @@ export class Pathfinder {
         for (let i = 0; i < path.length - 1; i++) {
             const node = graph.get(path[i]);
             if (node) {
+                if (i > 0) cost += node.passCost || 0;
                 const edge = node.neighbors.get(path[i + 1]);
                 if (edge) cost += edge.cost;
             }
@@ -302,4 +1077,83 @@ export class Pathfinder {
         }
         return edges;
     }
+    
+    /**
+     * Get each link a path follows, with its cost
+     * Taken before virtual point nodes are stripped, the steps keep the
+     * connections to arbitrary points, so their costs add up to the path's.
+     * Waypoints with a pass-through cost get a step of their own.
+     * @param {Map<string, GraphNode>} graph 
+     * @param {string[]} path 
+     * @returns {RouteStep[]}
+     */
+    getPathSteps(graph, path) {
+        const steps = [];
+        for (let i = 0; i < path.length - 1; i++) {
+            const node = graph.get(path[i]);
+            const nextNode = graph.get(path[i + 1]);
+            const link = node ? node.neighbors.get(path[i + 1]) : null;
+            if (!link || !nextNode) continue;
+            
+            if (i > 0 && node.passCost > 0) {
+                steps.push({
+                    fromId: node.id,
+                    toId: node.id,
+                    edgeId: null,
+                    mapId: node.mapId,
+                    fromPoint: { x: node.x, y: node.y },
+                    toPoint: { x: node.x, y: node.y },
+                    cost: node.passCost
+                });
+            }
+            
+            steps.push({
+                fromId: node.id,
+                toId: nextNode.id,
+                edgeId: link.edgeId,
+                mapId: node.mapId,
+                fromPoint: { x: node.x, y: node.y },
+                toPoint: { x: nextNode.x, y: nextNode.y },
+                cost: link.cost
+            });
+        }
+        return steps;
+    }
+    
+    /**
+     * Split a path into legs, one per consecutive stretch on the same map
+     * Portal links between legs are not part of any leg; waypoints passed
+     * through count towards the leg they're on.
+     * @param {Map<string, GraphNode>} graph 
+     * @param {PathResult} route 
+     * @returns {RouteLeg[]}
+     */
+    getRouteLegs(graph, route) {
+        const legs = [];
+        let leg = null;
+        
+        route.path.forEach((nodeId, i) => {
+            const node = graph.get(nodeId);
+            const mapId = node ? node.mapId : null;
+            
+            if (!leg || leg.mapId !== mapId) {
+                leg = { mapId, path: [], edges: [], cost: 0 };
+                legs.push(leg);
+            } else {
+                const prevNode = graph.get(route.path[i - 1]);
+                const link = prevNode ? prevNode.neighbors.get(nodeId) : null;
+                if (link) {
+                    leg.edges.push(link.edgeId);
+                    leg.cost += link.cost;
+                }
+            }
+            
+            if (node && i > 0 && i < route.path.length - 1) {
+                leg.cost += node.passCost || 0;
+            }
+            leg.path.push(nodeId);
+        });
+        
+        return legs;
+    }
 }
@@ -0,0 +1,353 @@
+/**
+ * PointAttachment - Connect arbitrary points to the route graph
+ *
+ * A point off the network joins the graph through a virtual node. The
+ * candidates are the nearest waypoints, reached in a straight line, and
+ * the nearest edges, split virtually where the point projects onto them
+ * so a route can join a road part way along. The search then picks the
+ * attachment that gives the cheapest overall route. Connectors never cross
+ * terrain that blocks movement.
+ */
+
+import { distance, distanceToLineSegment, projectOntoLineSegment } from '../utils/geometry.js';
+import { closestPointOnBezier, getBezierLength, splitBezier } from './BezierUtils.js';
+import { calculatePathTerrainCost, sampleLine, isPathBlocked } from '../models/Terrain.js';
+
+/**
+ * Prefix for the IDs of virtual nodes (and their links) for arbitrary points
+ */
+export const POINT_NODE_PREFIX = 'point:';
+
+/**
+ * Max distance to consider for attachments
+ */
+export const ATTACH_RADIUS = 500;
+
+/**
+ * Max waypoints and max edges to connect an arbitrary point to
+ */
+export const MAX_ATTACHMENTS = 3;
+
+/**
+ * @typedef {Object} Attachment
+ * @property {'waypoint'|'edge'} type - Whether the point joins at a waypoint or part way along an edge
+ * @property {{x: number, y: number}} point - Where the connector meets the network
+ * @property {number} distance - Length of the connector
+ * @property {number} cost - Terrain cost of the connector
+ * @property {string} [waypointId] - Waypoint joined (waypoint attachments)
+ * @property {import('../models/Edge.js').EdgeData} [edge] - Edge joined (edge attachments)
+ * @property {number} [t] - Position of the split on the edge (0 = from, 1 = to)
+ * @property {number} [fraction] - Share of the edge's length between its start and the split
+ */
+
+/**
+ * @typedef {Object} PointSegment
+ * @property {'start'|'end'} role - Whether the route leaves or reaches the point
+ * @property {{x: number, y: number}} point - The arbitrary point
+ * @property {string|null} waypointId - Waypoint where the route joins (null if it stays on one edge)
+ * @property {number} cost - Cost from the point to the waypoint
+ * @property {{x: number, y: number}} attachPoint - Where the connector meets the network
+ * @property {{edgeId: string, fromT: number, toT: number}|null} edgeSpan - Part of an edge followed
+ */
+
+/**
+ * Find candidate attachments for an arbitrary point on a map
+ * Candidates whose connector would cross blocking terrain are skipped.
+ * @param {{x: number, y: number}} point
+ * @param {import('../models/Map.js').MapData} map
+ * @param {number} [radius=ATTACH_RADIUS]
+ * @param {number} [maxCount=MAX_ATTACHMENTS] - Max waypoints and max edges
+ * @returns {Attachment[]}
+ */
+export function findAttachments(point, map, radius = ATTACH_RADIUS, maxCount = MAX_ATTACHMENTS) {
+    const waypointMap = new Map(map.waypoints.map(wp => [wp.id, wp]));
+    const isReachable = (candidate) => !isPathBlocked(map.terrain, [point, candidate.point], map.imageWidth, map.imageHeight);
+    
+    // Nearest waypoints
+    const waypointCandidates = map.waypoints
+        .map(wp => ({
+            type: 'waypoint',
+            waypointId: wp.id,
+            point: { x: wp.x, y: wp.y },
+            distance: distance(point.x, point.y, wp.x, wp.y)
+        }))
+        .filter(c => c.distance < radius)
+        .sort((a, b) => a.distance - b.distance)
+        .filter(isReachable)
+        .slice(0, maxCount);
+    
+    // Nearest edges, split where the point projects onto them
+    const edgeCandidates = [];
+    map.edges.forEach(edge => {
+        const fromWp = waypointMap.get(edge.from);
+        const toWp = waypointMap.get(edge.to);
+        if (!fromWp || !toWp) return;
+        
+        const candidate = projectOntoEdge(point, edge, fromWp, toWp);
+        
+        // Splits at either end are covered by the waypoint candidates
+        if (candidate.distance >= radius || candidate.t <= 0 || candidate.t >= 1) return;
+        
+        edgeCandidates.push(candidate);
+    });
+    edgeCandidates.sort((a, b) => a.distance - b.distance);
+    
+    const candidates = [...waypointCandidates, ...edgeCandidates.filter(isReachable).slice(0, maxCount)];
+    candidates.forEach(c => {
+        c.cost = getConnectorCost(point, c.point, map);
+    });
+    
+    return candidates;
+}
+
+/**
+ * Project a point onto an edge
+ * @param {{x: number, y: number}} point
+ * @param {import('../models/Edge.js').EdgeData} edge
+ * @param {{x: number, y: number}} fromWp
+ * @param {{x: number, y: number}} toWp
+ * @returns {Attachment}
+ */
+function projectOntoEdge(point, edge, fromWp, toWp) {
+    if (edge.type === 'bezier' && edge.controlPoints && edge.controlPoints.length >= 2) {
+        const p0 = { x: fromWp.x, y: fromWp.y };
+        const p3 = { x: toWp.x, y: toWp.y };
+        const [p1, p2] = edge.controlPoints;
+        const closest = closestPointOnBezier(p0, p1, p2, p3, point);
+        
+        // Share of the curve's length up to the split
+        const { left } = splitBezier(p0, p1, p2, p3, closest.t);
+        const totalLength = getBezierLength(p0, p1, p2, p3);
+        const fraction = totalLength > 0 ? getBezierLength(left[0], left[1], left[2], left[3]) / totalLength : closest.t;
+        
+        return {
+            type: 'edge',
+            edge,
+            point: closest.point,
+            distance: closest.distance,
+            t: closest.t,
+            fraction
+        };
+    }
+    
+    const projected = projectOntoLineSegment(point.x, point.y, fromWp.x, fromWp.y, toWp.x, toWp.y);
+    return {
+        type: 'edge',
+        edge,
+        point: { x: projected.x, y: projected.y },
+        distance: distanceToLineSegment(point.x, point.y, fromWp.x, fromWp.y, toWp.x, toWp.y),
+        t: projected.t,
+        fraction: projected.t
+    };
+}
+
+/**
+ * Calculate the terrain cost of a straight connector between two points
+ * @param {{x: number, y: number}} from
+ * @param {{x: number, y: number}} to
+ * @param {import('../models/Map.js').MapData} map
+ * @returns {number}
+ */
+export function getConnectorCost(from, to, map) {
+    const samples = sampleLine(from.x, from.y, to.x, to.y, 10);
+    const cost = calculatePathTerrainCost(map.terrain, samples, map.imageWidth, map.imageHeight);
+    return Math.round(cost * 10) / 10;
+}
+
+/**
+ * Add a virtual node for an arbitrary point to a graph
+ *
+ * A start point gets links out to the network, an end point gets links in.
+ * Links along a split edge respect its direction and cost a share of the
+ * edge's cost in that direction.
+ * @param {Map<string, import('./Pathfinder.js').GraphNode>} graph
+ * @param {string} nodeId - ID of the virtual node
+ * @param {{x: number, y: number}} point
+ * @param {Attachment[]} attachments
+ * @param {'start'|'end'} role
+ * @param {number} [costFactor=1] - Multiplier for connector costs (graph cost units)
+ */
+export function attachPointToGraph(graph, nodeId, point, attachments, role, costFactor = 1) {
+    const anyNode = attachments
+        .map(a => graph.get(a.type === 'waypoint' ? a.waypointId : a.edge.from))
+        .find(Boolean);
+    
+    // A point can be attached as both start and end (e.g. a stop in a tour)
+    if (!graph.has(nodeId)) {
+        graph.set(nodeId, {
+            id: nodeId,
+            mapId: anyNode ? anyNode.mapId : null,
+            x: point.x,
+            y: point.y,
+            neighbors: new Map()
+        });
+    }
+    
+    // Keep the cheapest link when several attachments reach the same waypoint
+    const link = (fromId, toId, cost, attachment) => {
+        const fromNode = graph.get(fromId);
+        if (!fromNode) return;
+        const existing = fromNode.neighbors.get(toId);
+        if (existing && existing.cost <= cost) return;
+        const edgeId = attachment.type === 'edge' ? `${nodeId}:${attachment.edge.id}` : nodeId;
+        fromNode.neighbors.set(toId, { cost, edgeId, attachment });
+    };
+    
+    attachments.forEach(attachment => {
+        const connectorCost = attachment.cost * costFactor;
+        
+        if (attachment.type === 'waypoint') {
+            if (!graph.has(attachment.waypointId)) return;
+            if (role === 'start') {
+                link(nodeId, attachment.waypointId, connectorCost, attachment);
+            } else {
+                link(attachment.waypointId, nodeId, connectorCost, attachment);
+            }
+            return;
+        }
+        
+        const { edge, fraction } = attachment;
+        const forward = getEdgeLink(graph, edge.from, edge.to, edge.id);
+        const reverse = getEdgeLink(graph, edge.to, edge.from, edge.id);
+        
+        if (role === 'start') {
+            // Split point -> edge end, split point -> edge start (against direction)
+            if (forward) link(nodeId, edge.to, connectorCost + forward.cost * (1 - fraction), attachment);
+            if (reverse) link(nodeId, edge.from, connectorCost + reverse.cost * fraction, attachment);
+        } else {
+            // Edge start -> split point, edge end -> split point (against direction)
+            if (forward) link(edge.from, nodeId, forward.cost * fraction + connectorCost, attachment);
+            if (reverse) link(edge.to, nodeId, reverse.cost * (1 - fraction) + connectorCost, attachment);
+        }
+    });
+}
+
+/**
+ * Link a start and an end point that attach to the same edge directly
+ * @param {Map<string, import('./Pathfinder.js').GraphNode>} graph
+ * @param {string} startId - Virtual start node
+ * @param {string} endId - Virtual end node
+ * @param {Attachment[]} startAttachments
+ * @param {Attachment[]} endAttachments
+ * @param {number} [costFactor=1] - Multiplier for connector costs
+ */
+export function linkSharedEdgeAttachments(graph, startId, endId, startAttachments, endAttachments, costFactor = 1) {
+    const startNode = graph.get(startId);
+    if (!startNode) return;
+    
+    startAttachments.forEach(startAtt => {
+        if (startAtt.type !== 'edge') return;
+        
+        endAttachments.forEach(endAtt => {
+            if (endAtt.type !== 'edge' || endAtt.edge.id !== startAtt.edge.id) return;
+            
+            const { edge } = startAtt;
+            const isForward = endAtt.fraction >= startAtt.fraction;
+            const edgeLink = isForward
+                ? getEdgeLink(graph, edge.from, edge.to, edge.id)
+                : getEdgeLink(graph, edge.to, edge.from, edge.id);
+            if (!edgeLink) return;
+            
+            const cost = (startAtt.cost + endAtt.cost) * costFactor +
+                edgeLink.cost * Math.abs(endAtt.fraction - startAtt.fraction);
+            const existing = startNode.neighbors.get(endId);
+            if (existing && existing.cost <= cost) return;
+            
+            startNode.neighbors.set(endId, {
+                cost,
+                edgeId: `${startId}:${edge.id}`,
+                attachment: startAtt,
+                endAttachment: endAtt
+            });
+        });
+    });
+}
+
+/**
+ * Get a graph link that belongs to a given edge
+ * @param {Map<string, import('./Pathfinder.js').GraphNode>} graph
+ * @param {string} fromId
+ * @param {string} toId
+ * @param {string} edgeId
+ * @returns {{cost: number, edgeId: string}|null}
+ */
+function getEdgeLink(graph, fromId, toId, edgeId) {
+    const node = graph.get(fromId);
+    const edgeLink = node ? node.neighbors.get(toId) : null;
+    return edgeLink && edgeLink.edgeId === edgeId ? edgeLink : null;
+}
+
+/**
+ * Describe how a route gets from an arbitrary point to the network (for drawing)
+ * @param {Map<string, import('./Pathfinder.js').GraphNode>} graph
+ * @param {string[]} path - Route path including virtual nodes
+ * @param {string} nodeId - Virtual node of the point
+ * @param {{x: number, y: number}} point
+ * @returns {PointSegment|null}
+ */
+export function getPointSegment(graph, path, nodeId, point) {
+    const index = path.indexOf(nodeId);
+    if (index === -1 || path.length < 2) return null;
+    
+    const isStart = index === 0;
+    const otherId = isStart ? path[1] : path[index - 1];
+    const fromNode = graph.get(isStart ? nodeId : otherId);
+    const routeLink = fromNode ? fromNode.neighbors.get(isStart ? otherId : nodeId) : null;
+    if (!routeLink || !routeLink.attachment) return null;
+    
+    const joinsPoint = otherId.startsWith(POINT_NODE_PREFIX);
+    const attachment = isStart || !routeLink.endAttachment ? routeLink.attachment : routeLink.endAttachment;
+    
+    // A link straight between two points on the same edge is drawn from the start
+    if (!isStart && joinsPoint) {
+        return {
+            role: 'end',
+            point,
+            waypointId: null,
+            cost: 0,
+            attachPoint: routeLink.endAttachment.point,
+            edgeSpan: null
+        };
+    }
+    
+    let edgeSpan = null;
+    if (attachment.type === 'edge') {
+        const { edge, t } = attachment;
+        let otherT;
+        if (joinsPoint) {
+            otherT = routeLink.endAttachment.t;
+        } else {
+            otherT = otherId === edge.to ? 1 : 0;
+        }
+        edgeSpan = isStart
+            ? { edgeId: edge.id, fromT: t, toT: otherT }
+            : { edgeId: edge.id, fromT: otherT, toT: t };
+    }
+    
+    return {
+        role: isStart ? 'start' : 'end',
+        point,
+        waypointId: joinsPoint ? null : otherId,
+        cost: routeLink.cost,
+        attachPoint: attachment.point,
+        edgeSpan
+    };
+}
+
+/**
+ * Remove virtual point nodes and links from a route (and its legs)
+ * @param {Object} route - Path result, optionally with legs
+ */
+export function stripPointNodes(route) {
+    const isReal = id => !id.startsWith(POINT_NODE_PREFIX);
+    
+    route.path = route.path.filter(isReal);
+    route.edges = route.edges.filter(isReal);
+    
+    if (route.legs) {
+        route.legs.forEach(leg => {
+            leg.path = leg.path.filter(isReal);
+            leg.edges = leg.edges.filter(isReal);
+        });
+    }
+}
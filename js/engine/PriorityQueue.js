@@ -0,0 +1,113 @@
+/**
+ * PriorityQueue - Binary min-heap keyed by numeric priority
+ *
+ * Items with equal priority are popped in insertion order, so searches
+ * built on it behave exactly like a stable sort of the frontier.
+ */
+
+export class PriorityQueue {
+    constructor() {
+        /** @type {{item: *, priority: number, seq: number}[]} */
+        this.heap = [];
+        this.seq = 0;
+    }
+    
+    /**
+     * Number of queued items
+     * @returns {number}
+     */
+    get size() {
+        return this.heap.length;
+    }
+    
+    /**
+     * Check if the queue is empty
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.heap.length === 0;
+    }
+    
+    /**
+     * Add an item
+     * @param {*} item
+     * @param {number} priority - Lower pops first
+     */
+    push(item, priority) {
+        this.heap.push({ item, priority, seq: this.seq++ });
+        this.siftUp(this.heap.length - 1);
+    }
+    
+    /**
+     * Remove and return the item with the lowest priority
+     * @returns {*} The item, or undefined if empty
+     */
+    pop() {
+        if (this.heap.length === 0) return undefined;
+        
+        const top = this.heap[0];
+        const last = this.heap.pop();
+        if (this.heap.length > 0) {
+            this.heap[0] = last;
+            this.siftDown(0);
+        }
+        return top.item;
+    }
+    
+    /**
+     * Check whether entry a should pop before entry b
+     * @param {number} a - Heap index
+     * @param {number} b - Heap index
+     * @returns {boolean}
+     */
+    less(a, b) {
+        const ea = this.heap[a];
+        const eb = this.heap[b];
+        if (ea.priority !== eb.priority) return ea.priority < eb.priority;
+        return ea.seq < eb.seq;
+    }
+    
+    /**
+     * Move an entry up until the heap property holds
+     * @param {number} index
+     */
+    siftUp(index) {
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!this.less(index, parent)) break;
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+    
+    /**
+     * Move an entry down until the heap property holds
+     * @param {number} index
+     */
+    siftDown(index) {
+        const length = this.heap.length;
+        while (true) {
+            const left = index * 2 + 1;
+            const right = left + 1;
+            let smallest = index;
+            
+            if (left < length && this.less(left, smallest)) smallest = left;
+            if (right < length && this.less(right, smallest)) smallest = right;
+            if (smallest === index) break;
+            
+            this.swap(index, smallest);
+            index = smallest;
+        }
+    }
+    
+    /**
+     * Swap two heap entries
+     * @param {number} a
+     * @param {number} b
+     */
+    swap(a, b) {
+        const tmp = this.heap[a];
+        this.heap[a] = this.heap[b];
+        this.heap[b] = tmp;
+    }
+}
@@ -0,0 +1,167 @@
+/**
+ * RouteBreakdown - Where a route's cost comes from
+ *
+ * Lists every step of a route with its length and cost, and splits the
+ * route's length and cost by terrain type. A step's cost is shared among
+ * the terrain it crosses by length times terrain cost, so the terrain
+ * totals add up to the route's travel cost even where edge costs were set
+ * by hand. Tolls and stopovers at waypoints are counted apart from terrain.
+ */
+
+import { sampleEdge, sampleLine, measurePathTerrain, getTerrainType } from '../models/Terrain.js';
+import { PORTAL_EDGE_PREFIX } from './Pathfinder.js';
+import { POINT_NODE_PREFIX } from './PointAttachment.js';
+
+/**
+ * @typedef {Object} BreakdownStep
+ * @property {string} fromId - Node the step leaves
+ * @property {string} toId - Node the step reaches
+ * @property {string|null} edgeId - Edge, portal or point link followed (null at a waypoint)
+ * @property {string|null} mapId - Map the step starts on
+ * @property {'edge'|'portal'|'connector'|'waypoint'} type - Along an edge, through a portal, to/from an arbitrary point, or at a waypoint
+ * @property {boolean} [isStopover] - Whether a waypoint step is a stopover rather than passing through
+ * @property {number} length - Length in pixels (0 through portals and at waypoints)
+ * @property {number} cost - Cost of the step
+ * @property {number} totalCost - Cost of the route up to and including this step
+ */
+
+/**
+ * @typedef {Object} TerrainShare
+ * @property {string|null} typeId - Terrain type ID (null for unpainted ground)
+ * @property {string} name - Terrain type name
+ * @property {string|null} color - Terrain type colour
+ * @property {number} length - Length of the route in this terrain, in pixels
+ * @property {number} cost - Cost of the route spent in this terrain
+ */
+
+/**
+ * @typedef {Object} RouteBreakdown
+ * @property {BreakdownStep[]} steps - Steps in order (empty for routes over terrain)
+ * @property {TerrainShare[]} terrain - Share per terrain type, most costly first
+ * @property {number} waypointCost - Cost spent passing through and stopping at waypoints
+ * @property {number} length - Total length in pixels
+ * @property {number} cost - Total cost
+ */
+
+/**
+ * Break a route's cost down by step and by terrain type
+ * @param {Object} route - Route with steps (network routes) or points (terrain routes)
+ * @param {Object.<string, import('../models/Map.js').MapData>} maps - All maps
+ * @returns {RouteBreakdown}
+ */
+export function getRouteBreakdown(route, maps) {
+    const shares = new Map();
+    const steps = [];
+    let length = 0;
+    let cost = 0;
+    let waypointCost = 0;
+    
+    if (route.points) {
+        // Terrain routes are one polyline on one map
+        const map = maps[route.mapId];
+        const points = route.points.flatMap((p, i) => i === 0
+            ? [p]
+            : sampleLine(route.points[i - 1].x, route.points[i - 1].y, p.x, p.y).slice(1));
+        length = map ? addTerrainShares(shares, map, points, route.cost) : 0;
+        cost = route.cost;
+    } else {
+        (route.steps || []).forEach(step => {
+            const map = step.mapId ? maps[step.mapId] : null;
+            const type = getStepType(step);
+            
+            let stepLength = 0;
+            if (type === 'waypoint') {
+                waypointCost += step.cost;
+            } else if (type !== 'portal' && map) {
+                stepLength = addTerrainShares(shares, map, getStepPoints(step, type, map), step.cost);
+            }
+            
+            length += stepLength;
+            cost += step.cost;
+            steps.push({ ...step, type, length: stepLength, totalCost: cost });
+        });
+    }
+    
+    return {
+        steps,
+        terrain: [...shares.values()].sort((a, b) => b.cost - a.cost),
+        waypointCost,
+        length,
+        cost
+    };
+}
+
+/**
+ * Work out what kind of link a step follows
+ * @param {import('./Pathfinder.js').RouteStep} step
+ * @returns {'edge'|'portal'|'connector'|'waypoint'}
+ */
+function getStepType(step) {
+    if (!step.edgeId) return 'waypoint';
+    if (step.edgeId.startsWith(PORTAL_EDGE_PREFIX)) return 'portal';
+    if (step.edgeId.startsWith(POINT_NODE_PREFIX)) return 'connector';
+    return 'edge';
+}
+
+/**
+ * Sample points along a step
+ * Edges follow their curve; connectors to arbitrary points are measured
+ * as straight lines between the nodes.
+ * @param {import('./Pathfinder.js').RouteStep} step
+ * @param {string} type - Step type (see getStepType)
+ * @param {import('../models/Map.js').MapData} map
+ * @returns {{x: number, y: number}[]}
+ */
+function getStepPoints(step, type, map) {
+    const edge = type === 'edge' ? map.edges.find(e => e.id === step.edgeId) : null;
+    const fromWp = edge ? map.waypoints.find(wp => wp.id === edge.from) : null;
+    const toWp = edge ? map.waypoints.find(wp => wp.id === edge.to) : null;
+    
+    if (fromWp && toWp) {
+        return sampleEdge(edge, fromWp, toWp);
+    }
+    return sampleLine(step.fromPoint.x, step.fromPoint.y, step.toPoint.x, step.toPoint.y);
+}
+
+/**
+ * Add a stretch of route to the per-terrain totals
+ * @param {Map<string|null, TerrainShare>} shares - Totals per terrain type ID
+ * @param {import('../models/Map.js').MapData} map
+ * @param {{x: number, y: number}[]} points - Sampled stretch
+ * @param {number} cost - Cost of the stretch, shared out by terrain-weighted length
+ * @returns {number} Length of the stretch in pixels
+ */
+function addTerrainShares(shares, map, points, cost) {
+    const lengths = measurePathTerrain(map.terrain, points, map.imageWidth, map.imageHeight);
+    
+    // Unpainted ground costs 1, as elsewhere
+    const weights = new Map();
+    let totalLength = 0;
+    let totalWeight = 0;
+    lengths.forEach((length, typeId) => {
+        const type = typeId && map.terrain ? getTerrainType(map.terrain, typeId) : null;
+        const weight = length * (type ? type.cost : 1);
+        weights.set(typeId, weight);
+        totalLength += length;
+        totalWeight += weight;
+    });
+    
+    lengths.forEach((length, typeId) => {
+        if (!shares.has(typeId)) {
+            const type = typeId && map.terrain ? getTerrainType(map.terrain, typeId) : null;
+            shares.set(typeId, {
+                typeId,
+                name: type ? type.name : 'Unpainted',
+                color: type ? type.color : null,
+                length: 0,
+                cost: 0
+            });
+        }
+        
+        const share = shares.get(typeId);
+        share.length += length;
+        share.cost += totalWeight > 0 ? cost * weights.get(typeId) / totalWeight : 0;
+    });
+    
+    return totalLength;
+}
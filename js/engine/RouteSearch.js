@@ -0,0 +1,705 @@
+/**
+ * RouteSearch - Route queries that run without the DOM
+ *
+ * Finds the routes between a list of stops, either along edges (with
+ * alternatives, avoidances and arbitrary points) or over the terrain grid,
+ * splits routes into daily stages at rest stops, tabulates travel costs
+ * between places, finds the nearest places of a kind and where parties
+ * can meet, orders stops, measures how far a start can reach, and weighs
+ * cost against danger.
+ * Used by the engine worker; failures are thrown as errors whose message
+ * can be shown to the user.
+ */
+
+import { MIN_ROUTE_DISSIMILARITY } from './Pathfinder.js';
+import { findTerrainPath, findTerrainReach } from './TerrainRouter.js';
+import { getRouteConstraints, addAttachmentConstraints, getTerrainAvoidFactors, removeClosures } from './Avoidance.js';
+import { POINT_NODE_PREFIX, findAttachments, attachPointToGraph, linkSharedEdgeAttachments, getPointSegment, stripPointNodes } from './PointAttachment.js';
+import { createTerrainLayer, calculatePathTerrainDanger, sampleEdge } from '../models/Terrain.js';
+import { getEdgeDanger } from '../models/Edge.js';
+import { getCategory, getStopCost } from '../models/Waypoint.js';
+import { applyProfileToTerrain } from '../models/TravelProfile.js';
+import { applyScenario } from '../models/Scenario.js';
+import { solveTour } from './TourSolver.js';
+
+export const START_NODE_ID = POINT_NODE_PREFIX + 'start'; // Virtual node for an arbitrary start
+export const END_NODE_ID = POINT_NODE_PREFIX + 'end';     // Virtual node for an arbitrary end
+
+/**
+ * Most routes offered when weighing cost against danger
+ */
+const MAX_TRADE_OFF_ROUTES = 5;
+
+/**
+ * @typedef {Object} RouteStop
+ * @property {string|null} waypointId - Waypoint stopped at (null for an arbitrary point)
+ * @property {{x: number, y: number, mapId: string}|null} point - Arbitrary point stopped at
+ * @property {string} mapId - Map the stop lies on
+ */
+
+/**
+ * Where a route lies between the cheapest and the safest:
+ * 'cheapest', 'safest', 'balanced' (best of both, relative to the others),
+ * 'between', or 'only' when one route is both cheapest and safest
+ * @typedef {'cheapest'|'safest'|'balanced'|'between'|'only'} TradeOffKind
+ */
+
+/**
+ * @typedef {Object} StopRoutes
+ * @property {Object[]} paths - Best route first, then alternatives (with legs and steps)
+ * @property {import('./PointAttachment.js').PointSegment[]} segments - How the best route joins arbitrary points
+ */
+
+/**
+ * Find the routes between each pair of consecutive stops
+ * @param {import('./Pathfinder.js').Pathfinder} pathfinder
+ * @param {Object} query
+ * @param {Object.<string, import('../models/Map.js').MapData>} query.maps - All maps
+ * @param {RouteStop[]} query.stops - Stops in order
+ * @param {number} query.alternativeCount - Alternatives to find for each pair
+ * @param {import('./Avoidance.js').RouteAvoidance[]} query.avoidances
+ * @param {import('../models/TravelProfile.js').TravelProfile|null} [query.profile] - Way of travelling
+ * @param {string|null} [query.scenario] - Name of the scenario to apply
+ * @param {string|null} [query.costStrategy] - ID of the cost strategy to use (see CostStrategy)
+ * @param {Object.<string, number>|null} [query.graphVersions] - Map graph versions (see GraphCache)
+ * @param {function(number, number): void} [onProgress] - Called with pairs done and pair count
+ * @returns {StopRoutes[]} One entry per pair of stops
+ */
+export function findRouteParts(pathfinder, { maps, stops, alternativeCount, avoidances, profile = null, scenario = null, costStrategy = null, graphVersions = null }, onProgress = () => {}) {
+    const resolved = stops.map(stop => ({ ...stop, map: applyScenario(maps[stop.mapId], scenario) }));
+    const startMap = resolved[0].map;
+    
+    const parts = [];
+    for (let i = 0; i < resolved.length - 1; i++) {
+        onProgress(i, resolved.length - 1);
+        parts.push(findStopRoutes(pathfinder, maps, startMap, resolved[i], resolved[i + 1], alternativeCount, avoidances, { graphVersions, profile, scenario, costStrategy }));
+    }
+    onProgress(parts.length, parts.length);
+    
+    return parts;
+}
+
+/**
+ * Find routes between two consecutive stops
+ * @param {import('./Pathfinder.js').Pathfinder} pathfinder
+ * @param {Object.<string, import('../models/Map.js').MapData>} maps
+ * @param {import('../models/Map.js').MapData} startMap - Map whose cost units are used
+ * @param {Object} from - Stop to leave from (with its map, as the scenario changes it)
+ * @param {Object} to - Stop to arrive at (with its map, as the scenario changes it)
+ * @param {number} alternativeCount - Number of alternative routes to find besides the best
+ * @param {import('./Avoidance.js').RouteAvoidance[]} avoidances
+ * @param {Object} [graphOptions] - Graph versions, travel profile, scenario and cost strategy (see Pathfinder.buildMultiMapGraph)
+ * @returns {StopRoutes}
+ */
+export function findStopRoutes(pathfinder, maps, startMap, from, to, alternativeCount, avoidances, graphOptions = {}) {
+    const { graph, constraints, fromId, toId } = buildStopGraph(pathfinder, maps, startMap, from, to, avoidances, graphOptions);
+    
+    const result = pathfinder.findAlternativePaths(graph, fromId, toId, alternativeCount, MIN_ROUTE_DISSIMILARITY, constraints);
+    
+    if (result.paths.length === 0) {
+        throw new Error('No route found between these points.');
+    }
+    
+    // How the best route reaches the network from arbitrary points
+    const bestPath = result.paths[0].path;
+    const segments = getStopSegments(graph, from, to, bestPath, bestPath);
+    
+    finishStopPaths(pathfinder, graph, result.paths);
+    return { paths: result.paths, segments };
+}
+
+/**
+ * Split a route between two stops into days at rest stops
+ * Only waypoints marked as rest stops can end a day, and a day that ends
+ * at one pays its stop cost. Penalised avoidances are ignored, as the
+ * daily limit is about what travel really costs.
+ * @param {import('./Pathfinder.js').Pathfinder} pathfinder
+ * @param {Object} query
+ * @param {Object.<string, import('../models/Map.js').MapData>} query.maps - All maps
+ * @param {RouteStop[]} query.stops - Start and end
+ * @param {number} query.dailyLimit - Most a day can cost, in the start map's cost units
+ * @param {import('./Avoidance.js').RouteAvoidance[]} query.avoidances
+ * @param {import('../models/TravelProfile.js').TravelProfile|null} [query.profile] - Way of travelling
+ * @param {string|null} [query.scenario] - Name of the scenario to apply
+ * @param {string|null} [query.costStrategy] - ID of the cost strategy to use (see CostStrategy)
+ * @param {Object.<string, number>|null} [query.graphVersions] - Map graph versions (see GraphCache)
+ * @param {function(number, number): void} [onProgress] - Called with rest stops searched and rest stop count
+ * @returns {StopRoutes} One path per day, in order
+ */
+export function findDailyStages(pathfinder, { maps, stops, dailyLimit, avoidances, profile = null, scenario = null, costStrategy = null, graphVersions = null }, onProgress = () => {}) {
+    const [from, to] = stops.map(stop => ({ ...stop, map: applyScenario(maps[stop.mapId], scenario) }));
+    const startMap = from.map;
+    const { graph, constraints, fromId, toId } = buildStopGraph(pathfinder, maps, startMap, from, to, avoidances, { graphVersions, profile, scenario, costStrategy });
+    
+    // Blocked edges cost more than any day can
+    const blocked = new Map([...constraints.excludedEdges].map(edgeId => [edgeId, Infinity]));
+    const dayGraph = blocked.size > 0 ? pathfinder.createPenalisedGraph(graph, blocked) : graph;
+    
+    // Stopping overnight costs what stopping over on a route does
+    const restStops = new Map(pathfinder.getPortalConnectedMapIds(maps, startMap.id).flatMap(id => {
+        const costFactor = pathfinder.getMapCostFactor(maps[id], startMap);
+        return maps[id].waypoints.filter(wp => wp.isRestStop).map(wp => [wp.id, getStopCost(wp) * costFactor]);
+    }));
+    
+    const days = pathfinder.findDailyStages(dayGraph, fromId, toId, restStops, dailyLimit, constraints.excludedNodes, onProgress);
+    if (!days) {
+        throw new Error('No route found that fits the daily limit. Mark more rest stops or raise the limit.');
+    }
+    
+    const segments = getStopSegments(graph, from, to, days[0].path, days[days.length - 1].path);
+    
+    finishStopPaths(pathfinder, graph, days);
+    addOvernightStops(graph, days, restStops);
+    return { paths: days, segments };
+}
+
+/**
+ * Charge each day that ends at a rest stop the cost of stopping there
+ * The cost shows as a stopover step at the end of the day, as stops
+ * along a route do.
+ * @param {Map<string, import('./Pathfinder.js').GraphNode>} graph
+ * @param {Object[]} days - With legs and steps; changed in place
+ * @param {Map<string, number>} restStops - Cost of stopping at each rest stop
+ */
+function addOvernightStops(graph, days, restStops) {
+    days.slice(0, -1).forEach(day => {
+        const restId = day.path[day.path.length - 1];
+        const cost = restStops.get(restId);
+        if (!(cost > 0)) return;
+        
+        const node = graph.get(restId);
+        const position = { x: node.x, y: node.y };
+        day.steps.push({
+            fromId: restId,
+            toId: restId,
+            edgeId: null,
+            mapId: node.mapId,
+            fromPoint: position,
+            toPoint: position,
+            cost,
+            isStopover: true
+        });
+        day.cost += cost;
+        day.legs[day.legs.length - 1].cost += cost;
+    });
+}
+
+/**
+ * Build the graph and constraints for routing between two stops
+ * Arbitrary points are joined to the graph through virtual nodes.
+ * @param {import('./Pathfinder.js').Pathfinder} pathfinder
+ * @param {Object.<string, import('../models/Map.js').MapData>} maps
+ * @param {import('../models/Map.js').MapData} startMap - Map whose cost units are used
+ * @param {Object} from - Stop to leave from (with its map)
+ * @param {Object} to - Stop to arrive at (with its map)
+ * @param {import('./Avoidance.js').RouteAvoidance[]} avoidances
+ * @param {Object} graphOptions - Graph versions, travel profile, scenario and cost strategy (see Pathfinder.buildMultiMapGraph)
+ * @returns {{graph: Map<string, import('./Pathfinder.js').GraphNode>, constraints: import('./Avoidance.js').RouteConstraints, fromId: string, toId: string}}
+ */
+function buildStopGraph(pathfinder, maps, startMap, from, to, avoidances, graphOptions) {
+    // Build graph for pathfinder (includes maps linked through portals)
+    const graph = pathfinder.buildMultiMapGraph(maps, startMap.id, graphOptions);
+    const graphMaps = pathfinder.getPortalConnectedMapIds(maps, startMap.id).map(id => applyScenario(maps[id], graphOptions.scenario));
+    const constraints = getRouteConstraints(avoidances, graphMaps);
+    
+    const isConnected = stop => stop.map.id === startMap.id || stop.map.waypoints.some(wp => graph.has(wp.id));
+    if (!isConnected(from) || !isConnected(to)) {
+        throw new Error('The destination map is not connected to the start map through portals.');
+    }
+    
+    // Join arbitrary points to nearby waypoints and edges through virtual nodes
+    let fromId = from.waypointId;
+    let fromAttachments = [];
+    if (from.point) {
+        fromAttachments = findAttachments(from.point, from.map);
+        if (fromAttachments.length === 0) {
+            throw new Error('No waypoints or edges nearby, or only across impassable terrain. Place waypoints closer to your route points.');
+        }
+        fromId = START_NODE_ID;
+        const costFactor = pathfinder.getMapCostFactor(from.map, startMap);
+        attachPointToGraph(graph, START_NODE_ID, from.point, fromAttachments, 'start', costFactor);
+        addAttachmentConstraints(constraints, START_NODE_ID, fromAttachments);
+    }
+    
+    let toId = to.waypointId;
+    if (to.point) {
+        const toAttachments = findAttachments(to.point, to.map);
+        if (toAttachments.length === 0) {
+            throw new Error('No waypoints or edges nearby, or only across impassable terrain. Place waypoints closer to your route points.');
+        }
+        toId = END_NODE_ID;
+        const costFactor = pathfinder.getMapCostFactor(to.map, startMap);
+        attachPointToGraph(graph, END_NODE_ID, to.point, toAttachments, 'end', costFactor);
+        addAttachmentConstraints(constraints, END_NODE_ID, toAttachments);
+        
+        if (from.point && from.map.id === to.map.id) {
+            linkSharedEdgeAttachments(graph, START_NODE_ID, END_NODE_ID, fromAttachments, toAttachments, costFactor);
+        }
+    }
+    
+    if (from.point || to.point) {
+        pathfinder.invalidateHeuristic(graph);
+    }
+    
+    return { graph, constraints, fromId, toId };
+}
+
+/**
+ * Describe how a route joins the arbitrary points it starts or ends at
+ * @param {Map<string, import('./Pathfinder.js').GraphNode>} graph
+ * @param {Object} from - Stop left from
+ * @param {Object} to - Stop arrived at
+ * @param {string[]} firstPath - Path leaving the start
+ * @param {string[]} lastPath - Path reaching the end
+ * @returns {import('./PointAttachment.js').PointSegment[]}
+ */
+function getStopSegments(graph, from, to, firstPath, lastPath) {
+    return [
+        from.point ? getPointSegment(graph, firstPath, START_NODE_ID, from.point) : null,
+        to.point ? getPointSegment(graph, lastPath, END_NODE_ID, to.point) : null
+    ].filter(Boolean);
+}
+
+/**
+ * Split found paths into per-map legs and steps, then drop the virtual nodes
+ * @param {import('./Pathfinder.js').Pathfinder} pathfinder
+ * @param {Map<string, import('./Pathfinder.js').GraphNode>} graph
+ * @param {Object[]} paths - Changed in place
+ */
+function finishStopPaths(pathfinder, graph, paths) {
+    paths.forEach(route => {
+        route.legs = pathfinder.getRouteLegs(graph, route);
+        route.steps = pathfinder.getPathSteps(graph, route.path);
+        stripPointNodes(route);
+    });
+}
+
+/**
+ * Find the cost of travelling between every ordered pair of waypoints
+ * Routes may pass through other maps linked by portals. Closed waypoints
+ * and edges are left out, so closed places can't be reached.
+ * @param {import('./Pathfinder.js').Pathfinder} pathfinder
+ * @param {Object} query
+ * @param {Object.<string, import('../models/Map.js').MapData>} query.maps - All maps
+ * @param {string} query.mapId - Map whose cost units are used
+ * @param {string[]} query.waypointIds - Waypoints to travel between
+ * @param {import('./Avoidance.js').ClosureOverlay} query.closures
+ * @param {import('../models/TravelProfile.js').TravelProfile|null} [query.profile] - Way of travelling
+ * @param {string|null} [query.scenario] - Name of the scenario to apply
+ * @param {string|null} [query.costStrategy] - ID of the cost strategy to use (see CostStrategy)
+ * @param {Object.<string, number>|null} [query.graphVersions] - Map graph versions (see GraphCache)
+ * @param {function(number, number): void} [onProgress] - Called with rows done and row count
+ * @returns {(number|null)[][]} costs[i][j] is the cost from waypointIds[i] to waypointIds[j] (null if unreachable)
+ */
+export function findCostMatrix(pathfinder, { maps, mapId, waypointIds, closures, profile = null, scenario = null, costStrategy = null, graphVersions = null }, onProgress = () => {}) {
+    const graph = pathfinder.buildMultiMapGraph(maps, mapId, { graphVersions, profile, scenario, costStrategy });
+    removeClosures(graph, closures);
+    
+    return waypointIds.map((fromId, i) => {
+        onProgress(i, waypointIds.length);
+        const { costs } = pathfinder.shortestPathTree(graph, fromId);
+        return waypointIds.map(toId => costs.has(toId) ? costs.get(toId) : null);
+    });
+}
+
+/**
+ * Find the cheapest routes from a waypoint to the nearest waypoints of a category
+ * Looks on every map linked by portals. Blocked avoidances are kept out of
+ * the way, and penalised waypoints and edges are avoided where possible
+ * without adding to the costs found, which places are ranked by.
+ * @param {import('./Pathfinder.js').Pathfinder} pathfinder
+ * @param {Object} query
+ * @param {Object.<string, import('../models/Map.js').MapData>} query.maps - All maps
+ * @param {string} query.mapId - Map of the waypoint to search from (its cost units are used)
+ * @param {string} query.fromId - Waypoint to search from
+ * @param {string} query.category - Kind of waypoint to look for
+ * @param {number} [query.count=1] - How many to find
+ * @param {import('./Avoidance.js').RouteAvoidance[]} query.avoidances
+ * @param {import('../models/TravelProfile.js').TravelProfile|null} [query.profile] - Way of travelling
+ * @param {string|null} [query.scenario] - Name of the scenario to apply
+ * @param {string|null} [query.costStrategy] - ID of the cost strategy to use (see CostStrategy)
+ * @param {Object.<string, number>|null} [query.graphVersions] - Map graph versions (see GraphCache)
+ * @param {function(number, number): void} [onProgress] - Called with searches done and search count
+ * @returns {import('./Pathfinder.js').PathResult[]} Nearest first
+ */
+export function findNearest(pathfinder, { maps, mapId, fromId, category, count = 1, avoidances, profile = null, scenario = null, costStrategy = null, graphVersions = null }, onProgress = () => {}) {
+    const graph = pathfinder.buildMultiMapGraph(maps, mapId, { graphVersions, profile, scenario, costStrategy });
+    const graphMaps = pathfinder.getPortalConnectedMapIds(maps, mapId).map(id => applyScenario(maps[id], scenario));
+    const constraints = getRouteConstraints(avoidances, graphMaps);
+    
+    const targetIds = new Set(graphMaps
+        .flatMap(map => map.waypoints)
+        .filter(wp => wp.id !== fromId && getCategory(wp) === category && !constraints.excludedNodes.has(wp.id))
+        .map(wp => wp.id));
+    if (targetIds.size === 0) {
+        throw new Error(`No other "${category}" waypoints on this map or maps linked to it.`);
+    }
+    
+    // Penalties only sway the way to each place, so with any the search
+    // can't stop at the first few places: the real costs may rank them differently
+    const searchGraph = getPenalisedGraph(pathfinder, graph, constraints.penalties);
+    const searchCount = searchGraph === graph ? count : targetIds.size;
+    
+    // Blocked edges are never travelled, so places only reached over them don't count
+    onProgress(0, 1);
+    const paths = pathfinder.findNearest(searchGraph, fromId, targetIds, searchCount, constraints.excludedNodes, constraints.excludedEdges);
+    onProgress(1, 1);
+    
+    if (paths.length === 0) {
+        throw new Error(`No "${category}" can be reached from here.`);
+    }
+    
+    paths.forEach(path => {
+        path.cost = pathfinder.calculatePathCost(graph, path.path);
+    });
+    return paths.sort((a, b) => a.cost - b.cost).slice(0, count);
+}
+
+/**
+ * Find where parties starting at different waypoints can meet
+ * Looks on every map linked by portals to the first party's map. Like the
+ * nearest places, blocked avoidances are kept out of the way and penalised
+ * waypoints and edges are avoided where possible without adding to the
+ * costs found (the meeting place is still chosen with penalties).
+ * @param {import('./Pathfinder.js').Pathfinder} pathfinder
+ * @param {Object} query
+ * @param {Object.<string, import('../models/Map.js').MapData>} query.maps - All maps
+ * @param {string} query.mapId - Map of the first party (its cost units are used)
+ * @param {string[]} query.partyIds - Waypoint each party starts at
+ * @param {'max'|'total'} [query.mode='max'] - Keep the last arrival or the total cost lowest
+ * @param {import('./Avoidance.js').RouteAvoidance[]} query.avoidances
+ * @param {import('../models/TravelProfile.js').TravelProfile|null} [query.profile] - Way of travelling
+ * @param {string|null} [query.scenario] - Name of the scenario to apply
+ * @param {string|null} [query.costStrategy] - ID of the cost strategy to use (see CostStrategy)
+ * @param {Object.<string, number>|null} [query.graphVersions] - Map graph versions (see GraphCache)
+ * @param {function(number, number): void} [onProgress] - Called with parties searched and party count
+ * @returns {import('./Pathfinder.js').MeetingPoint} Paths in party order
+ */
+export function findMeetingPoint(pathfinder, { maps, mapId, partyIds, mode = 'max', avoidances, profile = null, scenario = null, costStrategy = null, graphVersions = null }, onProgress = () => {}) {
+    if (partyIds.length < 2) {
+        throw new Error('Add at least two parties to find where they can meet.');
+    }
+    
+    const graph = pathfinder.buildMultiMapGraph(maps, mapId, { graphVersions, profile, scenario, costStrategy });
+    if (partyIds.some(id => !graph.has(id))) {
+        throw new Error('The parties must be on the same map or maps linked to it by portals.');
+    }
+    
+    const graphMaps = pathfinder.getPortalConnectedMapIds(maps, mapId).map(id => applyScenario(maps[id], scenario));
+    const constraints = getRouteConstraints(avoidances, graphMaps);
+    
+    const searchGraph = getPenalisedGraph(pathfinder, graph, constraints.penalties);
+    
+    // Blocked edges are never travelled
+    const meeting = pathfinder.findMeetingPoint(searchGraph, partyIds, mode, constraints.excludedNodes, constraints.excludedEdges, onProgress);
+    if (!meeting) {
+        throw new Error('There is no place all the parties can reach.');
+    }
+    
+    meeting.paths.forEach(path => {
+        path.cost = pathfinder.calculatePathCost(graph, path.path);
+    });
+    return meeting;
+}
+
+/**
+ * Find the cheapest order to visit stops in
+ * Searches once from each stop, over one graph with every stop joined to
+ * it, so the cost matrix takes as many searches as there are stops.
+ * Avoidances and closures apply as they do to the route, and costs are
+ * real ones; arbitrary stops are reached but never passed through.
+ * @param {import('./Pathfinder.js').Pathfinder} pathfinder
+ * @param {Object} query
+ * @param {Object.<string, import('../models/Map.js').MapData>} query.maps - All maps
+ * @param {RouteStop[]} query.stops - Stops in their current order (the first map's cost units are used)
+ * @param {string} query.mode - Which stops keep their place (see TourSolver TOUR_MODES)
+ * @param {import('./Avoidance.js').RouteAvoidance[]} query.avoidances
+ * @param {import('../models/TravelProfile.js').TravelProfile|null} [query.profile] - Way of travelling
+ * @param {string|null} [query.scenario] - Name of the scenario to apply
+ * @param {string|null} [query.costStrategy] - ID of the cost strategy to use (see CostStrategy)
+ * @param {Object.<string, number>|null} [query.graphVersions] - Map graph versions (see GraphCache)
+ * @param {function(number, number): void} [onProgress] - Called with stops searched from and stop count
+ * @returns {import('./TourSolver.js').TourResult} Indices into stops, in visiting order
+ */
+export function findStopOrder(pathfinder, { maps, stops, mode, avoidances, profile = null, scenario = null, costStrategy = null, graphVersions = null }, onProgress = () => {}) {
+    const resolved = stops.map(stop => ({ ...stop, map: applyScenario(maps[stop.mapId], scenario) }));
+    const startMap = resolved[0].map;
+    
+    const graph = pathfinder.buildMultiMapGraph(maps, startMap.id, { graphVersions, profile, scenario, costStrategy });
+    if (!resolved.every(stop => stop.map.id === startMap.id || stop.map.waypoints.some(wp => graph.has(wp.id)))) {
+        throw new Error('Some stops are on maps not connected to the start map through portals.');
+    }
+    
+    const graphMaps = pathfinder.getPortalConnectedMapIds(maps, startMap.id).map(id => applyScenario(maps[id], scenario));
+    const constraints = getRouteConstraints(avoidances, graphMaps);
+    
+    // Join each arbitrary stop once, as both a start and an end
+    const pointStops = [];
+    const nodeIds = resolved.map((stop, i) => {
+        if (!stop.point) return stop.waypointId;
+        
+        const attachments = findAttachments(stop.point, stop.map);
+        if (attachments.length === 0) {
+            throw new Error('No waypoints or edges nearby, or only across impassable terrain. Place waypoints closer to your route points.');
+        }
+        
+        const nodeId = `${POINT_NODE_PREFIX}stop-${i}`;
+        const costFactor = pathfinder.getMapCostFactor(stop.map, startMap);
+        attachPointToGraph(graph, nodeId, stop.point, attachments, 'start', costFactor);
+        attachPointToGraph(graph, nodeId, stop.point, attachments, 'end', costFactor);
+        addAttachmentConstraints(constraints, nodeId, attachments);
+        
+        pointStops.forEach(other => {
+            if (other.map.id !== stop.map.id) return;
+            linkSharedEdgeAttachments(graph, other.nodeId, nodeId, other.attachments, attachments, costFactor);
+            linkSharedEdgeAttachments(graph, nodeId, other.nodeId, attachments, other.attachments, costFactor);
+        });
+        pointStops.push({ nodeId, map: stop.map, attachments });
+        return nodeId;
+    });
+    
+    const excludedNodes = new Set([...constraints.excludedNodes, ...pointStops.map(stop => stop.nodeId)]);
+    const searchGraph = getPenalisedGraph(pathfinder, graph, constraints.penalties);
+    
+    const costs = nodeIds.map((fromId, i) => {
+        onProgress(i, nodeIds.length);
+        const tree = pathfinder.shortestPathTree(searchGraph, fromId, excludedNodes, Infinity, () => false, constraints.excludedEdges);
+        return nodeIds.map(toId => {
+            if (!tree.costs.has(toId)) return Infinity;
+            if (searchGraph === graph) return tree.costs.get(toId);
+            
+            const path = pathfinder.reconstructPath(tree.previous, tree.previousEdge, fromId, toId, 0).path;
+            return pathfinder.calculatePathCost(graph, path);
+        });
+    });
+    onProgress(nodeIds.length, nodeIds.length);
+    
+    const tour = solveTour(costs, mode);
+    
+    if (!tour) {
+        throw new Error('No order of the stops can be travelled.');
+    }
+    return tour;
+}
+
+/**
+ * Get a copy of a graph with penalised avoidances built into its costs
+ * For searches that can't weigh penalties as they go.
+ * @param {import('./Pathfinder.js').Pathfinder} pathfinder
+ * @param {Map<string, import('./Pathfinder.js').GraphNode>} graph
+ * @param {import('./Pathfinder.js').CostPenalties} penalties
+ * @returns {Map<string, import('./Pathfinder.js').GraphNode>} The graph itself if nothing is penalised
+ */
+function getPenalisedGraph(pathfinder, graph, penalties) {
+    if (penalties.edges.size === 0 && penalties.nodes.size === 0) return graph;
+    return pathfinder.createPenalisedGraph(graph, penalties.edges, penalties.nodes);
+}
+
+/**
+ * @typedef {Object} ReachResult
+ * @property {import('./Pathfinder.js').ReachableArea[]} areas - One per budget, in the same order
+ * @property {Float64Array|null} cellCosts - Cost to reach each terrain cell of the start map (null without terrain)
+ */
+
+/**
+ * Find how far a start can get within each of several cost budgets
+ * Closed waypoints and edges are left out. Reached waypoints keep going
+ * across the terrain grid, so painted maps get the cost of every cell in
+ * reach too.
+ * @param {import('./Pathfinder.js').Pathfinder} pathfinder
+ * @param {Object} query
+ * @param {Object.<string, import('../models/Map.js').MapData>} query.maps - All maps
+ * @param {RouteStop} query.start - Where to start (its map's cost units are used)
+ * @param {number[]} query.budgets - Cost budgets, smallest first
+ * @param {import('./Avoidance.js').ClosureOverlay} query.closures
+ * @param {import('../models/TravelProfile.js').TravelProfile|null} [query.profile] - Way of travelling
+ * @param {string|null} [query.scenario] - Name of the scenario to apply
+ * @param {string|null} [query.costStrategy] - ID of the cost strategy to use (see CostStrategy)
+ * @param {Object.<string, number>|null} [query.graphVersions] - Map graph versions (see GraphCache)
+ * @param {function(number, number): void} [onProgress] - Called with searches done and search count
+ * @returns {ReachResult}
+ */
+export function findReach(pathfinder, { maps, start, budgets, closures, profile = null, scenario = null, costStrategy = null, graphVersions = null }, onProgress = () => {}) {
+    const startMap = applyScenario(maps[start.mapId], scenario);
+    const graph = pathfinder.buildMultiMapGraph(maps, startMap.id, { graphVersions, profile, scenario, costStrategy });
+    
+    let startId = start.waypointId;
+    if (start.point) {
+        startId = START_NODE_ID;
+        attachPointToGraph(graph, START_NODE_ID, start.point, findAttachments(start.point, startMap), 'start');
+    }
+    removeClosures(graph, closures);
+    
+    onProgress(0, 1);
+    const areas = pathfinder.findReachable(graph, startId, budgets);
+    
+    // Carry on across country from everything reached on the start map
+    let cellCosts = null;
+    if (startMap.terrain) {
+        const sources = [...areas[areas.length - 1].nodes]
+            .map(([nodeId, cost]) => ({ node: graph.get(nodeId), cost }))
+            .filter(({ node }) => node.mapId === startMap.id || node.id === startId)
+            .map(({ node, cost }) => ({ x: node.x, y: node.y, cost }));
+        cellCosts = findTerrainReach(applyProfileToTerrain(startMap.terrain, profile), startMap.imageWidth, startMap.imageHeight,
+            sources, budgets[budgets.length - 1]);
+    }
+    onProgress(1, 1);
+    
+    return { areas, cellCosts };
+}
+
+/**
+ * Find the routes between two waypoints that trade cost against danger
+ * Each route offered is cheaper or safer than every other route. Blocked
+ * avoidances and closures apply; penalties don't, as the costs weighed
+ * are real ones.
+ * @param {import('./Pathfinder.js').Pathfinder} pathfinder
+ * @param {Object} query
+ * @param {Object.<string, import('../models/Map.js').MapData>} query.maps - All maps
+ * @param {RouteStop[]} query.stops - Start and end, both waypoints
+ * @param {import('./Avoidance.js').RouteAvoidance[]} query.avoidances
+ * @param {import('../models/TravelProfile.js').TravelProfile|null} [query.profile] - Way of travelling
+ * @param {string|null} [query.scenario] - Name of the scenario to apply
+ * @param {string|null} [query.costStrategy] - ID of the cost strategy to use (see CostStrategy)
+ * @param {Object.<string, number>|null} [query.graphVersions] - Map graph versions (see GraphCache)
+ * @param {function(number, number): void} [onProgress] - Called with searches done and search count
+ * @returns {Object[]} Routes with legs, steps, danger and kind (TradeOffKind), cheapest first
+ */
+export function findTradeOffRoutes(pathfinder, { maps, stops, avoidances, profile = null, scenario = null, costStrategy = null, graphVersions = null }, onProgress = () => {}) {
+    const [from, to] = stops;
+    if (stops.length !== 2 || !from.waypointId || !to.waypointId) {
+        throw new Error('Only routes between two waypoints, without stops in between, can weigh cost against danger.');
+    }
+    
+    const graph = pathfinder.buildMultiMapGraph(maps, from.mapId, { graphVersions, profile, scenario, costStrategy });
+    if (!graph.has(to.waypointId)) {
+        throw new Error('The destination map is not connected to the start map through portals.');
+    }
+    
+    const graphMaps = pathfinder.getPortalConnectedMapIds(maps, from.mapId).map(id => applyScenario(maps[id], scenario));
+    const constraints = getRouteConstraints(avoidances, graphMaps);
+    
+    onProgress(0, 1);
+    const front = pathfinder.findParetoRoutes(graph, from.waypointId, to.waypointId, getEdgeDangers(graphMaps),
+        constraints.excludedNodes, constraints.excludedEdges);
+    onProgress(1, 1);
+    
+    if (front.length === 0) {
+        throw new Error('No route found between these points.');
+    }
+    
+    const routes = pickTradeOffs(front);
+    finishStopPaths(pathfinder, graph, routes);
+    return routes;
+}
+
+/**
+ * Get the danger of every edge: its own plus that of the terrain it crosses
+ * @param {import('../models/Map.js').MapData[]} maps
+ * @returns {Map<string, number>} Danger per edge ID
+ */
+function getEdgeDangers(maps) {
+    const dangers = new Map();
+    maps.forEach(map => {
+        const waypointMap = new Map(map.waypoints.map(wp => [wp.id, wp]));
+        map.edges.forEach(edge => {
+            const fromWp = waypointMap.get(edge.from);
+            const toWp = waypointMap.get(edge.to);
+            if (!fromWp || !toWp) return;
+            
+            const terrainDanger = calculatePathTerrainDanger(map.terrain, sampleEdge(edge, fromWp, toWp), map.imageWidth, map.imageHeight);
+            dangers.set(edge.id, getEdgeDanger(edge) + terrainDanger);
+        });
+    });
+    return dangers;
+}
+
+/**
+ * Choose which trade-offs to offer and say what each is
+ * Keeps the cheapest, the safest and the balanced route (least cost plus
+ * danger, each measured across the range between those two), then fills
+ * up with routes spread evenly between them.
+ * @param {import('./Pathfinder.js').ParetoPath[]} front - Cheapest first
+ * @returns {Object[]} Copies with a kind (TradeOffKind), cheapest first
+ */
+function pickTradeOffs(front) {
+    if (front.length === 1) {
+        return [{ ...front[0], kind: 'only' }];
+    }
+    
+    const last = front.length - 1;
+    const cheapest = front[0];
+    const safest = front[last];
+    const costRange = safest.cost - cheapest.cost || 1;
+    const dangerRange = cheapest.danger - safest.danger || 1;
+    const getScore = route => (route.cost - cheapest.cost) / costRange + (route.danger - safest.danger) / dangerRange;
+    
+    let balanced = -1;
+    for (let i = 1; i < last; i++) {
+        if (balanced === -1 || getScore(front[i]) < getScore(front[balanced])) balanced = i;
+    }
+    
+    const count = Math.min(MAX_TRADE_OFF_ROUTES, front.length);
+    const kept = new Set([0, last]);
+    if (balanced !== -1) kept.add(balanced);
+    for (let j = 1; j < count - 1 && kept.size < count; j++) {
+        kept.add(Math.round(j * last / (count - 1)));
+    }
+    for (let i = 1; kept.size < count; i++) {
+        kept.add(i);
+    }
+    
+    const getKind = (i) => {
+        if (i === 0) return 'cheapest';
+        if (i === last) return 'safest';
+        return i === balanced ? 'balanced' : 'between';
+    };
+    return [...kept].sort((a, b) => a - b).map(i => ({ ...front[i], kind: getKind(i) }));
+}
+
+/**
+ * Find a route over the terrain grid through points on one map, ignoring edges
+ * @param {Object} query
+ * @param {import('../models/Map.js').MapData} query.map
+ * @param {{x: number, y: number}[]} query.points - Stops in order, in image coordinates
+ * @param {import('./Avoidance.js').RouteAvoidance[]} query.avoidances
+ * @param {import('../models/TravelProfile.js').TravelProfile|null} [query.profile] - Way of travelling
+ * @param {string|null} [query.scenario] - Name of the scenario to apply
+ * @param {function(number, number): void} [onProgress] - Called with pairs done and pair count
+ * @returns {Object} Route with the polyline in points and per-stop costs (stopLegs)
+ */
+export function findTerrainRoute({ map: baseMap, points, avoidances, profile = null, scenario = null }, onProgress = () => {}) {
+    const map = applyScenario(baseMap, scenario);
+    
+    // Unpainted maps are routed as uniform terrain
+    const terrain = applyProfileToTerrain(map.terrain || createTerrainLayer(map.imageWidth, map.imageHeight), profile);
+    
+    // Only terrain avoidances apply off the network
+    const typeFactors = getTerrainAvoidFactors(avoidances);
+    
+    const route = {
+        path: [],
+        edges: [],
+        cost: 0,
+        points: [],
+        stopLegs: [],
+        mapId: map.id,
+        costMapId: map.id
+    };
+    
+    for (let i = 0; i < points.length - 1; i++) {
+        onProgress(i, points.length - 1);
+        
+        const result = findTerrainPath(terrain, map.imageWidth, map.imageHeight, points[i], points[i + 1], typeFactors);
+        if (!result) {
+            throw new Error('No route found between these points.');
+        }
+        
+        route.points.push(...(i > 0 ? result.points.slice(1) : result.points));
+        route.cost += result.cost;
+        route.stopLegs.push({ cost: result.cost });
+    }
+    onProgress(points.length - 1, points.length - 1);
+    
+    return route;
+}
@@ -0,0 +1,287 @@
+/**
+ * TerrainRouter - Free-form routing over the terrain grid
+ *
+ * Finds a path between two points without using waypoints or edges,
+ * moving between neighbouring terrain cells (8 directions). Each move
+ * costs its length in pixels times the terrain cost of the cells it
+ * crosses, in the same units as edge costs (100 pixels of cost 1 = 1).
+ * Cells of terrain that blocks movement can't be entered, and diagonal
+ * moves can't cut the corner of one. The same moves measure how far travel
+ * reaches across the grid.
+ */
+
+import { PriorityQueue } from './PriorityQueue.js';
+import { imageToGrid, gridToImage, getTerrainAt, getBlockingTypeIds } from '../models/Terrain.js';
+
+/**
+ * Neighbour offsets (4 straight moves, then 4 diagonal)
+ */
+const NEIGHBOR_OFFSETS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+
+/**
+ * @typedef {Object} TerrainPathResult
+ * @property {{x: number, y: number}[]} points - Polyline from start to end in image coordinates
+ * @property {number} cost - Total cost
+ */
+
+/**
+ * @typedef {Object} CostGrid
+ * @property {number} width - Cells horizontally
+ * @property {number} height - Cells vertically
+ * @property {number} cellWidth - Cell width in pixels
+ * @property {number} cellHeight - Cell height in pixels
+ * @property {Float64Array} costs - Terrain cost of each cell (row-major, Infinity if blocked)
+ * @property {Float64Array} baseCosts - Terrain cost of each cell without the type multipliers (Infinity if the terrain blocks movement)
+ * @property {number} minCost - Cheapest cell cost
+ */
+
+/**
+ * Build a lookup of terrain cost per cell
+ * @param {import('../models/Terrain.js').TerrainLayer} terrain
+ * @param {number} imageWidth
+ * @param {number} imageHeight
+ * @param {Map<string, number>} [typeFactors] - Cost multiplier per terrain type ID (Infinity blocks it)
+ * @returns {CostGrid}
+ */
+export function createCostGrid(terrain, imageWidth, imageHeight, typeFactors = new Map()) {
+    const width = terrain.gridWidth;
+    const height = terrain.gridHeight;
+    const costs = new Float64Array(width * height);
+    const baseCosts = new Float64Array(width * height);
+    const typeCosts = new Map(terrain.types.map(t => [t.id, t.cost]));
+    const blockingIds = getBlockingTypeIds(terrain);
+    let minCost = Infinity;
+    
+    for (let cellY = 0; cellY < height; cellY++) {
+        for (let cellX = 0; cellX < width; cellX++) {
+            const typeId = getTerrainAt(terrain, cellX, cellY);
+            // Unpainted cells cost 1, as elsewhere
+            let baseCost = typeId && typeCosts.has(typeId) ? typeCosts.get(typeId) : 1;
+            if (blockingIds.has(typeId)) baseCost = Infinity;
+            const cost = baseCost * (typeFactors.get(typeId) || 1);
+            costs[cellY * width + cellX] = cost;
+            baseCosts[cellY * width + cellX] = baseCost;
+            minCost = Math.min(minCost, cost);
+        }
+    }
+    
+    return {
+        width,
+        height,
+        cellWidth: imageWidth / width,
+        cellHeight: imageHeight / height,
+        costs,
+        baseCosts,
+        minCost
+    };
+}
+
+/**
+ * Find the cheapest path between two points over the terrain grid (A*)
+ * @param {import('../models/Terrain.js').TerrainLayer} terrain
+ * @param {number} imageWidth
+ * @param {number} imageHeight
+ * @param {{x: number, y: number}} start - Start point in image coordinates
+ * @param {{x: number, y: number}} end - End point in image coordinates
+ * @param {Map<string, number>} [typeFactors] - Cost multiplier per terrain type ID (Infinity blocks it)
+ * @returns {TerrainPathResult|null} Null if there is no way through, or a point is on terrain that blocks movement
+ */
+export function findTerrainPath(terrain, imageWidth, imageHeight, start, end, typeFactors = new Map()) {
+    const costGrid = createCostGrid(terrain, imageWidth, imageHeight, typeFactors);
+    const { width, height, cellWidth, cellHeight, costs, baseCosts } = costGrid;
+    
+    const startCell = imageToGrid(start.x, start.y, imageWidth, imageHeight, terrain);
+    const endCell = imageToGrid(end.x, end.y, imageWidth, imageHeight, terrain);
+    const startIndex = startCell.cellY * width + startCell.cellX;
+    const endIndex = endCell.cellY * width + endCell.cellX;
+    if (baseCosts[startIndex] === Infinity || baseCosts[endIndex] === Infinity) return null;
+    
+    // Straight-line distance at the cheapest terrain never overestimates
+    const minCostPerPixel = costGrid.minCost / 100;
+    const heuristic = (index) => {
+        const dx = ((index % width) - endCell.cellX) * cellWidth;
+        const dy = (Math.floor(index / width) - endCell.cellY) * cellHeight;
+        return Math.sqrt(dx * dx + dy * dy) * minCostPerPixel;
+    };
+    
+    const bestCosts = new Float64Array(width * height).fill(Infinity);
+    const realCosts = new Float64Array(width * height); // Without type multipliers
+    const previous = new Int32Array(width * height).fill(-1);
+    const visited = new Uint8Array(width * height);
+    const queue = new PriorityQueue();
+    
+    bestCosts[startIndex] = 0;
+    queue.push(startIndex, heuristic(startIndex));
+    
+    while (!queue.isEmpty()) {
+        const index = queue.pop();
+        if (visited[index]) continue;
+        visited[index] = 1;
+        
+        if (index === endIndex) break;
+        
+        const cellX = index % width;
+        const cellY = Math.floor(index / width);
+        
+        for (const [dx, dy] of NEIGHBOR_OFFSETS) {
+            const nx = cellX + dx;
+            const ny = cellY + dy;
+            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+            
+            const neighborIndex = ny * width + nx;
+            if (visited[neighborIndex] || !canMove(costs, width, cellX, cellY, dx, dy)) continue;
+            
+            // Half the move is in each cell
+            const moveLength = Math.sqrt((dx * cellWidth) ** 2 + (dy * cellHeight) ** 2);
+            const moveCost = moveLength * (costs[index] + costs[neighborIndex]) / 2 / 100;
+            const newCost = bestCosts[index] + moveCost;
+            
+            if (newCost < bestCosts[neighborIndex]) {
+                bestCosts[neighborIndex] = newCost;
+                realCosts[neighborIndex] = realCosts[index] + moveLength * (baseCosts[index] + baseCosts[neighborIndex]) / 2 / 100;
+                previous[neighborIndex] = index;
+                queue.push(neighborIndex, newCost + heuristic(neighborIndex));
+            }
+        }
+    }
+    
+    if (!visited[endIndex]) return null;
+    
+    // Walk back from the end cell
+    const cells = [];
+    for (let index = endIndex; index !== -1; index = previous[index]) {
+        cells.unshift(index);
+    }
+    
+    const centers = cells.map(index => {
+        const { imageX, imageY } = gridToImage(index % width, Math.floor(index / width), imageWidth, imageHeight, terrain);
+        return { x: imageX, y: imageY };
+    });
+    
+    // Connect the exact start and end points to their cell centres
+    const startLink = distanceBetween(start, centers[0]) * baseCosts[startIndex] / 100;
+    const endLink = distanceBetween(centers[centers.length - 1], end) * baseCosts[endIndex] / 100;
+    
+    const points = simplifyPolyline([
+        { x: start.x, y: start.y },
+        ...centers,
+        { x: end.x, y: end.y }
+    ]);
+    
+    return {
+        points,
+        cost: realCosts[endIndex] + startLink + endLink
+    };
+}
+
+/**
+ * Find the cheapest cost to reach every terrain cell from one or more points
+ * Each source starts at its own cost, so travel along the route network can
+ * carry on across country from every waypoint it reaches. Sources in
+ * terrain that blocks movement are skipped, as in findTerrainPath.
+ * @param {import('../models/Terrain.js').TerrainLayer} terrain
+ * @param {number} imageWidth
+ * @param {number} imageHeight
+ * @param {{x: number, y: number, cost: number}[]} sources - Points in image coordinates and the cost to be there
+ * @param {number} maxCost - Stop expanding past this cost
+ * @returns {Float64Array} Cost to reach each cell (row-major, Infinity if out of reach)
+ */
+export function findTerrainReach(terrain, imageWidth, imageHeight, sources, maxCost) {
+    const { width, height, cellWidth, cellHeight, costs, baseCosts } = createCostGrid(terrain, imageWidth, imageHeight);
+    
+    const bestCosts = new Float64Array(width * height).fill(Infinity);
+    const visited = new Uint8Array(width * height);
+    const queue = new PriorityQueue();
+    
+    sources.forEach(source => {
+        const { cellX, cellY } = imageToGrid(source.x, source.y, imageWidth, imageHeight, terrain);
+        const index = cellY * width + cellX;
+        if (baseCosts[index] === Infinity) return;
+        if (source.cost < bestCosts[index]) {
+            bestCosts[index] = source.cost;
+            queue.push(index, source.cost);
+        }
+    });
+    
+    while (!queue.isEmpty()) {
+        const index = queue.pop();
+        if (visited[index]) continue;
+        visited[index] = 1;
+        
+        const cellX = index % width;
+        const cellY = Math.floor(index / width);
+        
+        for (const [dx, dy] of NEIGHBOR_OFFSETS) {
+            const nx = cellX + dx;
+            const ny = cellY + dy;
+            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+            
+            const neighborIndex = ny * width + nx;
+            if (visited[neighborIndex] || !canMove(costs, width, cellX, cellY, dx, dy)) continue;
+            
+            // Half the move is in each cell, as in findTerrainPath
+            const moveLength = Math.sqrt((dx * cellWidth) ** 2 + (dy * cellHeight) ** 2);
+            const newCost = bestCosts[index] + moveLength * (costs[index] + costs[neighborIndex]) / 2 / 100;
+            
+            if (newCost <= maxCost && newCost < bestCosts[neighborIndex]) {
+                bestCosts[neighborIndex] = newCost;
+                queue.push(neighborIndex, newCost);
+            }
+        }
+    }
+    
+    return bestCosts;
+}
+
+/**
+ * Check if a move to a neighbouring cell is allowed
+ * The cell moved to must not be blocked, and neither may the two cells
+ * beside a diagonal move, so moves don't slip through the corners of walls.
+ * @param {Float64Array} costs - Cell costs (Infinity if blocked)
+ * @param {number} width - Cells horizontally
+ * @param {number} cellX - Cell moved from
+ * @param {number} cellY
+ * @param {number} dx - Move, -1 to 1 on each axis
+ * @param {number} dy
+ * @returns {boolean} The target cell must be on the grid
+ */
+function canMove(costs, width, cellX, cellY, dx, dy) {
+    if (costs[(cellY + dy) * width + cellX + dx] === Infinity) return false;
+    if (dx === 0 || dy === 0) return true;
+    return costs[cellY * width + cellX + dx] !== Infinity && costs[(cellY + dy) * width + cellX] !== Infinity;
+}
+
+/**
+ * Distance between two points
+ * @param {{x: number, y: number}} a
+ * @param {{x: number, y: number}} b
+ * @returns {number}
+ */
+function distanceBetween(a, b) {
+    return Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2);
+}
+
+/**
+ * Drop points that lie on a straight run between their neighbours
+ * @param {{x: number, y: number}[]} points
+ * @returns {{x: number, y: number}[]}
+ */
+function simplifyPolyline(points) {
+    if (points.length <= 2) return points;
+    
+    const result = [points[0]];
+    for (let i = 1; i < points.length - 1; i++) {
+        const prev = result[result.length - 1];
+        const curr = points[i];
+        const next = points[i + 1];
+        const cross = (curr.x - prev.x) * (next.y - curr.y) - (curr.y - prev.y) * (next.x - curr.x);
+        if (Math.abs(cross) > 1e-6) {
+            result.push(curr);
+        }
+    }
+    result.push(points[points.length - 1]);
+    return result;
+}
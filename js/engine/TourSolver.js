@@ -0,0 +1,283 @@
+/**
+ * TourSolver - Best order to visit a set of stops (travelling salesman)
+ *
+ * Works on a matrix of travel costs between stops. Small sets are solved
+ * exactly (Held-Karp dynamic programming); larger ones start from a
+ * nearest-neighbour tour improved with 2-opt and Or-opt moves. Costs may
+ * differ by direction (one-way edges), so moves are compared by the full
+ * cost of the resulting order.
+ */
+
+/**
+ * Largest number of stops solved exactly
+ */
+export const EXACT_TOUR_LIMIT = 12;
+
+/**
+ * Tour modes
+ * - 'start-end': keep the first and last stop in place
+ * - 'start': keep the first stop, finish anywhere
+ * - 'end': start anywhere, keep the last stop
+ * - 'round': start at the first stop and return to it
+ */
+export const TOUR_MODES = ['start-end', 'start', 'end', 'round'];
+
+/**
+ * @typedef {Object} TourResult
+ * @property {number[]} order - Stop indices in visiting order (a round trip doesn't repeat the first stop)
+ * @property {number} cost - Total cost, including the way back for round trips
+ */
+
+/**
+ * Find the cheapest order to visit every stop
+ * @param {number[][]} costs - costs[i][j] is the cost from stop i to stop j (Infinity if unreachable)
+ * @param {string} [mode='start-end'] - One of TOUR_MODES
+ * @returns {TourResult|null} Null if no order reaches every stop
+ */
+export function solveTour(costs, mode = 'start-end') {
+    const n = costs.length;
+    if (n === 0) return null;
+    
+    const rules = getTourRules(n, mode);
+    
+    const result = n <= EXACT_TOUR_LIMIT
+        ? solveExact(costs, rules)
+        : solveHeuristic(costs, rules);
+    
+    return result && isFinite(result.cost) ? result : null;
+}
+
+/**
+ * Work out which stops are fixed for a mode
+ * @param {number} n - Number of stops
+ * @param {string} mode
+ * @returns {{first: number|null, last: number|null, isRound: boolean}}
+ */
+function getTourRules(n, mode) {
+    return {
+        first: mode === 'end' ? null : 0,
+        last: (mode === 'start-end' || mode === 'end') && n > 1 ? n - 1 : null,
+        isRound: mode === 'round'
+    };
+}
+
+/**
+ * Calculate the cost of visiting stops in an order
+ * @param {number[][]} costs
+ * @param {number[]} order
+ * @param {boolean} isRound - Whether to add the way back to the first stop
+ * @returns {number}
+ */
+export function getTourCost(costs, order, isRound = false) {
+    let cost = 0;
+    for (let i = 0; i < order.length - 1; i++) {
+        cost += costs[order[i]][order[i + 1]];
+    }
+    if (isRound && order.length > 1) {
+        cost += costs[order[order.length - 1]][order[0]];
+    }
+    return cost;
+}
+
+/**
+ * Solve exactly with Held-Karp dynamic programming over subsets of stops
+ * @param {number[][]} costs
+ * @param {{first: number|null, last: number|null, isRound: boolean}} rules
+ * @returns {TourResult}
+ */
+function solveExact(costs, rules) {
+    const n = costs.length;
+    const fullMask = (1 << n) - 1;
+    
+    // best[mask * n + j]: cheapest path visiting the stops in mask, ending at j
+    const best = new Float64Array((1 << n) * n).fill(Infinity);
+    const parent = new Int8Array((1 << n) * n).fill(-1);
+    
+    for (let s = 0; s < n; s++) {
+        const canStart = rules.first === null ? s !== rules.last || n === 1 : s === rules.first;
+        if (canStart) best[(1 << s) * n + s] = 0;
+    }
+    
+    for (let mask = 1; mask <= fullMask; mask++) {
+        for (let j = 0; j < n; j++) {
+            const current = best[mask * n + j];
+            if (current === Infinity) continue;
+            
+            for (let k = 0; k < n; k++) {
+                if (mask & (1 << k)) continue;
+                
+                const nextMask = mask | (1 << k);
+                // The fixed last stop can only be added at the very end
+                if (k === rules.last && nextMask !== fullMask) continue;
+                
+                const cost = current + costs[j][k];
+                if (cost < best[nextMask * n + k]) {
+                    best[nextMask * n + k] = cost;
+                    parent[nextMask * n + k] = j;
+                }
+            }
+        }
+    }
+    
+    // Pick the best finishing stop
+    let bestEnd = -1;
+    let bestCost = Infinity;
+    for (let j = 0; j < n; j++) {
+        if (rules.last !== null && j !== rules.last) continue;
+        const back = rules.isRound && n > 1 ? costs[j][rules.first] : 0;
+        const cost = best[fullMask * n + j] + back;
+        if (cost < bestCost) {
+            bestCost = cost;
+            bestEnd = j;
+        }
+    }
+    
+    if (bestEnd === -1) return { order: [], cost: Infinity };
+    
+    // Walk back through the parents
+    const order = [];
+    let mask = fullMask;
+    let j = bestEnd;
+    while (j !== -1) {
+        order.unshift(j);
+        const prev = parent[mask * n + j];
+        mask &= ~(1 << j);
+        j = prev;
+    }
+    
+    return { order, cost: bestCost };
+}
+
+/**
+ * Solve approximately: nearest-neighbour tour, then 2-opt and Or-opt improvements
+ * @param {number[][]} costs
+ * @param {{first: number|null, last: number|null, isRound: boolean}} rules
+ * @returns {TourResult}
+ */
+function solveHeuristic(costs, rules) {
+    const n = costs.length;
+    
+    // Try every allowed start when the start is free
+    const starts = rules.first !== null
+        ? [rules.first]
+        : Array.from({ length: n }, (_, i) => i).filter(i => i !== rules.last);
+    
+    let bestOrder = null;
+    let bestCost = Infinity;
+    starts.forEach(start => {
+        const order = buildNearestNeighborTour(costs, start, rules.last);
+        const cost = getTourCost(costs, order, rules.isRound);
+        if (bestOrder === null || cost < bestCost) {
+            bestOrder = order;
+            bestCost = cost;
+        }
+    });
+    
+    // Positions that may move (fixed first/last stay put)
+    const from = rules.first !== null ? 1 : 0;
+    const to = rules.last !== null ? n - 2 : n - 1;
+    
+    let improved = true;
+    while (improved) {
+        improved = false;
+        
+        const twoOpt = improveTwoOpt(costs, bestOrder, bestCost, from, to, rules.isRound);
+        if (twoOpt.cost < bestCost) {
+            bestOrder = twoOpt.order;
+            bestCost = twoOpt.cost;
+            improved = true;
+        }
+        
+        const orOpt = improveOrOpt(costs, bestOrder, bestCost, from, to, rules.isRound);
+        if (orOpt.cost < bestCost) {
+            bestOrder = orOpt.order;
+            bestCost = orOpt.cost;
+            improved = true;
+        }
+    }
+    
+    return { order: bestOrder, cost: bestCost };
+}
+
+/**
+ * Build a tour by always travelling to the cheapest unvisited stop
+ * @param {number[][]} costs
+ * @param {number} start
+ * @param {number|null} last - Stop that must come last
+ * @returns {number[]}
+ */
+function buildNearestNeighborTour(costs, start, last) {
+    const n = costs.length;
+    const visited = new Set([start]);
+    const order = [start];
+    
+    while (order.length < n) {
+        const current = order[order.length - 1];
+        let next = -1;
+        for (let k = 0; k < n; k++) {
+            if (visited.has(k) || (k === last && order.length < n - 1)) continue;
+            if (next === -1 || costs[current][k] < costs[current][next]) next = k;
+        }
+        visited.add(next);
+        order.push(next);
+    }
+    
+    return order;
+}
+
+/**
+ * Apply the first improving 2-opt move (reverse a run of stops)
+ * @param {number[][]} costs
+ * @param {number[]} order
+ * @param {number} cost - Cost of order
+ * @param {number} from - First movable position
+ * @param {number} to - Last movable position
+ * @param {boolean} isRound
+ * @returns {TourResult}
+ */
+function improveTwoOpt(costs, order, cost, from, to, isRound) {
+    for (let i = from; i < to; i++) {
+        for (let j = i + 1; j <= to; j++) {
+            const candidate = [
+                ...order.slice(0, i),
+                ...order.slice(i, j + 1).reverse(),
+                ...order.slice(j + 1)
+            ];
+            const candidateCost = getTourCost(costs, candidate, isRound);
+            if (candidateCost < cost - 1e-9) {
+                return { order: candidate, cost: candidateCost };
+            }
+        }
+    }
+    return { order, cost };
+}
+
+/**
+ * Apply the first improving Or-opt move (move a run of 1-3 stops elsewhere)
+ * @param {number[][]} costs
+ * @param {number[]} order
+ * @param {number} cost - Cost of order
+ * @param {number} from - First movable position
+ * @param {number} to - Last movable position
+ * @param {boolean} isRound
+ * @returns {TourResult}
+ */
+function improveOrOpt(costs, order, cost, from, to, isRound) {
+    for (let length = 1; length <= 3; length++) {
+        for (let i = from; i + length - 1 <= to; i++) {
+            const run = order.slice(i, i + length);
+            const rest = [...order.slice(0, i), ...order.slice(i + length)];
+            
+            // Insert the run at every other movable position
+            for (let at = from; at <= to - length + 1; at++) {
+                if (at === i) continue;
+                const candidate = [...rest.slice(0, at), ...run, ...rest.slice(at)];
+                const candidateCost = getTourCost(costs, candidate, isRound);
+                if (candidateCost < cost - 1e-9) {
+                    return { order: candidate, cost: candidateCost };
+                }
+            }
+        }
+    }
+    return { order, cost };
+}
@@ -6,6 +6,17 @@
 
 import { generateId } from '../utils/helpers.js';
 
+/**
+ * Kinds of way an edge can be tagged as
+ * Travel profiles set costs per tag (e.g. no sea lanes on foot).
+ */
+export const EDGE_TAGS = [
+    { id: 'road', name: 'Road' },
+    { id: 'trail', name: 'Trail' },
+    { id: 'river', name: 'River' },
+    { id: 'sea', name: 'Sea lane' }
+];
+
 /**
  * @typedef {Object} ControlPoint
  * @property {number} x - X coordinate
@@ -18,10 +29,13 @@ import { generateId } from '../utils/helpers.js';
  * @property {string} from - Source waypoint ID
  * @property {string} to - Target waypoint ID
  * @property {number} cost - Edge cost/weight (default: 1)
+ * @property {number|null} [reverseCost] - Cost travelling to → from, if different (null: same as cost)
  * @property {'straight'|'bezier'} type - Edge type
  * @property {ControlPoint[]} [controlPoints] - Control points for bezier curves
  * @property {boolean} [bidirectional] - Whether edge can be traversed both ways (default: true)
  * @property {boolean} [costOverride] - If true, cost is manually set; if false, auto-calculated from terrain
+ * @property {string[]} [tags] - Kinds of way (see EDGE_TAGS)
+ * @property {number} [danger] - Danger of travelling the edge either way, on top of its terrain's (default: 0)
  */
 
 /**
@@ -30,18 +44,22 @@ import { generateId } from '../utils/helpers.js';
  * @param {string} options.from - Source waypoint ID
  * @param {string} options.to - Target waypoint ID
  * @param {number} [options.cost] - Edge cost (default: 1)
+ * @param {number|null} [options.reverseCost] - Cost the other way (default: same as cost)
  * @returns {EdgeData}
  */
-export function createEdge({ from, to, cost = 1 }) {
+export function createEdge({ from, to, cost = 1, reverseCost = null }) {
     return {
         id: generateId('edge'),
         from,
         to,
         cost,
+        reverseCost,
         type: 'straight',
         controlPoints: [],
         bidirectional: true,
-        costOverride: false  // Auto-calculate from terrain by default
+        costOverride: false,  // Auto-calculate from terrain by default
+        tags: [],
+        danger: 0
     };
 }
 
@@ -73,6 +91,14 @@ export function validateEdge(edge) {
         errors.push('Edge cost must be a non-negative number');
     }
     
+    if (edge.reverseCost != null && (typeof edge.reverseCost !== 'number' || edge.reverseCost < 0)) {
+        errors.push('Edge reverse cost must be a non-negative number');
+    }
+    
+    if (edge.danger != null && (typeof edge.danger !== 'number' || edge.danger < 0)) {
+        errors.push('Edge danger must be a non-negative number');
+    }
+    
     if (edge.type === 'bezier' && (!Array.isArray(edge.controlPoints) || edge.controlPoints.length === 0)) {
         errors.push('Bezier edge must have control points');
     }
@@ -83,6 +109,42 @@ export function validateEdge(edge) {
     };
 }
 
+/**
+ * Get the cost of travelling an edge from its target back to its source
+ * @param {EdgeData} edge 
+ * @returns {number}
+ */
+export function getReverseCost(edge) {
+    return edge.reverseCost != null ? edge.reverseCost : edge.cost;
+}
+
+/**
+ * Get an edge's tags
+ * @param {EdgeData} edge 
+ * @returns {string[]} Empty for edges saved before tags existed
+ */
+export function getEdgeTags(edge) {
+    return edge.tags || [];
+}
+
+/**
+ * Get an edge's own danger, not counting its terrain
+ * @param {EdgeData} edge 
+ * @returns {number} 0 for edges saved before danger existed
+ */
+export function getEdgeDanger(edge) {
+    return edge.danger || 0;
+}
+
+/**
+ * Check if a two-way edge costs different amounts each way
+ * @param {EdgeData} edge 
+ * @returns {boolean}
+ */
+export function hasAsymmetricCost(edge) {
+    return edge.bidirectional !== false && getReverseCost(edge) !== edge.cost;
+}
+
 /**
  * Update edge data
  * @param {EdgeData} edge 
@@ -23,6 +23,7 @@ import { generateId } from '../utils/helpers.js';
  * @property {import('./Edge.js').EdgeData[]} edges - Array of edges
  * @property {import('./Terrain.js').TerrainLayer|null} terrain - Terrain layer (null if not painted)
  * @property {MapScale|null} scale - Scale definition for unit conversion
+ * @property {import('./Scenario.js').Scenario[]} [scenarios] - Named variants of travel conditions (winter, flood)
  * @property {string|null} parentMapId - Parent map ID (for nested maps)
  * @property {number} createdAt - Creation timestamp
  * @property {number} updatedAt - Last update timestamp
@@ -50,6 +51,7 @@ export function createMap({ name, imageData, imageWidth, imageHeight, parentMapI
         edges: [],
         terrain: null,  // Created lazily when user first paints
         scale: null,    // User-defined scale for unit conversion
+        scenarios: [],
         parentMapId,
         createdAt: now,
         updatedAt: now
@@ -173,3 +175,64 @@ export function getMapPath(maps, mapId) {
     
     return path;
 }
+
+/**
+ * Find the map that contains a waypoint
+ * @param {Object.<string, MapData>} maps - All maps
+ * @param {string} waypointId 
+ * @returns {MapData|null}
+ */
+export function findMapByWaypoint(maps, waypointId) {
+    return Object.values(maps).find(map => 
+        map.waypoints.some(wp => wp.id === waypointId)
+    ) || null;
+}
+
+/**
+ * Get IDs of all maps connected to a map through portals (in either direction)
+ * @param {Object.<string, MapData>} maps - All maps
+ * @param {string} startMapId 
+ * @returns {string[]}
+ */
+export function getPortalConnectedMapIds(maps, startMapId) {
+    // Build map adjacency from portals
+    const adjacency = new Map();
+    const link = (a, b) => {
+        if (!adjacency.has(a)) adjacency.set(a, new Set());
+        adjacency.get(a).add(b);
+    };
+    
+    Object.values(maps).forEach(map => {
+        map.waypoints.forEach(wp => {
+            if (wp.isPortal && wp.portalTargetMapId && maps[wp.portalTargetMapId]) {
+                link(map.id, wp.portalTargetMapId);
+                link(wp.portalTargetMapId, map.id);
+            }
+        });
+    });
+    
+    // Breadth-first search from the start map
+    const visited = new Set([startMapId]);
+    const queue = [startMapId];
+    while (queue.length > 0) {
+        const mapId = queue.shift();
+        (adjacency.get(mapId) || []).forEach(nextId => {
+            if (!visited.has(nextId)) {
+                visited.add(nextId);
+                queue.push(nextId);
+            }
+        });
+    }
+    
+    return Array.from(visited);
+}
+
+/**
+ * Get the factor that converts a map's raw costs into its scale units
+ * @param {MapData} map 
+ * @returns {number|null} Units per cost, or null if the map has no scale
+ */
+export function getScaleFactor(map) {
+    if (!map || !map.scale || !map.scale.scaleCost) return null;
+    return map.scale.unitValue / map.scale.scaleCost;
+}
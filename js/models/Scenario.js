@@ -0,0 +1,199 @@
+/**
+ * Scenario Model - Named variant of a map's travel conditions
+ *
+ * A scenario (winter, war, flood) is stored on its map and changes how
+ * costly the map is to cross: it can change terrain type costs, close or
+ * re-cost edges and shut portals. The image, waypoints and edges are
+ * shared with the map; routing applies a scenario to get a variant map.
+ * Scenarios are chosen by name, so one choice covers every map that has a
+ * scenario of that name.
+ */
+
+import { generateId } from '../utils/helpers.js';
+import { calculateEdgeTerrainCosts } from './Terrain.js';
+
+/**
+ * @typedef {Object} EdgeOverride
+ * @property {boolean} [closed] - Edge can't be travelled
+ * @property {number|null} [cost] - Cost both ways instead of the edge's own (null: unchanged)
+ */
+
+/**
+ * @typedef {Object} Scenario
+ * @property {string} id - Unique scenario identifier
+ * @property {string} name - Display name, shared by the same scenario on other maps
+ * @property {Object.<string, number>} terrainCosts - Cost per terrain type ID, instead of the type's own
+ * @property {Object.<string, EdgeOverride>} edgeOverrides - Changes per edge ID
+ * @property {string[]} disabledPortals - IDs of portal waypoints that are shut
+ */
+
+/**
+ * Variant maps already worked out, per map and scenario
+ * @type {WeakMap<import('./Map.js').MapData, {scenario: Scenario, map: import('./Map.js').MapData}>}
+ */
+const appliedMaps = new WeakMap();
+
+/**
+ * Create a new scenario that changes nothing
+ * @param {string} [name]
+ * @returns {Scenario}
+ */
+export function createScenario(name = 'New scenario') {
+    return {
+        id: generateId('scenario'),
+        name,
+        terrainCosts: {},
+        edgeOverrides: {},
+        disabledPortals: []
+    };
+}
+
+/**
+ * Get a map's scenarios
+ * @param {import('./Map.js').MapData} map
+ * @returns {Scenario[]} Empty for maps saved before scenarios existed
+ */
+export function getScenarios(map) {
+    return map.scenarios || [];
+}
+
+/**
+ * Tidy scenarios read from a file
+ * Scenarios without a name are dropped and missing parts are filled in,
+ * so hand-edited files can't break routing.
+ * @param {*} scenarios - Missing in files exported before scenarios existed
+ * @returns {Scenario[]}
+ */
+export function readScenarios(scenarios) {
+    if (!Array.isArray(scenarios)) return [];
+    
+    return scenarios
+        .filter(scenario => scenario && typeof scenario.name === 'string' && scenario.name)
+        .map(scenario => ({
+            id: scenario.id || generateId('scenario'),
+            name: scenario.name,
+            terrainCosts: scenario.terrainCosts || {},
+            edgeOverrides: scenario.edgeOverrides || {},
+            disabledPortals: Array.isArray(scenario.disabledPortals) ? scenario.disabledPortals : []
+        }));
+}
+
+/**
+ * Find a map's scenario by name
+ * @param {import('./Map.js').MapData|null} map
+ * @param {string|null} name
+ * @returns {Scenario|null}
+ */
+export function getScenario(map, name) {
+    if (!map || !name) return null;
+    return getScenarios(map).find(scenario => scenario.name === name) || null;
+}
+
+/**
+ * Get the names of the scenarios on any map
+ * @param {Object.<string, import('./Map.js').MapData>} maps
+ * @returns {string[]} Sorted, each once
+ */
+export function getScenarioNames(maps) {
+    const names = new Set();
+    Object.values(maps).forEach(map => {
+        getScenarios(map).forEach(scenario => names.add(scenario.name));
+    });
+    return [...names].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Check if a scenario closes an edge or shuts a portal
+ * @param {Scenario|null} scenario
+ * @param {'edge'|'waypoint'} type
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isClosedInScenario(scenario, type, id) {
+    if (!scenario) return false;
+    if (type === 'waypoint') return scenario.disabledPortals.includes(id);
+    
+    const override = scenario.edgeOverrides[id];
+    return !!(override && override.closed);
+}
+
+/**
+ * Get a map as a scenario changes it
+ * Edges that take their cost from terrain are re-costed with the
+ * scenario's terrain costs; edges it re-costs itself become manual.
+ * @param {import('./Map.js').MapData} map
+ * @param {string|null} name - Scenario name
+ * @returns {import('./Map.js').MapData} The same map if it has no scenario of that name
+ */
+export function applyScenario(map, name) {
+    const scenario = getScenario(map, name);
+    if (!scenario) return map;
+    
+    const applied = appliedMaps.get(map);
+    if (applied && applied.scenario === scenario) return applied.map;
+    
+    const terrain = applyTerrainCosts(map.terrain, scenario.terrainCosts);
+    const waypointMap = new Map(map.waypoints.map(wp => [wp.id, wp]));
+    
+    const edges = [];
+    map.edges.forEach(edge => {
+        const override = scenario.edgeOverrides[edge.id] || {};
+        if (override.closed) return;
+        
+        if (typeof override.cost === 'number') {
+            edges.push({ ...edge, cost: override.cost, reverseCost: null, costOverride: true });
+            return;
+        }
+        
+        const fromWp = waypointMap.get(edge.from);
+        const toWp = waypointMap.get(edge.to);
+        if (terrain === map.terrain || edge.costOverride || !fromWp || !toWp) {
+            edges.push(edge);
+            return;
+        }
+        const { cost, reverseCost } = calculateEdgeTerrainCosts(edge, fromWp, toWp, terrain, map.imageWidth, map.imageHeight);
+        edges.push({ ...edge, cost, reverseCost });
+    });
+    
+    const waypoints = scenario.disabledPortals.length === 0 ? map.waypoints : map.waypoints.map(wp => (
+        wp.isPortal && scenario.disabledPortals.includes(wp.id) ? { ...wp, isPortal: false } : wp
+    ));
+    
+    // Applying again changes nothing
+    const variant = { ...map, waypoints, edges, terrain, scenarios: [] };
+    appliedMaps.set(map, { scenario, map: variant });
+    return variant;
+}
+
+/**
+ * Apply a scenario to every map that has it
+ * @param {Object.<string, import('./Map.js').MapData>} maps
+ * @param {string|null} name - Scenario name
+ * @returns {Object.<string, import('./Map.js').MapData>} The same object if no scenario is chosen
+ */
+export function applyScenarioToMaps(maps, name) {
+    if (!name) return maps;
+    
+    const applied = {};
+    Object.entries(maps).forEach(([mapId, map]) => {
+        applied[mapId] = applyScenario(map, name);
+    });
+    return applied;
+}
+
+/**
+ * Replace terrain type costs
+ * @param {import('./Terrain.js').TerrainLayer|null} terrain
+ * @param {Object.<string, number>} terrainCosts
+ * @returns {import('./Terrain.js').TerrainLayer|null} The same layer if no type changes
+ */
+function applyTerrainCosts(terrain, terrainCosts) {
+    if (!terrain || !terrain.types.some(type => type.id in terrainCosts && terrainCosts[type.id] !== type.cost)) {
+        return terrain;
+    }
+    
+    return {
+        ...terrain,
+        types: terrain.types.map(type => (type.id in terrainCosts ? { ...type, cost: terrainCosts[type.id] } : type))
+    };
+}
@@ -2,7 +2,9 @@
  * Terrain Model - Represents terrain types and the terrain grid layer
  * 
  * Terrain is stored as a low-resolution grid overlaying the map image.
- * Each cell contains a terrain type ID. Terrain types have associated costs.
+ * Each cell contains a terrain type ID. Terrain types have associated costs,
+ * and a danger for routes that weigh cost against danger. Types that block
+ * movement can't be crossed at any cost.
  */
 
 import { generateId } from '../utils/helpers.js';
@@ -12,16 +14,22 @@ import { generateId } from '../utils/helpers.js';
  * Users can customize these per-map
  */
 export const DEFAULT_TERRAIN_TYPES = [
-    { id: 'clear', name: 'Clear/Road', cost: 1, color: '#22c55e' },      // Green - easy
-    { id: 'grassland', name: 'Grassland', cost: 1.5, color: '#86efac' }, // Light green
-    { id: 'forest', name: 'Forest', cost: 2.5, color: '#166534' },       // Dark green
-    { id: 'hills', name: 'Hills', cost: 3, color: '#a16207' },           // Brown
-    { id: 'mountain', name: 'Mountain', cost: 5, color: '#78716c' },     // Gray
-    { id: 'swamp', name: 'Swamp/Bog', cost: 4, color: '#365314' },       // Murky green
-    { id: 'water', name: 'Water', cost: 8, color: '#0ea5e9' },           // Blue
-    { id: 'impassable', name: 'Impassable', cost: 999, color: '#1c1917' } // Near black
+    { id: 'clear', name: 'Clear/Road', cost: 1, color: '#22c55e', elevation: 0, danger: 0 },      // Green - easy
+    { id: 'grassland', name: 'Grassland', cost: 1.5, color: '#86efac', elevation: 0, danger: 0 }, // Light green
+    { id: 'forest', name: 'Forest', cost: 2.5, color: '#166534', elevation: 0, danger: 1 },       // Dark green
+    { id: 'hills', name: 'Hills', cost: 3, color: '#a16207', elevation: 1, danger: 1 },           // Brown
+    { id: 'mountain', name: 'Mountain', cost: 5, color: '#78716c', elevation: 3, danger: 3 },     // Gray
+    { id: 'swamp', name: 'Swamp/Bog', cost: 4, color: '#365314', elevation: 0, danger: 2 },       // Murky green
+    { id: 'water', name: 'Water', cost: 8, color: '#0ea5e9', elevation: 0, danger: 2 },           // Blue
+    { id: 'impassable', name: 'Impassable', cost: 999, color: '#1c1917', elevation: 0, danger: 0, blocking: true } // Near black
 ];
 
+/**
+ * Extra cost for each level of elevation climbed along an edge
+ * Descending is free, so edges between different elevations cost more uphill.
+ */
+export const CLIMB_COST_PER_LEVEL = 1;
+
 /**
  * Default grid resolution
  * Higher = more detail but larger storage
@@ -34,6 +42,9 @@ export const DEFAULT_GRID_SIZE = 100;
  * @property {string} name - Display name
  * @property {number} cost - Movement cost multiplier
  * @property {string} color - Hex color for display
+ * @property {number} [elevation] - Height level, used for uphill/downhill edge costs (default 0)
+ * @property {number} [danger] - Danger per unit of length, like cost (default 0)
+ * @property {boolean} [blocking] - Can't be crossed: edges through it are left out of routing (default false)
  */
 
 /**
@@ -204,6 +215,197 @@ export function getTerrainCostAt(terrain, imageX, imageY, imageWidth, imageHeigh
     return type ? type.cost : 1;
 }
 
+/**
+ * Get the elevation of terrain at a specific image coordinate
+ * Types saved before elevations existed fall back to the default type with the same ID.
+ * @param {TerrainLayer} terrain 
+ * @param {number} imageX 
+ * @param {number} imageY 
+ * @param {number} imageWidth 
+ * @param {number} imageHeight 
+ * @returns {number} Elevation level (0 if unpainted)
+ */
+export function getTerrainElevationAt(terrain, imageX, imageY, imageWidth, imageHeight) {
+    const { cellX, cellY } = imageToGrid(imageX, imageY, imageWidth, imageHeight, terrain);
+    const typeId = getTerrainAt(terrain, cellX, cellY);
+    if (!typeId) return 0;
+    
+    const type = getTerrainType(terrain, typeId);
+    if (type && typeof type.elevation === 'number') return type.elevation;
+    
+    const defaultType = DEFAULT_TERRAIN_TYPES.find(t => t.id === typeId);
+    return defaultType ? defaultType.elevation : 0;
+}
+
+/**
+ * Get the danger of a terrain type
+ * Types saved before danger existed fall back to the default type with the same ID.
+ * @param {TerrainType} type 
+ * @returns {number}
+ */
+export function getTerrainDanger(type) {
+    if (typeof type.danger === 'number') return type.danger;
+    
+    const defaultType = DEFAULT_TERRAIN_TYPES.find(t => t.id === type.id);
+    return defaultType ? defaultType.danger : 0;
+}
+
+/**
+ * Check if a terrain type blocks movement
+ * Types saved before blocking existed fall back to the default type with the same ID.
+ * @param {TerrainType} type 
+ * @returns {boolean}
+ */
+export function isTerrainBlocking(type) {
+    if (typeof type.blocking === 'boolean') return type.blocking;
+    
+    const defaultType = DEFAULT_TERRAIN_TYPES.find(t => t.id === type.id);
+    return !!(defaultType && defaultType.blocking);
+}
+
+/**
+ * Get the IDs of the terrain types that block movement
+ * @param {TerrainLayer|null} terrain 
+ * @returns {Set<string>} Empty without terrain
+ */
+export function getBlockingTypeIds(terrain) {
+    if (!terrain) return new Set();
+    return new Set(terrain.types.filter(isTerrainBlocking).map(t => t.id));
+}
+
+/**
+ * Check if a path crosses a cell of terrain that blocks movement
+ * Walks every cell each step of the path passes through, so thin walls
+ * aren't missed between samples. A path through the corner where two
+ * cells meet touches both.
+ * @param {TerrainLayer|null} terrain 
+ * @param {{x: number, y: number}[]} points - Points along the path
+ * @param {number} imageWidth 
+ * @param {number} imageHeight 
+ * @returns {boolean}
+ */
+export function isPathBlocked(terrain, points, imageWidth, imageHeight) {
+    const blockingIds = getBlockingTypeIds(terrain);
+    if (blockingIds.size === 0 || points.length === 0) return false;
+    
+    const isBlockedCell = (cellX, cellY) => blockingIds.has(getTerrainAt(terrain, cellX, cellY));
+    const toGrid = (p) => ({
+        x: Math.max(0, Math.min(terrain.gridWidth - 1e-9, (p.x / imageWidth) * terrain.gridWidth)),
+        y: Math.max(0, Math.min(terrain.gridHeight - 1e-9, (p.y / imageHeight) * terrain.gridHeight))
+    });
+    
+    if (points.length === 1) {
+        const { x, y } = toGrid(points[0]);
+        return isBlockedCell(Math.floor(x), Math.floor(y));
+    }
+    
+    for (let i = 0; i < points.length - 1; i++) {
+        const start = toGrid(points[i]);
+        const end = toGrid(points[i + 1]);
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        
+        let cellX = Math.floor(start.x);
+        let cellY = Math.floor(start.y);
+        const endX = Math.floor(end.x);
+        const endY = Math.floor(end.y);
+        const stepX = Math.sign(dx);
+        const stepY = Math.sign(dy);
+        
+        // Distance along the step (0 to 1) to the next cell border on each axis
+        let nextX = stepX !== 0 ? ((stepX > 0 ? cellX + 1 : cellX) - start.x) / dx : Infinity;
+        let nextY = stepY !== 0 ? ((stepY > 0 ? cellY + 1 : cellY) - start.y) / dy : Infinity;
+        const deltaX = stepX !== 0 ? Math.abs(1 / dx) : Infinity;
+        const deltaY = stepY !== 0 ? Math.abs(1 / dy) : Infinity;
+        
+        if (isBlockedCell(cellX, cellY)) return true;
+        while (cellX !== endX || cellY !== endY) {
+            if (Math.abs(nextX - nextY) < 1e-9) {
+                // Through a corner: both cells beside it count, as for moves over the terrain grid
+                if (isBlockedCell(cellX + stepX, cellY) || isBlockedCell(cellX, cellY + stepY)) return true;
+                cellX += stepX;
+                cellY += stepY;
+                nextX += deltaX;
+                nextY += deltaY;
+            } else if (nextX < nextY) {
+                cellX += stepX;
+                nextX += deltaX;
+            } else {
+                cellY += stepY;
+                nextY += deltaY;
+            }
+            if (isBlockedCell(cellX, cellY)) return true;
+            
+            // Rounding can step past the end cell
+            if (Math.min(nextX, nextY) > 1 + 1e-9) break;
+        }
+    }
+    
+    return false;
+}
+
+/**
+ * Check if an edge crosses terrain that blocks movement
+ * @param {Object} edge - Edge data
+ * @param {{x: number, y: number}} fromWp - Waypoint at the edge's start
+ * @param {{x: number, y: number}} toWp - Waypoint at the edge's end
+ * @param {TerrainLayer|null} terrain 
+ * @param {number} imageWidth 
+ * @param {number} imageHeight 
+ * @returns {boolean}
+ */
+export function isEdgeBlocked(edge, fromWp, toWp, terrain, imageWidth, imageHeight) {
+    if (!terrain) return false;
+    return isPathBlocked(terrain, sampleEdge(edge, fromWp, toWp), imageWidth, imageHeight);
+}
+
+/**
+ * Calculate the danger along a path from the terrain it crosses
+ * Weighted by length like terrain cost; unpainted ground is safe.
+ * @param {TerrainLayer|null} terrain 
+ * @param {{x: number, y: number}[]} points - Points along the path
+ * @param {number} imageWidth 
+ * @param {number} imageHeight 
+ * @returns {number}
+ */
+export function calculatePathTerrainDanger(terrain, points, imageWidth, imageHeight) {
+    if (!terrain) return 0;
+    
+    let totalDanger = 0;
+    measurePathTerrain(terrain, points, imageWidth, imageHeight).forEach((length, typeId) => {
+        const type = typeId ? getTerrainType(terrain, typeId) : null;
+        if (type) totalDanger += length * getTerrainDanger(type);
+    });
+    
+    // Same base unit as terrain cost (100 pixels)
+    return totalDanger / 100;
+}
+
+/**
+ * Calculate the elevation climbed along a path in each direction
+ * @param {TerrainLayer} terrain 
+ * @param {{x: number, y: number}[]} points - Points along the path
+ * @param {number} imageWidth 
+ * @param {number} imageHeight 
+ * @returns {{up: number, down: number}} Levels climbed going forward (up) and going back (down)
+ */
+export function calculatePathClimb(terrain, points, imageWidth, imageHeight) {
+    let up = 0;
+    let down = 0;
+    let previous = null;
+    
+    points.forEach(p => {
+        const elevation = getTerrainElevationAt(terrain, p.x, p.y, imageWidth, imageHeight);
+        if (previous !== null) {
+            if (elevation > previous) up += elevation - previous;
+            else down += previous - elevation;
+        }
+        previous = elevation;
+    });
+    
+    return { up, down };
+}
+
 /**
  * Calculate total terrain cost along a path (samples N points)
  * @param {TerrainLayer} terrain 
@@ -287,6 +489,55 @@ export function sampleBezier(p0, p1, p2, p3, numSamples = 20) {
     return points;
 }
 
+/**
+ * Sample points along an edge, following its curve if it has one
+ * @param {Object} edge - Edge data
+ * @param {{x: number, y: number}} fromWp - Waypoint at the edge's start
+ * @param {{x: number, y: number}} toWp - Waypoint at the edge's end
+ * @returns {{x: number, y: number}[]} Points from fromWp to toWp
+ */
+export function sampleEdge(edge, fromWp, toWp) {
+    if (edge.type === 'bezier' && edge.controlPoints && edge.controlPoints.length >= 2) {
+        return sampleBezier(
+            { x: fromWp.x, y: fromWp.y },
+            edge.controlPoints[0],
+            edge.controlPoints[1],
+            { x: toWp.x, y: toWp.y },
+            30 // More samples for curves
+        );
+    }
+    return sampleLine(fromWp.x, fromWp.y, toWp.x, toWp.y, 20);
+}
+
+/**
+ * Measure how much of a path's length lies in each terrain type
+ * Each step between samples counts as the terrain at its midpoint.
+ * @param {TerrainLayer|null} terrain 
+ * @param {{x: number, y: number}[]} points - Sampled path
+ * @param {number} imageWidth 
+ * @param {number} imageHeight 
+ * @returns {Map<string|null, number>} Length in pixels per terrain type ID (null for unpainted)
+ */
+export function measurePathTerrain(terrain, points, imageWidth, imageHeight) {
+    const lengths = new Map();
+    
+    for (let i = 0; i < points.length - 1; i++) {
+        const p1 = points[i];
+        const p2 = points[i + 1];
+        const length = Math.sqrt((p2.x - p1.x) ** 2 + (p2.y - p1.y) ** 2);
+        
+        let typeId = null;
+        if (terrain) {
+            const { cellX, cellY } = imageToGrid((p1.x + p2.x) / 2, (p1.y + p2.y) / 2, imageWidth, imageHeight, terrain);
+            typeId = getTerrainAt(terrain, cellX, cellY) || null;
+        }
+        
+        lengths.set(typeId, (lengths.get(typeId) || 0) + length);
+    }
+    
+    return lengths;
+}
+
 /**
  * Calculate the cost of an edge based on terrain
  * @param {Object} edge - Edge data
@@ -295,30 +546,41 @@ export function sampleBezier(p0, p1, p2, p3, numSamples = 20) {
  * @param {TerrainLayer|null} terrain 
  * @param {number} imageWidth 
  * @param {number} imageHeight 
- * @returns {number} Calculated cost
+ * @returns {number} Calculated cost (from → to)
  */
 export function calculateEdgeTerrainCost(edge, fromWp, toWp, terrain, imageWidth, imageHeight) {
+    return calculateEdgeTerrainCosts(edge, fromWp, toWp, terrain, imageWidth, imageHeight).cost;
+}
+
+/**
+ * Calculate the cost of an edge in both directions based on terrain
+ * Both directions pay for the terrain crossed; each also pays for the elevation it climbs.
+ * @param {Object} edge - Edge data
+ * @param {Object} fromWp - Source waypoint
+ * @param {Object} toWp - Target waypoint
+ * @param {TerrainLayer|null} terrain 
+ * @param {number} imageWidth 
+ * @param {number} imageHeight 
+ * @returns {{cost: number, reverseCost: number}} Cost from → to and to → from
+ */
+export function calculateEdgeTerrainCosts(edge, fromWp, toWp, terrain, imageWidth, imageHeight) {
     // If no terrain, return a distance-based cost
     if (!terrain) {
         const dist = Math.sqrt((toWp.x - fromWp.x) ** 2 + (toWp.y - fromWp.y) ** 2);
-        return Math.round(dist / 100 * 10) / 10; // Round to 1 decimal
+        const cost = Math.round(dist / 100 * 10) / 10; // Round to 1 decimal
+        return { cost, reverseCost: cost };
     }
     
     // Sample points along the edge
-    let points;
-    if (edge.type === 'bezier' && edge.controlPoints && edge.controlPoints.length >= 2) {
-        points = sampleBezier(
-            { x: fromWp.x, y: fromWp.y },
-            edge.controlPoints[0],
-            edge.controlPoints[1],
-            { x: toWp.x, y: toWp.y },
-            30 // More samples for curves
-        );
-    } else {
-        points = sampleLine(fromWp.x, fromWp.y, toWp.x, toWp.y, 20);
-    }
+    const points = sampleEdge(edge, fromWp, toWp);
     
-    // Calculate terrain cost
+    // Calculate terrain cost, plus climbing in each direction
     const cost = calculatePathTerrainCost(terrain, points, imageWidth, imageHeight);
-    return Math.round(cost * 10) / 10; // Round to 1 decimal
+    const climb = calculatePathClimb(terrain, points, imageWidth, imageHeight);
+    
+    // Round to 1 decimal
+    return {
+        cost: Math.round((cost + climb.up * CLIMB_COST_PER_LEVEL) * 10) / 10,
+        reverseCost: Math.round((cost + climb.down * CLIMB_COST_PER_LEVEL) * 10) / 10
+    };
 }
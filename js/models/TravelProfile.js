@@ -0,0 +1,196 @@
+/**
+ * TravelProfile Model - How a way of travelling changes route costs
+ *
+ * A profile multiplies edge costs by the edge's tags and the terrain it
+ * crosses, can forbid some tags entirely (no sea lanes on foot), and has a
+ * speed that divides costs converted to scale units (a horse covers a
+ * day's walk in half a day).
+ */
+
+import { generateId } from '../utils/helpers.js';
+import { getEdgeTags } from './Edge.js';
+import { sampleEdge, measurePathTerrain, getTerrainType } from './Terrain.js';
+import { getScaleFactor } from './Map.js';
+
+/**
+ * @typedef {Object} TravelProfile
+ * @property {string} id - Unique profile identifier
+ * @property {string} name - Display name
+ * @property {number} speed - How many times faster than map scales assume (1 = as the scale says)
+ * @property {Object.<string, number>} tagFactors - Cost multiplier per edge tag
+ * @property {Object.<string, number>} terrainFactors - Cost multiplier per terrain type ID
+ * @property {string[]} forbiddenTags - Edge tags this profile can't travel
+ */
+
+/**
+ * Profiles available until the user changes them
+ * @type {TravelProfile[]}
+ */
+export const DEFAULT_TRAVEL_PROFILES = [
+    {
+        id: 'foot',
+        name: 'On foot',
+        speed: 1,
+        tagFactors: {},
+        terrainFactors: {},
+        forbiddenTags: ['river', 'sea']
+    },
+    {
+        id: 'horse',
+        name: 'Horse',
+        speed: 2,
+        tagFactors: { trail: 1.25 },
+        terrainFactors: { forest: 1.5, hills: 1.5, mountain: 2, swamp: 2 },
+        forbiddenTags: ['river', 'sea']
+    },
+    {
+        id: 'cart',
+        name: 'Cart',
+        speed: 1.5,
+        tagFactors: { trail: 2 },
+        terrainFactors: { grassland: 1.5, forest: 3, hills: 2, mountain: 4, swamp: 4 },
+        forbiddenTags: ['river', 'sea']
+    },
+    {
+        id: 'boat',
+        name: 'Boat',
+        speed: 3,
+        tagFactors: { river: 0.5, sea: 0.5 },
+        terrainFactors: { water: 0.1 },
+        forbiddenTags: ['road', 'trail']
+    }
+];
+
+/**
+ * Create a new profile that leaves costs as they are
+ * @param {string} [name]
+ * @returns {TravelProfile}
+ */
+export function createTravelProfile(name = 'New profile') {
+    return {
+        id: generateId('profile'),
+        name,
+        speed: 1,
+        tagFactors: {},
+        terrainFactors: {},
+        forbiddenTags: []
+    };
+}
+
+/**
+ * Merge imported profiles into existing ones
+ * Imported profiles replace existing ones with the same ID.
+ * @param {TravelProfile[]} current
+ * @param {TravelProfile[]|undefined} imported - Missing in files exported before profiles existed
+ * @returns {TravelProfile[]}
+ */
+export function mergeTravelProfiles(current, imported) {
+    if (!imported) return current;
+    const importedIds = new Set(imported.map(p => p.id));
+    return [...current.filter(p => !importedIds.has(p.id)), ...imported];
+}
+
+/**
+ * Get the cost multiplier a profile applies to an edge
+ * Tag multipliers combine by multiplying. Terrain multipliers are shared
+ * out by how much of the edge's terrain cost lies in each type.
+ * @param {TravelProfile} profile
+ * @param {import('./Edge.js').EdgeData} edge
+ * @param {import('./Map.js').MapData} map - Map the edge belongs to
+ * @returns {number} Infinity if the profile can't travel the edge
+ */
+export function getProfileEdgeFactor(profile, edge, map) {
+    const tags = getEdgeTags(edge);
+    if (tags.some(tag => profile.forbiddenTags.includes(tag))) return Infinity;
+    
+    let factor = tags.reduce((product, tag) => product * getFactor(profile.tagFactors, tag), 1);
+    
+    if (map.terrain && Object.keys(profile.terrainFactors).length > 0) {
+        const fromWp = map.waypoints.find(wp => wp.id === edge.from);
+        const toWp = map.waypoints.find(wp => wp.id === edge.to);
+        if (fromWp && toWp) {
+            factor *= getTerrainFactor(profile, map, sampleEdge(edge, fromWp, toWp));
+        }
+    }
+    
+    return factor;
+}
+
+/**
+ * Get the cost multiplier a profile applies to each edge of a map
+ * @param {TravelProfile} profile
+ * @param {import('./Map.js').MapData} map
+ * @returns {Map<string, number>} Multiplier per edge ID, for edges it changes (Infinity if forbidden)
+ */
+export function getProfileEdgeFactors(profile, map) {
+    const factors = new Map();
+    map.edges.forEach(edge => {
+        const factor = getProfileEdgeFactor(profile, edge, map);
+        if (factor !== 1) factors.set(edge.id, factor);
+    });
+    return factors;
+}
+
+/**
+ * Get the factor that converts raw costs into a map's scale units
+ * Faster profiles take fewer units for the same cost.
+ * @param {import('./Map.js').MapData|null} map
+ * @param {TravelProfile|null} profile
+ * @returns {number|null} Units per cost, or null if the map has no scale
+ */
+export function getUnitsPerCost(map, profile) {
+    const factor = getScaleFactor(map);
+    return factor && profile ? factor / profile.speed : factor;
+}
+
+/**
+ * Apply a profile's terrain multipliers to a terrain layer's type costs
+ * Used for routing and reach over the terrain grid.
+ * @param {import('./Terrain.js').TerrainLayer} terrain
+ * @param {TravelProfile|null} profile
+ * @returns {import('./Terrain.js').TerrainLayer} The same layer if the profile changes nothing
+ */
+export function applyProfileToTerrain(terrain, profile) {
+    if (!terrain || !profile || Object.keys(profile.terrainFactors).length === 0) return terrain;
+    
+    return {
+        ...terrain,
+        types: terrain.types.map(type => ({
+            ...type,
+            cost: type.cost * getFactor(profile.terrainFactors, type.id)
+        }))
+    };
+}
+
+/**
+ * Look up a multiplier, defaulting to no change
+ * @param {Object.<string, number>} factors
+ * @param {string} key
+ * @returns {number}
+ */
+function getFactor(factors, key) {
+    return key in factors ? factors[key] : 1;
+}
+
+/**
+ * Get a profile's terrain multiplier along a sampled path
+ * @param {TravelProfile} profile
+ * @param {import('./Map.js').MapData} map - Map with a terrain layer
+ * @param {{x: number, y: number}[]} points
+ * @returns {number}
+ */
+function getTerrainFactor(profile, map, points) {
+    const lengths = measurePathTerrain(map.terrain, points, map.imageWidth, map.imageHeight);
+    
+    // Unpainted ground costs 1 and isn't changed by profiles
+    let totalWeight = 0;
+    let factorWeight = 0;
+    lengths.forEach((length, typeId) => {
+        const type = typeId ? getTerrainType(map.terrain, typeId) : null;
+        const weight = length * (type ? type.cost : 1);
+        totalWeight += weight;
+        factorWeight += weight * (typeId ? getFactor(profile.terrainFactors, typeId) : 1);
+    });
+    
+    return totalWeight > 0 ? factorWeight / totalWeight : 1;
+}
@@ -13,6 +13,10 @@ import { generateId } from '../utils/helpers.js';
  * @property {boolean} [isPortal] - Whether this waypoint is a portal to another map
  * @property {string|null} [portalTargetMapId] - Target map ID if this is a portal
  * @property {string|null} [portalTargetWaypointId] - Target waypoint ID in the target map
+ * @property {number} [passCost] - Cost of passing through on the way somewhere else (a gate toll)
+ * @property {number} [stopCost] - Cost of stopping over on a route with several stops
+ * @property {boolean} [isRestStop] - Whether travellers can stay the night here (an inn, a camp)
+ * @property {string} [category] - Kind of place, e.g. temple or well ('' for none)
  */
 
 /**
@@ -31,10 +35,51 @@ export function createWaypoint({ x, y, name = '' }) {
         name,
         isPortal: false,
         portalTargetMapId: null,
-        portalTargetWaypointId: null
+        portalTargetWaypointId: null,
+        passCost: 0,
+        stopCost: 0,
+        isRestStop: false,
+        category: ''
     };
 }
 
+/**
+ * Get the cost of passing through a waypoint
+ * @param {WaypointData} waypoint 
+ * @returns {number} 0 for waypoints saved before waypoints had costs
+ */
+export function getPassCost(waypoint) {
+    return waypoint.passCost || 0;
+}
+
+/**
+ * Get the cost of stopping over at a waypoint
+ * @param {WaypointData} waypoint 
+ * @returns {number}
+ */
+export function getStopCost(waypoint) {
+    return waypoint.stopCost || 0;
+}
+
+/**
+ * Get the kind of place a waypoint is
+ * @param {WaypointData} waypoint 
+ * @returns {string} '' for waypoints without a category
+ */
+export function getCategory(waypoint) {
+    return (waypoint.category || '').trim();
+}
+
+/**
+ * List the categories used by some waypoints
+ * @param {WaypointData[]} waypoints 
+ * @returns {string[]} Each category once, sorted
+ */
+export function getCategories(waypoints) {
+    const categories = new Set(waypoints.map(getCategory).filter(Boolean));
+    return [...categories].sort((a, b) => a.localeCompare(b));
+}
+
 /**
  * Validate waypoint data
  * @param {WaypointData} waypoint 
@@ -59,6 +104,10 @@ export function validateWaypoint(waypoint) {
         errors.push('Portal waypoint must have a target map');
     }
     
+    if (getPassCost(waypoint) < 0 || getStopCost(waypoint) < 0) {
+        errors.push('Waypoint costs can\'t be negative');
+    }
+    
     return {
         valid: errors.length === 0,
         errors
@@ -133,3 +182,27 @@ export function isNearWaypoint(waypoint, x, y, threshold = 10) {
     const dy = waypoint.y - y;
     return Math.sqrt(dx * dx + dy * dy) <= threshold;
 }
+
+/**
+ * Resolve the waypoint a portal leads to
+ * Falls back to a portal in the target map that leads back to the source map
+ * @param {WaypointData} portal 
+ * @param {string} sourceMapId - ID of the map containing the portal
+ * @param {Object.<string, import('./Map.js').MapData>} maps - All maps
+ * @returns {WaypointData|null}
+ */
+export function resolvePortalTarget(portal, sourceMapId, maps) {
+    if (!portal.isPortal || !portal.portalTargetMapId) return null;
+    
+    const targetMap = maps[portal.portalTargetMapId];
+    if (!targetMap) return null;
+    
+    if (portal.portalTargetWaypointId) {
+        const target = targetMap.waypoints.find(wp => wp.id === portal.portalTargetWaypointId);
+        if (target) return target;
+    }
+    
+    return targetMap.waypoints.find(wp => 
+        wp.isPortal && wp.portalTargetMapId === sourceMapId
+    ) || null;
+}
@@ -8,6 +8,10 @@
 import { createSvgElement, setAttributes, clearElement, $ } from '../utils/dom.js';
 import { clamp } from '../utils/helpers.js';
 import { screenToCanvas } from '../utils/geometry.js';
+import { getBezierSegment, cubicBezierPoint, cubicBezierDerivative } from '../engine/BezierUtils.js';
+import { getReverseCost, hasAsymmetricCost } from '../models/Edge.js';
+import { getScenario, isClosedInScenario } from '../models/Scenario.js';
+import { isEdgeBlocked } from '../models/Terrain.js';
 
 const MIN_ZOOM = 0.1;
 const MAX_ZOOM = 5;
@@ -15,6 +19,15 @@ const ZOOM_STEP = 0.1;
 const WAYPOINT_RADIUS = 8;
 const EDGE_WIDTH = 3;
 
+// Reachability band colours, nearest budget first
+const REACH_BAND_COLORS = ['#22c55e', '#eab308', '#f97316', '#ef4444'];
+
+// Meeting party route colours, first party first (repeats after the last)
+const PARTY_COLORS = ['#3b82f6', '#ef4444', '#22c55e', '#a855f7', '#f97316', '#06b6d4'];
+
+// Graph health component colours, largest component first (repeats after the last)
+const COMPONENT_COLORS = ['#3b82f6', '#f97316', '#a855f7', '#eab308', '#06b6d4', '#ec4899', '#84cc16', '#f43f5e'];
+
 export class CanvasRenderer {
     /**
      * @param {import('../core/EventBus.js').EventBus} eventBus 
@@ -30,12 +43,16 @@ export class CanvasRenderer {
         this.mapImage = null;
         this.terrainCanvas = null;
         this.terrainCtx = null;
+        this.reachCanvas = null;
+        this.reachCtx = null;
         this.svgOverlay = null;
         
         // Terrain visibility
         this.showTerrain = true;
         
         // SVG groups for layering
+        this.reachGroup = null;
+        this.healthGroup = null;
         this.edgesGroup = null;
         this.routesGroup = null;
         this.waypointsGroup = null;
@@ -46,6 +63,10 @@ export class CanvasRenderer {
         this.waypointElements = new Map();
         this.edgeElements = new Map();
         
+        // Whether each edge crosses blocking terrain, for the terrain it was checked on:
+        // { terrain, edges: Map<edgeId, { edge, fromWp, toWp, isBlocked }> }
+        this.edgeBlocking = { terrain: null, edges: new Map() };
+        
         // Panning state
         this.isPanning = false;
         this.panStart = { x: 0, y: 0 };
@@ -61,15 +82,21 @@ export class CanvasRenderer {
         this.mapImage = $('mapImage');
         this.terrainCanvas = $('terrainCanvas');
         this.terrainCtx = this.terrainCanvas.getContext('2d');
+        this.reachCanvas = $('reachCanvas');
+        this.reachCtx = this.reachCanvas.getContext('2d');
         this.svgOverlay = $('svgOverlay');
         
         // Create SVG groups for proper layering
+        this.reachGroup = createSvgElement('g', { class: 'reach-group' });
+        this.healthGroup = createSvgElement('g', { class: 'health-group' });
         this.edgesGroup = createSvgElement('g', { class: 'edges-group' });
         this.routesGroup = createSvgElement('g', { class: 'routes-group' });
         this.waypointsGroup = createSvgElement('g', { class: 'waypoints-group' });
         this.controlPointsGroup = createSvgElement('g', { class: 'control-points-group' });
         this.ghostGroup = createSvgElement('g', { class: 'ghost-group' });
         
+        this.svgOverlay.appendChild(this.reachGroup);
+        this.svgOverlay.appendChild(this.healthGroup);
         this.svgOverlay.appendChild(this.edgesGroup);
         this.svgOverlay.appendChild(this.routesGroup);
         this.svgOverlay.appendChild(this.waypointsGroup);
@@ -123,6 +150,11 @@ export class CanvasRenderer {
             if (changedKeys.includes('zoom') || changedKeys.includes('pan')) {
                 this.updateTransform();
             }
+            
+            // What the chosen scenario closes is marked like closures
+            if (changedKeys.includes('scenarioName')) {
+                this.updateSelection();
+            }
         });
         
         this.eventBus.on('map:changed', () => {
@@ -146,7 +178,11 @@ export class CanvasRenderer {
         this.eventBus.on('edge:deleted', () => this.renderEdges());
         this.eventBus.on('selection:changed', () => this.updateSelection());
         this.eventBus.on('route:changed', () => this.updateSelection());
-        this.eventBus.on('terrain:updated', () => this.renderTerrain());
+        this.eventBus.on('scenarios:updated', () => this.updateSelection());
+        this.eventBus.on('terrain:updated', () => {
+            this.renderTerrain();
+            this.renderEdges(); // Painting can block or clear edges
+        });
         this.eventBus.on('scale:updated', () => this.updateStatus());
         
         // Zoom events
@@ -217,6 +253,8 @@ export class CanvasRenderer {
         this.mapImage.src = '';
         this.mapImage.classList.add('hidden');
         this.terrainCtx.clearRect(0, 0, this.terrainCanvas.width, this.terrainCanvas.height);
+        this.clearReachability();
+        this.clearGraphHealth();
         clearElement(this.edgesGroup);
         clearElement(this.routesGroup);
         clearElement(this.waypointsGroup);
@@ -338,6 +376,10 @@ export class CanvasRenderer {
         if (state.routeEnd === waypoint.id) {
             group.classList.add('end');
         }
+        if (state.routeVias.some(via => via.waypointId === waypoint.id)) {
+            group.classList.add('via');
+        }
+        this.updateAvoidedClass(group, 'waypoint', waypoint.id, state);
         if (waypoint.isPortal) {
             group.classList.add('portal');
         }
@@ -365,6 +407,15 @@ export class CanvasRenderer {
             group.appendChild(portalRing);
         }
         
+        // Strike through, shown while the waypoint is closed
+        group.appendChild(createSvgElement('line', {
+            class: 'waypoint-strike',
+            x1: -WAYPOINT_RADIUS - 4,
+            y1: WAYPOINT_RADIUS + 4,
+            x2: WAYPOINT_RADIUS + 4,
+            y2: -WAYPOINT_RADIUS - 4
+        }));
+        
         // Label
         if (waypoint.name) {
             const label = createSvgElement('text', {
@@ -401,6 +452,9 @@ export class CanvasRenderer {
             if (!fromWp || !toWp) return;
             
             const group = this.createEdgeElement(edge, fromWp, toWp, state, costRange);
+            if (this.isEdgeBlockedOn(map, edge, fromWp, toWp)) {
+                group.classList.add('blocked');
+            }
             this.edgesGroup.appendChild(group);
             this.edgeElements.set(edge.id, group);
         });
@@ -408,6 +462,34 @@ export class CanvasRenderer {
         this.updateStatus();
     }
     
+    /**
+     * Check whether an edge crosses terrain that blocks movement
+     * Sampling an edge is slow, so the answer is kept until the edge, its
+     * waypoints or the terrain change; dragging one edge or waypoint only
+     * checks the edges it touches again.
+     * @param {import('../models/Map.js').MapData} map
+     * @param {import('../models/Edge.js').EdgeData} edge
+     * @param {import('../models/Waypoint.js').WaypointData} fromWp
+     * @param {import('../models/Waypoint.js').WaypointData} toWp
+     * @returns {boolean}
+     */
+    isEdgeBlockedOn(map, edge, fromWp, toWp) {
+        if (!map.terrain) return false;
+        
+        if (this.edgeBlocking.terrain !== map.terrain) {
+            this.edgeBlocking = { terrain: map.terrain, edges: new Map() };
+        }
+        
+        const known = this.edgeBlocking.edges.get(edge.id);
+        if (known && known.edge === edge && known.fromWp === fromWp && known.toWp === toWp) {
+            return known.isBlocked;
+        }
+        
+        const isBlocked = isEdgeBlocked(edge, fromWp, toWp, map.terrain, map.imageWidth, map.imageHeight);
+        this.edgeBlocking.edges.set(edge.id, { edge, fromWp, toWp, isBlocked });
+        return isBlocked;
+    }
+    
     /**
      * Calculate min and max costs from edges
      * @param {import('../models/Edge.js').EdgeData[]} edges 
@@ -422,8 +504,9 @@ export class CanvasRenderer {
         let max = -Infinity;
         
         edges.forEach(edge => {
-            min = Math.min(min, edge.cost);
-            max = Math.max(max, edge.cost);
+            const reverseCost = edge.bidirectional !== false ? getReverseCost(edge) : edge.cost;
+            min = Math.min(min, edge.cost, reverseCost);
+            max = Math.max(max, edge.cost, reverseCost);
         });
         
         // Avoid division by zero if all edges have same cost
@@ -499,6 +582,7 @@ export class CanvasRenderer {
         if (state.selectedEdge === edge.id) {
             group.classList.add('selected');
         }
+        this.updateAvoidedClass(group, 'edge', edge.id, state);
         
         // Create path based on edge type
         let pathData;
@@ -528,69 +612,197 @@ export class CanvasRenderer {
         });
         group.appendChild(hitArea);
         
+        // Edges that cost different amounts each way show both directions
+        if (hasAsymmetricCost(edge)) {
+            group.appendChild(this.createDirectionMarker(edge, fromWp, toWp, 1 / 3, false, costRange));
+            group.appendChild(this.createDirectionMarker(edge, fromWp, toWp, 2 / 3, true, costRange));
+        }
+        
+        // Cross at the middle, shown while the edge is closed
+        const { point, tangent } = this.getEdgePoint(edge, fromWp, toWp, 0.5);
+        const angle = Math.atan2(tangent.y, tangent.x) * 180 / Math.PI;
+        const strike = createSvgElement('g', {
+            class: 'edge-strike',
+            transform: `translate(${point.x}, ${point.y}) rotate(${angle})`
+        });
+        strike.appendChild(createSvgElement('line', { x1: -6, y1: -8, x2: 6, y2: 8 }));
+        strike.appendChild(createSvgElement('line', { x1: -6, y1: 8, x2: 6, y2: -8 }));
+        group.appendChild(strike);
+        
         return group;
     }
     
+    /**
+     * Get a point along an edge and the edge's direction there
+     * @param {import('../models/Edge.js').EdgeData} edge 
+     * @param {import('../models/Waypoint.js').WaypointData} fromWp 
+     * @param {import('../models/Waypoint.js').WaypointData} toWp 
+     * @param {number} t - Position along the edge (0 = from, 1 = to)
+     * @returns {{point: {x: number, y: number}, tangent: {x: number, y: number}}}
+     */
+    getEdgePoint(edge, fromWp, toWp, t) {
+        if (edge.type === 'bezier' && edge.controlPoints && edge.controlPoints.length >= 2) {
+            const [cp1, cp2] = edge.controlPoints;
+            return {
+                point: cubicBezierPoint(fromWp, cp1, cp2, toWp, t),
+                tangent: cubicBezierDerivative(fromWp, cp1, cp2, toWp, t)
+            };
+        }
+        return {
+            point: { x: fromWp.x + (toWp.x - fromWp.x) * t, y: fromWp.y + (toWp.y - fromWp.y) * t },
+            tangent: { x: toWp.x - fromWp.x, y: toWp.y - fromWp.y }
+        };
+    }
+    
+    /**
+     * Create an arrow with the cost of travelling an edge in one direction
+     * @param {import('../models/Edge.js').EdgeData} edge 
+     * @param {import('../models/Waypoint.js').WaypointData} fromWp 
+     * @param {import('../models/Waypoint.js').WaypointData} toWp 
+     * @param {number} t - Position along the edge (0 = from, 1 = to)
+     * @param {boolean} isReverse - Whether the arrow points back towards the source
+     * @param {{min: number, max: number}} costRange
+     * @returns {SVGGElement}
+     */
+    createDirectionMarker(edge, fromWp, toWp, t, isReverse, costRange) {
+        const { point, tangent } = this.getEdgePoint(edge, fromWp, toWp, t);
+        
+        const cost = isReverse ? getReverseCost(edge) : edge.cost;
+        const angle = Math.atan2(tangent.y, tangent.x) * 180 / Math.PI + (isReverse ? 180 : 0);
+        const color = this.getCostColor(cost, costRange);
+        
+        const marker = createSvgElement('g', { class: 'edge-direction' });
+        marker.appendChild(createSvgElement('polygon', {
+            class: 'edge-direction-arrow',
+            points: '-5,-5 6,0 -5,5',
+            fill: color,
+            transform: `translate(${point.x}, ${point.y}) rotate(${angle})`
+        }));
+        
+        // Label on the side of the line the arrow travels on
+        const length = Math.sqrt(tangent.x ** 2 + tangent.y ** 2) || 1;
+        const side = isReverse ? -1 : 1;
+        const label = createSvgElement('text', {
+            class: 'edge-direction-label',
+            x: point.x - tangent.y / length * 12 * side,
+            y: point.y + tangent.x / length * 12 * side,
+            fill: color
+        });
+        label.textContent = cost < 10 ? cost.toFixed(1) : Math.round(cost).toString();
+        marker.appendChild(label);
+        
+        return marker;
+    }
+    
     /**
      * Render route paths
      * @param {string[]} primaryRoute - Primary route waypoint IDs
-     * @param {string[]} alternativeRoute - Alternative route waypoint IDs
-     * @param {Object|null} startSegment - { point: {x,y}, waypointId }
-     * @param {Object|null} endSegment - { point: {x,y}, waypointId }
+     * @param {string[][]} [alternativeRoutes] - Waypoint IDs of each alternative route
+     * @param {import('../engine/PointAttachment.js').PointSegment[]} [pointSegments] - How the route joins arbitrary points
+     * @param {{x: number, y: number}[]|null} [terrainPath] - Free-form route over the terrain grid
      */
-    renderRoutes(primaryRoute, alternativeRoute, startSegment = null, endSegment = null) {
+    renderRoutes(primaryRoute, alternativeRoutes = [], pointSegments = [], terrainPath = null) {
         clearElement(this.routesGroup);
         
         const map = this.store.getCurrentMap();
         if (!map) return;
         
+        // Terrain routes don't follow edges, draw them as a polyline
+        if (terrainPath && terrainPath.length > 1) {
+            this.routesGroup.appendChild(createSvgElement('polyline', {
+                class: 'route-line primary terrain-route',
+                points: terrainPath.map(p => `${p.x},${p.y}`).join(' ')
+            }));
+        }
+        
         const waypointMap = new Map(map.waypoints.map(wp => [wp.id, wp]));
         const edgeMap = new Map(map.edges.map(e => [e.id, e]));
         
-        // Render alternative route first (so it's behind)
-        if (alternativeRoute && alternativeRoute.length > 0) {
-            const altPath = this.createRoutePath(alternativeRoute, waypointMap, edgeMap, 'alternative');
-            if (altPath) this.routesGroup.appendChild(altPath);
+        // Render alternative routes first (so they're behind), best alternative on top
+        for (let i = alternativeRoutes.length - 1; i >= 0; i--) {
+            const altPath = this.createRoutePath(alternativeRoutes[i], waypointMap, edgeMap, `alternative alt-${i + 1}`);
+            if (!altPath) continue;
+            altPath.setAttribute('data-route-index', i);
+            this.routesGroup.appendChild(altPath);
         }
         
         // Render primary route on top
-        if (primaryRoute && primaryRoute.length > 0) {
+        if (primaryRoute) {
             const primaryPath = this.createRoutePath(primaryRoute, waypointMap, edgeMap, 'primary');
             if (primaryPath) this.routesGroup.appendChild(primaryPath);
             
-            // Render arbitrary start/end segments
-            if (startSegment) {
-                const startWp = waypointMap.get(startSegment.waypointId);
-                if (startWp) {
-                    const segmentPath = createSvgElement('path', {
-                        class: 'route-line primary arbitrary-segment',
-                        d: `M ${startSegment.point.x} ${startSegment.point.y} L ${startWp.x} ${startWp.y}`,
-                        'stroke-dasharray': '8 4'
-                    });
-                    this.routesGroup.appendChild(segmentPath);
-                }
-            }
-            
-            if (endSegment) {
-                const endWp = waypointMap.get(endSegment.waypointId);
-                if (endWp) {
-                    const segmentPath = createSvgElement('path', {
-                        class: 'route-line primary arbitrary-segment',
-                        d: `M ${endWp.x} ${endWp.y} L ${endSegment.point.x} ${endSegment.point.y}`,
-                        'stroke-dasharray': '8 4'
-                    });
-                    this.routesGroup.appendChild(segmentPath);
-                }
-            }
+            // Render connections to arbitrary start/end/via points
+            pointSegments.forEach(segment => this.renderPointSegment(segment, waypointMap, edgeMap));
+        }
+    }
+    
+    /**
+     * Render the connection between an arbitrary point and the route network
+     * A dashed connector runs to where the point joins the network, followed
+     * by the part of the edge the route uses from there.
+     * @param {import('../engine/PointAttachment.js').PointSegment} segment 
+     * @param {Map} waypointMap 
+     * @param {Map} edgeMap 
+     */
+    renderPointSegment(segment, waypointMap, edgeMap) {
+        const { point } = segment;
+        const isStart = segment.role === 'start';
+        const attachPoint = segment.attachPoint || waypointMap.get(segment.waypointId);
+        if (!attachPoint) return;
+        
+        const from = isStart ? point : attachPoint;
+        const to = isStart ? attachPoint : point;
+        this.routesGroup.appendChild(createSvgElement('path', {
+            class: 'route-line primary arbitrary-segment',
+            d: `M ${from.x} ${from.y} L ${to.x} ${to.y}`,
+            'stroke-dasharray': '8 4'
+        }));
+        
+        if (!segment.edgeSpan) return;
+        
+        const edge = edgeMap.get(segment.edgeSpan.edgeId);
+        const fromWp = edge ? waypointMap.get(edge.from) : null;
+        const toWp = edge ? waypointMap.get(edge.to) : null;
+        if (!fromWp || !toWp) return;
+        
+        this.routesGroup.appendChild(createSvgElement('path', {
+            class: 'route-line primary',
+            d: this.getEdgeSpanPathData(edge, fromWp, toWp, segment.edgeSpan.fromT, segment.edgeSpan.toT)
+        }));
+    }
+    
+    /**
+     * Get SVG path data for part of an edge
+     * @param {Object} edge 
+     * @param {{x: number, y: number}} fromWp - Waypoint at the edge's start
+     * @param {{x: number, y: number}} toWp - Waypoint at the edge's end
+     * @param {number} fromT - Where the part starts (0 = edge start, 1 = edge end)
+     * @param {number} toT - Where the part ends
+     * @returns {string}
+     */
+    getEdgeSpanPathData(edge, fromWp, toWp, fromT, toT) {
+        const p0 = { x: fromWp.x, y: fromWp.y };
+        const p3 = { x: toWp.x, y: toWp.y };
+        
+        if (edge.type === 'bezier' && edge.controlPoints && edge.controlPoints.length >= 2) {
+            const [s0, s1, s2, s3] = getBezierSegment(p0, edge.controlPoints[0], edge.controlPoints[1], p3, fromT, toT);
+            return `M ${s0.x} ${s0.y} C ${s1.x} ${s1.y}, ${s2.x} ${s2.y}, ${s3.x} ${s3.y}`;
         }
+        
+        const lerp = (t) => ({ x: p0.x + (p3.x - p0.x) * t, y: p0.y + (p3.y - p0.y) * t });
+        const start = lerp(fromT);
+        const end = lerp(toT);
+        return `M ${start.x} ${start.y} L ${end.x} ${end.y}`;
     }
     
     /**
      * Create a route path element
+     * Waypoints that are not on the current map (other legs of a cross-map
+     * route) are skipped, breaking the path into separate subpaths.
      * @param {string[]} waypointIds - Ordered list of waypoint IDs in route
      * @param {Map} waypointMap 
      * @param {Map} edgeMap 
-     * @param {string} type - 'primary' or 'alternative'
+     * @param {string} type - 'primary' or 'alternative' (plus extra classes)
      * @returns {SVGPathElement|null}
      */
     createRoutePath(waypointIds, waypointMap, edgeMap, type) {
@@ -598,11 +810,15 @@ export class CanvasRenderer {
         
         const map = this.store.getCurrentMap();
         let pathData = '';
+        let isDrawing = false; // Whether the previous segment was drawn
         
         for (let i = 0; i < waypointIds.length - 1; i++) {
             const fromWp = waypointMap.get(waypointIds[i]);
             const toWp = waypointMap.get(waypointIds[i + 1]);
-            if (!fromWp || !toWp) continue;
+            if (!fromWp || !toWp) {
+                isDrawing = false;
+                continue;
+            }
             
             // Find the edge between these waypoints
             const edge = map.edges.find(e => 
@@ -610,8 +826,9 @@ export class CanvasRenderer {
                 (e.bidirectional && e.from === toWp.id && e.to === fromWp.id)
             );
             
-            if (i === 0) {
+            if (!isDrawing) {
                 pathData += `M ${fromWp.x} ${fromWp.y} `;
+                isDrawing = true;
             }
             
             if (edge && edge.type === 'bezier' && edge.controlPoints && edge.controlPoints.length >= 2) {
@@ -628,12 +845,180 @@ export class CanvasRenderer {
             }
         }
         
+        if (!pathData) return null;
+        
         return createSvgElement('path', {
             class: `route-line ${type}`,
             d: pathData
         });
     }
     
+    /**
+     * Emphasise one alternative route
+     * @param {number|null} index - Alternative index, or null for none
+     */
+    highlightAlternativeRoute(index) {
+        this.routesGroup.querySelectorAll('.route-line.alternative').forEach(path => {
+            path.classList.toggle('highlighted', Number(path.getAttribute('data-route-index')) === index);
+        });
+    }
+    
+    /**
+     * Mark where a route split into days stops for the night
+     * Drawn with the routes, so clearing or redrawing routes removes them.
+     * @param {{x: number, y: number, night: number}[]} stops - Overnight stops on the current map
+     */
+    renderOvernightStops(stops) {
+        stops.forEach(stop => this.appendRouteBadge(stop, 'overnight-stop', stop.night));
+    }
+    
+    /**
+     * Draw the routes from a waypoint to the nearest places of a kind
+     * Each place found is numbered, nearest first. Drawn with the routes,
+     * so clearing or redrawing routes removes them.
+     * @param {string[][]} paths - Waypoint IDs of each route, nearest first
+     */
+    renderNearestPaths(paths) {
+        clearElement(this.routesGroup);
+        
+        const map = this.store.getCurrentMap();
+        if (!map) return;
+        
+        const waypointMap = new Map(map.waypoints.map(wp => [wp.id, wp]));
+        const edgeMap = new Map(map.edges.map(e => [e.id, e]));
+        
+        // Nearest on top
+        for (let i = paths.length - 1; i >= 0; i--) {
+            const routePath = this.createRoutePath(paths[i], waypointMap, edgeMap, 'nearest');
+            if (!routePath) continue;
+            routePath.setAttribute('data-route-index', i);
+            this.routesGroup.appendChild(routePath);
+        }
+        
+        paths.forEach((path, i) => {
+            const place = waypointMap.get(path[path.length - 1]);
+            if (place) this.appendRouteBadge(place, 'nearest-result', i + 1);
+        });
+    }
+    
+    /**
+     * Emphasise the route to one of the nearest places
+     * @param {number|null} index - Place index, or null for none
+     */
+    highlightNearestPath(index) {
+        this.routesGroup.querySelectorAll('.route-line.nearest').forEach(path => {
+            path.classList.toggle('highlighted', Number(path.getAttribute('data-route-index')) === index);
+        });
+    }
+    
+    /**
+     * Draw the routes that trade cost against danger, each in its kind's style
+     * Drawn with the routes, so clearing or redrawing routes removes them.
+     * @param {{path: string[], kind: string}[]} routes - Cheapest first (kind: see RouteSearch TradeOffKind)
+     */
+    renderTradeOffPaths(routes) {
+        clearElement(this.routesGroup);
+        
+        const map = this.store.getCurrentMap();
+        if (!map) return;
+        
+        const waypointMap = new Map(map.waypoints.map(wp => [wp.id, wp]));
+        const edgeMap = new Map(map.edges.map(e => [e.id, e]));
+        
+        // Cheapest on top
+        for (let i = routes.length - 1; i >= 0; i--) {
+            const routePath = this.createRoutePath(routes[i].path, waypointMap, edgeMap, `trade-off ${routes[i].kind}`);
+            if (!routePath) continue;
+            routePath.setAttribute('data-route-index', i);
+            this.routesGroup.appendChild(routePath);
+        }
+    }
+    
+    /**
+     * Emphasise one of the trade-off routes
+     * @param {number|null} index - Route index, or null for none
+     */
+    highlightTradeOffPath(index) {
+        this.routesGroup.querySelectorAll('.route-line.trade-off').forEach(path => {
+            path.classList.toggle('highlighted', Number(path.getAttribute('data-route-index')) === index);
+        });
+    }
+    
+    /**
+     * Draw each party's route to where the parties meet, in the party's colour
+     * Parties are numbered where they start and the meeting point is starred.
+     * Drawn with the routes, so clearing or redrawing routes removes them.
+     * @param {string[][]} paths - Waypoint IDs of each party's route, in party order
+     */
+    renderMeetingPaths(paths) {
+        clearElement(this.routesGroup);
+        
+        const map = this.store.getCurrentMap();
+        if (!map || paths.length === 0) return;
+        
+        const waypointMap = new Map(map.waypoints.map(wp => [wp.id, wp]));
+        const edgeMap = new Map(map.edges.map(e => [e.id, e]));
+        
+        paths.forEach((path, i) => {
+            const routePath = this.createRoutePath(path, waypointMap, edgeMap, 'meeting');
+            if (!routePath) return;
+            routePath.setAttribute('data-route-index', i);
+            routePath.style.stroke = this.getPartyColor(i);
+            this.routesGroup.appendChild(routePath);
+        });
+        
+        paths.forEach((path, i) => {
+            const start = waypointMap.get(path[0]);
+            if (start) this.appendRouteBadge(start, 'meeting-party-badge', i + 1, this.getPartyColor(i));
+        });
+        
+        const meetingPath = paths[0];
+        const place = waypointMap.get(meetingPath[meetingPath.length - 1]);
+        if (place) this.appendRouteBadge(place, 'meeting-point', '★');
+    }
+    
+    /**
+     * Emphasise one party's route to the meeting point
+     * @param {number|null} index - Party index, or null for none
+     */
+    highlightMeetingPath(index) {
+        this.routesGroup.querySelectorAll('.route-line.meeting').forEach(path => {
+            path.classList.toggle('highlighted', Number(path.getAttribute('data-route-index')) === index);
+        });
+    }
+    
+    /**
+     * Get the route colour of a meeting party
+     * @param {number} index - Party index
+     * @returns {string}
+     */
+    getPartyColor(index) {
+        return PARTY_COLORS[index % PARTY_COLORS.length];
+    }
+    
+    /**
+     * Add a numbered badge beside a waypoint, drawn with the routes
+     * @param {{x: number, y: number}} point 
+     * @param {string} className 
+     * @param {number|string} number - Number (or symbol) shown
+     * @param {string|null} [color] - Outline colour instead of the route colour
+     */
+    appendRouteBadge(point, className, number, color = null) {
+        const badge = createSvgElement('g', {
+            class: className,
+            transform: `translate(${point.x + WAYPOINT_RADIUS + 4}, ${point.y - WAYPOINT_RADIUS - 4})`
+        });
+        const circle = createSvgElement('circle', { r: 8 });
+        if (color) circle.style.stroke = color;
+        badge.appendChild(circle);
+        
+        const label = createSvgElement('text', { y: 4 });
+        label.textContent = number;
+        badge.appendChild(label);
+        
+        this.routesGroup.appendChild(badge);
+    }
+    
     /**
      * Clear rendered routes
      */
@@ -641,12 +1026,171 @@ export class CanvasRenderer {
         clearElement(this.routesGroup);
     }
     
+    /**
+     * Get the colour of a reachability band
+     * @param {number} index - Band index, nearest budget first
+     * @returns {string}
+     */
+    getReachBandColor(index) {
+        return REACH_BAND_COLORS[Math.min(index, REACH_BAND_COLORS.length - 1)];
+    }
+    
+    /**
+     * Render reachability bands: reached waypoints and edges (part way where
+     * the budget runs out), plus terrain cells shaded by the band they fall in
+     * @param {import('../engine/Pathfinder.js').ReachableArea[]} areas - One per budget, nearest first
+     * @param {Float64Array|null} [cellCosts] - Cost to reach each terrain cell of the current map
+     */
+    renderReachability(areas, cellCosts = null) {
+        this.clearReachability();
+        
+        const map = this.store.getCurrentMap();
+        if (!map) return;
+        
+        const waypointMap = new Map(map.waypoints.map(wp => [wp.id, wp]));
+        const edgeMap = new Map(map.edges.map(e => [e.id, e]));
+        
+        // Farthest band first, so nearer bands are drawn over it
+        for (let i = areas.length - 1; i >= 0; i--) {
+            const color = this.getReachBandColor(i);
+            
+            areas[i].segments.forEach(segment => {
+                const edge = edgeMap.get(segment.edgeId);
+                const fromWp = edge ? waypointMap.get(edge.from) : null;
+                const toWp = edge ? waypointMap.get(edge.to) : null;
+                if (!fromWp || !toWp) return;
+                
+                const [fromT, toT] = segment.fromId === edge.from
+                    ? [0, segment.fraction]
+                    : [1 - segment.fraction, 1];
+                this.reachGroup.appendChild(createSvgElement('path', {
+                    class: 'reach-band',
+                    d: this.getEdgeSpanPathData(edge, fromWp, toWp, fromT, toT),
+                    stroke: color
+                }));
+            });
+            
+            areas[i].nodes.forEach((cost, nodeId) => {
+                const wp = waypointMap.get(nodeId);
+                if (!wp) return;
+                this.reachGroup.appendChild(createSvgElement('circle', {
+                    class: 'reach-node',
+                    cx: wp.x,
+                    cy: wp.y,
+                    r: WAYPOINT_RADIUS + 4,
+                    fill: color
+                }));
+            });
+        }
+        
+        if (!cellCosts || !map.terrain) return;
+        
+        // The canvas may not have been sized for this map yet
+        this.reachCanvas.width = map.imageWidth;
+        this.reachCanvas.height = map.imageHeight;
+        this.reachCanvas.style.width = map.imageWidth + 'px';
+        this.reachCanvas.style.height = map.imageHeight + 'px';
+        this.reachCanvas.classList.remove('hidden');
+        
+        const terrain = map.terrain;
+        const cellWidth = map.imageWidth / terrain.gridWidth;
+        const cellHeight = map.imageHeight / terrain.gridHeight;
+        
+        for (let y = 0; y < terrain.gridHeight; y++) {
+            for (let x = 0; x < terrain.gridWidth; x++) {
+                const cost = cellCosts[y * terrain.gridWidth + x];
+                const band = areas.findIndex(area => cost <= area.budget);
+                if (band === -1) continue;
+                
+                this.reachCtx.fillStyle = this.getReachBandColor(band);
+                this.reachCtx.fillRect(x * cellWidth, y * cellHeight, cellWidth + 0.5, cellHeight + 0.5);
+            }
+        }
+    }
+    
+    /**
+     * Clear rendered reachability bands
+     */
+    clearReachability() {
+        clearElement(this.reachGroup);
+        this.reachCtx.clearRect(0, 0, this.reachCanvas.width, this.reachCanvas.height);
+        this.reachCanvas.classList.add('hidden');
+    }
+    
+    /**
+     * Get the colour of a graph component
+     * @param {number} index - Component index, largest first
+     * @returns {string}
+     */
+    getComponentColor(index) {
+        return COMPONENT_COLORS[index % COMPONENT_COLORS.length];
+    }
+    
+    /**
+     * Render graph health: each connected component in its own colour under
+     * the edges and waypoints, with bridges, articulation waypoints and dead
+     * ends marked on top
+     * @param {import('../engine/GraphAnalysis.js').GraphHealth} health - Analysis of the current map
+     */
+    renderGraphHealth(health) {
+        this.clearGraphHealth();
+        
+        const map = this.store.getCurrentMap();
+        if (!map) return;
+        
+        const waypointMap = new Map(map.waypoints.map(wp => [wp.id, wp]));
+        const componentOf = new Map();
+        health.components.forEach((component, index) => {
+            component.forEach(nodeId => componentOf.set(nodeId, index));
+        });
+        const bridges = new Set(health.bridges);
+        
+        map.edges.forEach(edge => {
+            const fromWp = waypointMap.get(edge.from);
+            const toWp = waypointMap.get(edge.to);
+            if (!fromWp || !toWp || !componentOf.has(edge.from)) return;
+            
+            this.healthGroup.appendChild(createSvgElement('path', {
+                class: `health-edge ${bridges.has(edge.id) ? 'bridge' : ''}`,
+                d: this.getEdgeSpanPathData(edge, fromWp, toWp, 0, 1),
+                stroke: this.getComponentColor(componentOf.get(edge.from))
+            }));
+        });
+        
+        const articulations = new Set(health.articulations);
+        const deadEnds = new Map(health.deadEnds.map(deadEnd => [deadEnd.nodeId, deadEnd.kind]));
+        
+        map.waypoints.forEach(wp => {
+            if (!componentOf.has(wp.id)) return;
+            
+            const classes = ['health-node'];
+            if (articulations.has(wp.id)) classes.push('articulation');
+            if (deadEnds.has(wp.id)) classes.push('dead-end', deadEnds.get(wp.id));
+            
+            this.healthGroup.appendChild(createSvgElement('circle', {
+                class: classes.join(' '),
+                cx: wp.x,
+                cy: wp.y,
+                r: WAYPOINT_RADIUS + 5,
+                fill: this.getComponentColor(componentOf.get(wp.id))
+            }));
+        });
+    }
+    
+    /**
+     * Clear the rendered graph health
+     */
+    clearGraphHealth() {
+        clearElement(this.healthGroup);
+    }
+    
     /**
      * Render arbitrary start/end points (for non-waypoint routing)
      * @param {{x: number, y: number}|null} startPoint 
      * @param {{x: number, y: number}|null} endPoint 
+     * @param {{x: number, y: number}[]} [viaPoints] - Arbitrary via-points
      */
-    renderArbitraryPoints(startPoint, endPoint) {
+    renderArbitraryPoints(startPoint, endPoint, viaPoints = []) {
         // Remove any existing arbitrary point markers
         this.svgOverlay.querySelectorAll('.arbitrary-point').forEach(el => el.remove());
         
@@ -697,6 +1241,28 @@ export class CanvasRenderer {
             
             this.svgOverlay.appendChild(marker);
         }
+        
+        viaPoints.forEach(viaPoint => {
+            const marker = createSvgElement('g', {
+                class: 'arbitrary-point arbitrary-via',
+                transform: `translate(${viaPoint.x}, ${viaPoint.y})`
+            });
+            
+            marker.appendChild(createSvgElement('circle', {
+                r: 10,
+                fill: 'none',
+                stroke: 'var(--color-via)',
+                'stroke-width': 2,
+                'stroke-dasharray': '4 2'
+            }));
+            
+            marker.appendChild(createSvgElement('circle', {
+                r: 3,
+                fill: 'var(--color-via)'
+            }));
+            
+            this.svgOverlay.appendChild(marker);
+        });
     }
     
     /**
@@ -941,11 +1507,14 @@ export class CanvasRenderer {
             el.classList.toggle('selected', state.selectedWaypoint === id);
             el.classList.toggle('start', state.routeStart === id);
             el.classList.toggle('end', state.routeEnd === id);
+            el.classList.toggle('via', state.routeVias.some(via => via.waypointId === id));
+            this.updateAvoidedClass(el, 'waypoint', id, state);
         });
         
         // Update edge selection
         this.edgeElements.forEach((el, id) => {
             el.classList.toggle('selected', state.selectedEdge === id);
+            this.updateAvoidedClass(el, 'edge', id, state);
         });
         
         // Show control points for selected bezier edge
@@ -961,6 +1530,23 @@ export class CanvasRenderer {
         }
     }
     
+    /**
+     * Mark a waypoint or edge element that routes avoid, or that is closed
+     * Portals the chosen scenario shuts and edges it closes count as closed.
+     * @param {Element} el 
+     * @param {'waypoint'|'edge'} type 
+     * @param {string} id 
+     * @param {Object} state 
+     */
+    updateAvoidedClass(el, type, id, state) {
+        const avoidance = state.routeAvoidances.find(a => a.type === type && a.targetId === id);
+        el.classList.toggle('avoided', !!avoidance && avoidance.mode === 'block');
+        el.classList.toggle('avoided-soft', !!avoidance && avoidance.mode === 'penalty');
+        const scenario = getScenario(state.maps[state.currentMapId], state.scenarioName);
+        el.classList.toggle('closed', state.closures.items.some(c => c.type === type && c.targetId === id)
+            || isClosedInScenario(scenario, type, id));
+    }
+    
     /**
      * Update the transform based on zoom and pan
      */
@@ -0,0 +1,361 @@
+/**
+ * CostTableManager - Handles the travel cost table
+ *
+ * Tabulates the cost of travelling between every pair of chosen waypoints
+ * on the current map, in the map's scale units for the chosen travel
+ * profile, in the chosen scenario, by the chosen cost rule and with
+ * closures applied. Routes may pass through other maps by portal. Rows
+ * sort by any column, and the table exports as CSV or JSON.
+ */
+
+import { $, clearElement, createElement, show, hide, downloadFile } from '../utils/dom.js';
+import { EngineCancelledError } from '../engine/EngineClient.js';
+import { getUnitsPerCost } from '../models/TravelProfile.js';
+
+export class CostTableManager {
+    /**
+     * @param {import('../core/EventBus.js').EventBus} eventBus
+     * @param {import('../core/StateStore.js').StateStore} store
+     * @param {import('../engine/EngineClient.js').EngineClient} engine
+     */
+    constructor(eventBus, store, engine) {
+        this.eventBus = eventBus;
+        this.store = store;
+        this.engine = engine;
+        
+        /**
+         * Last table built
+         * @type {{mapId: string, scenario: string|null, unit: string, places: {id: string, name: string}[], costs: (number|null)[][]}|null}
+         */
+        this.table = null;
+        this.sortColumn = -1; // Place index to sort rows by, or -1 for by name
+        this.sortAscending = true;
+        this.requestCount = 0;
+    }
+    
+    /**
+     * Initialize the cost table manager
+     */
+    init() {
+        this.eventBus.on('costs:open', () => this.openModal());
+        this.setupModal();
+    }
+    
+    /**
+     * Set up modal handlers
+     */
+    setupModal() {
+        const modal = $('costTableModal');
+        
+        modal.querySelector('.modal-backdrop').addEventListener('click', () => this.closeModal());
+        $('costTableModalClose').addEventListener('click', () => this.closeModal());
+        $('costTableCloseBtn').addEventListener('click', () => this.closeModal());
+        $('costTableBuildBtn').addEventListener('click', () => this.buildTable());
+        $('costTableCancelBtn').addEventListener('click', () => this.engine.cancel('costMatrix'));
+        $('costTableCsvBtn').addEventListener('click', () => this.exportCsv());
+        $('costTableJsonBtn').addEventListener('click', () => this.exportJson());
+        
+        $('costTableNamedBtn').addEventListener('click', () => this.checkPlaces(input => input.dataset.named === 'true'));
+        $('costTableAllBtn').addEventListener('click', () => this.checkPlaces(() => true));
+        $('costTableNoneBtn').addEventListener('click', () => this.checkPlaces(() => false));
+        
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closeModal();
+        });
+    }
+    
+    /**
+     * Open the table for the current map
+     * Named waypoints are chosen to start with.
+     */
+    openModal() {
+        const map = this.store.getCurrentMap();
+        if (!map) {
+            alert('Open a map first.');
+            return;
+        }
+        
+        if (this.table && this.table.mapId !== map.id) {
+            this.table = null;
+        }
+        
+        this.renderPlaces(map);
+        this.renderTable();
+        show($('costTableModal'));
+    }
+    
+    /**
+     * Close the table
+     * A table still being built is dropped.
+     */
+    closeModal() {
+        this.requestCount++;
+        this.setBuilding(null);
+        hide($('costTableModal'));
+    }
+    
+    /**
+     * List the map's waypoints to choose from, named ones first
+     * @param {import('../models/Map.js').MapData} map
+     */
+    renderPlaces(map) {
+        const container = $('costTablePlaces');
+        clearElement(container);
+        
+        const chosenIds = this.table ? new Set(this.table.places.map(place => place.id)) : null;
+        const waypoints = [...map.waypoints].sort((a, b) => {
+            if (!a.name !== !b.name) return a.name ? -1 : 1;
+            return (a.name || '').localeCompare(b.name || '');
+        });
+        
+        waypoints.forEach(wp => {
+            const input = createElement('input', { type: 'checkbox', value: wp.id, 'data-named': String(!!wp.name) });
+            input.checked = chosenIds ? chosenIds.has(wp.id) : !!wp.name;
+            container.appendChild(createElement('label', { className: 'cost-table-place' }, [input, getPlaceName(wp)]));
+        });
+    }
+    
+    /**
+     * Tick the places that pass a test
+     * @param {function(HTMLInputElement): boolean} test
+     */
+    checkPlaces(test) {
+        $('costTablePlaces').querySelectorAll('input').forEach(input => {
+            input.checked = test(input);
+        });
+    }
+    
+    /**
+     * Work out the costs between the chosen places
+     */
+    async buildTable() {
+        const map = this.store.getCurrentMap();
+        if (!map) return;
+        
+        const waypointIds = [...$('costTablePlaces').querySelectorAll('input:checked')].map(input => input.value);
+        if (waypointIds.length < 2) {
+            alert('Choose at least two places.');
+            return;
+        }
+        
+        const state = this.store.getState();
+        const profile = this.store.getTravelProfile();
+        const requestId = ++this.requestCount;
+        const isLatest = () => requestId === this.requestCount;
+        
+        this.setBuilding({ done: 0, total: waypointIds.length });
+        try {
+            const costs = await this.engine.findCostMatrix({
+                maps: state.maps,
+                mapId: map.id,
+                waypointIds,
+                closures: state.closures,
+                profile,
+                scenario: state.scenarioName,
+                costStrategy: state.costStrategyId
+            }, (progress) => {
+                if (isLatest()) this.setBuilding(progress);
+            });
+            if (!isLatest()) return;
+            
+            // Show scale units where the map has a scale
+            const unitsPerCost = getUnitsPerCost(map, profile);
+            const waypointMap = new Map(map.waypoints.map(wp => [wp.id, wp]));
+            this.table = {
+                mapId: map.id,
+                scenario: state.scenarioName,
+                unit: unitsPerCost ? map.scale.unitName : 'cost',
+                places: waypointIds.map(id => ({ id, name: getPlaceName(waypointMap.get(id)) })),
+                costs: costs.map(row => row.map(cost => cost === null || !unitsPerCost ? cost : cost * unitsPerCost))
+            };
+            this.renderTable();
+        } catch (error) {
+            if (!(error instanceof EngineCancelledError)) {
+                alert(error.message);
+            }
+        } finally {
+            if (isLatest()) this.setBuilding(null);
+        }
+    }
+    
+    /**
+     * Show how far building the table has got
+     * @param {import('../engine/EngineClient.js').EngineProgress|null} progress - Null when not building
+     */
+    setBuilding(progress) {
+        const button = $('costTableBuildBtn');
+        button.disabled = !!progress;
+        button.textContent = progress ? `Building… ${progress.done}/${progress.total}` : 'Build Table';
+        
+        // The viewer's Cancel only stops its own searches
+        if (progress) show($('costTableCancelBtn'));
+        else hide($('costTableCancelBtn'));
+    }
+    
+    /**
+     * Sort rows by a column, or reverse the order if already sorted by it
+     * @param {number} column - Place index, or -1 for by name
+     */
+    sortBy(column) {
+        if (this.sortColumn === column) {
+            this.sortAscending = !this.sortAscending;
+        } else {
+            this.sortColumn = column;
+            this.sortAscending = true;
+        }
+        this.renderTable();
+    }
+    
+    /**
+     * Get the row indices in display order
+     * Unreachable places sort last either way.
+     * @returns {number[]}
+     */
+    getRowOrder() {
+        const { places, costs } = this.table;
+        const direction = this.sortAscending ? 1 : -1;
+        const column = this.sortColumn;
+        
+        return places.map((place, i) => i).sort((a, b) => {
+            if (column === -1 || column >= places.length) {
+                return direction * places[a].name.localeCompare(places[b].name);
+            }
+            const costA = costs[a][column];
+            const costB = costs[b][column];
+            if (costA === null || costB === null) {
+                return (costA === null) - (costB === null);
+            }
+            return direction * (costA - costB);
+        });
+    }
+    
+    /**
+     * Draw the table, or hide it if none has been built
+     */
+    renderTable() {
+        const table = $('costTable');
+        clearElement(table);
+        
+        $('costTableCsvBtn').disabled = !this.table;
+        $('costTableJsonBtn').disabled = !this.table;
+        if (!this.table) {
+            hide($('costTableWrap'));
+            return;
+        }
+        
+        const { places, costs, unit } = this.table;
+        const headerClass = (column) => {
+            if (column !== this.sortColumn) return '';
+            return this.sortAscending ? 'sorted' : 'sorted descending';
+        };
+        
+        const header = createElement('tr', {}, [
+            createElement('th', { className: headerClass(-1), title: 'Sort by name', onClick: () => this.sortBy(-1) }, [`From \\ To (${unit})`])
+        ]);
+        places.forEach((place, column) => {
+            header.appendChild(createElement('th', {
+                className: headerClass(column),
+                title: `Sort by cost to ${place.name}`,
+                onClick: () => this.sortBy(column)
+            }, [place.name]));
+        });
+        table.appendChild(createElement('thead', {}, [header]));
+        
+        const body = createElement('tbody');
+        this.getRowOrder().forEach(row => {
+            const tr = createElement('tr', {}, [createElement('th', {}, [places[row].name])]);
+            costs[row].forEach((cost, column) => {
+                tr.appendChild(createElement('td', { className: row === column ? 'cost-table-self' : '' }, [
+                    row === column ? '–' : formatTableCost(cost)
+                ]));
+            });
+            body.appendChild(tr);
+        });
+        table.appendChild(body);
+        
+        show($('costTableWrap'));
+    }
+    
+    /**
+     * Download the table as CSV, rows in display order
+     * Unreachable pairs are left empty.
+     */
+    exportCsv() {
+        if (!this.table) return;
+        const { places, costs, unit } = this.table;
+        
+        const lines = [[`From \\ To (${unit})`, ...places.map(place => place.name)]];
+        this.getRowOrder().forEach(row => {
+            lines.push([places[row].name, ...costs[row].map(cost => cost === null ? '' : String(roundCost(cost)))]);
+        });
+        
+        const csv = lines.map(line => line.map(escapeCsv).join(',')).join('\r\n');
+        downloadFile(csv, `map-pathfinder-costs-${getDateStamp()}.csv`, 'text/csv');
+    }
+    
+    /**
+     * Download the table as JSON
+     * Unreachable pairs are null.
+     */
+    exportJson() {
+        if (!this.table) return;
+        const { places, costs, unit } = this.table;
+        const map = this.store.getMap(this.table.mapId);
+        const profile = this.store.getTravelProfile();
+        
+        const data = {
+            map: map ? map.name : null,
+            profile: profile ? profile.name : null,
+            scenario: this.table.scenario,
+            unit,
+            places,
+            costs: costs.map(row => row.map(cost => cost === null ? null : roundCost(cost)))
+        };
+        downloadFile(JSON.stringify(data, null, 2), `map-pathfinder-costs-${getDateStamp()}.json`, 'application/json');
+    }
+}
+
+/**
+ * Get a waypoint's name, or its position if unnamed
+ * @param {import('../models/Waypoint.js').WaypointData} wp
+ * @returns {string}
+ */
+function getPlaceName(wp) {
+    return wp.name || `Waypoint (${Math.round(wp.x)}, ${Math.round(wp.y)})`;
+}
+
+/**
+ * Format a cost for a table cell
+ * @param {number|null} cost
+ * @returns {string}
+ */
+function formatTableCost(cost) {
+    if (cost === null) return '—';
+    return cost < 10 ? cost.toFixed(1) : Math.round(cost).toString();
+}
+
+/**
+ * Round a cost to two decimal places for export
+ * @param {number} cost
+ * @returns {number}
+ */
+function roundCost(cost) {
+    return Math.round(cost * 100) / 100;
+}
+
+/**
+ * Quote a CSV field if it needs it
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeCsv(value) {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Get today's date for filenames
+ * @returns {string} YYYY-MM-DD
+ */
+function getDateStamp() {
+    return new Date().toISOString().slice(0, 10);
+}
@@ -7,7 +7,7 @@
 
 import { createWaypoint } from '../models/Waypoint.js';
 import { createEdge, edgeExists, convertToBezier, convertToStraight } from '../models/Edge.js';
-import { createTerrainLayer, paintTerrain, imageToGrid, DEFAULT_TERRAIN_TYPES, calculateEdgeTerrainCost, sampleLine, calculatePathTerrainCost } from '../models/Terrain.js';
+import { createTerrainLayer, paintTerrain, imageToGrid, DEFAULT_TERRAIN_TYPES, calculateEdgeTerrainCosts, sampleLine, calculatePathTerrainCost, isEdgeBlocked } from '../models/Terrain.js';
 import { $, show, hide } from '../utils/dom.js';
 import { distance, distanceToLineSegment, pointInCircle } from '../utils/geometry.js';
 
@@ -146,9 +146,10 @@ export class EditorController {
             const btn = document.createElement('button');
             btn.className = 'terrain-type-btn';
             btn.dataset.terrainType = type.id;
+            btn.title = type.blocking ? 'Blocks movement: routes and edges can\'t cross it' : `Cost ${type.cost}, danger ${type.danger}`;
             btn.innerHTML = `
                 <span class="terrain-color-swatch" style="background: ${type.color};"></span>
-                <span class="terrain-type-name">${type.name} (${type.cost})</span>
+                <span class="terrain-type-name">${type.name} (${type.blocking ? 'blocks' : type.cost})</span>
             `;
             terrainTypes.appendChild(btn);
         });
@@ -235,13 +236,14 @@ export class EditorController {
                 // Use the same auto-connect algorithm
                 const newEdges = this.getAutoConnectEdges(waypoint, map);
                 
-                for (const { targetWaypoint, cost } of newEdges) {
+                for (const { targetWaypoint, cost, reverseCost } of newEdges) {
                     // Check edge doesn't already exist
                     if (!edgeExists(map.edges, waypoint.id, targetWaypoint.id)) {
                         const edge = createEdge({
                             from: waypoint.id,
                             to: targetWaypoint.id,
-                            cost: cost
+                            cost: cost,
+                            reverseCost: reverseCost
                         });
                         this.store.addEdge(edge);
                         edgesCreated++;
@@ -262,7 +264,7 @@ export class EditorController {
      * Get edges to auto-connect for a waypoint (without creating them)
      * @param {Object} waypoint 
      * @param {Object} map 
-     * @returns {Array<{targetWaypoint: Object, cost: number}>}
+     * @returns {Array<{targetWaypoint: Object, cost: number, reverseCost: number}>}
      */
     getAutoConnectEdges(waypoint, map) {
         const NUM_SECTORS = 8;
@@ -301,17 +303,19 @@ export class EditorController {
         const medianDistance = foundDistances[medianIndex];
         const maxDistance = medianDistance * 1.2;
         
-        // Return waypoints within adaptive distance
+        // Return waypoints within adaptive distance, unless blocking terrain is in the way
         const results = [];
         for (const sector of sectors) {
             if (sector.waypoint && sector.distance <= maxDistance) {
-                // Calculate cost
                 const tempEdge = { type: 'straight', controlPoints: [] };
-                const cost = calculateEdgeTerrainCost(
+                if (isEdgeBlocked(tempEdge, waypoint, sector.waypoint, map.terrain, map.imageWidth, map.imageHeight)) continue;
+                
+                // Calculate cost both ways
+                const { cost, reverseCost } = calculateEdgeTerrainCosts(
                     tempEdge, waypoint, sector.waypoint,
                     map.terrain, map.imageWidth, map.imageHeight
                 );
-                results.push({ targetWaypoint: sector.waypoint, cost });
+                results.push({ targetWaypoint: sector.waypoint, cost, reverseCost });
             }
         }
         
@@ -343,9 +347,9 @@ export class EditorController {
                 const toWp = waypointMap.get(edge.to);
                 if (!fromWp || !toWp) return;
                 
-                const newCost = calculateEdgeTerrainCost(edge, fromWp, toWp, map.terrain, map.imageWidth, map.imageHeight);
-                if (newCost !== edge.cost) {
-                    this.store.updateEdge(edge.id, { cost: newCost });
+                const { cost, reverseCost } = calculateEdgeTerrainCosts(edge, fromWp, toWp, map.terrain, map.imageWidth, map.imageHeight);
+                if (cost !== edge.cost || reverseCost !== edge.reverseCost) {
+                    this.store.updateEdge(edge.id, { cost, reverseCost });
                     updated++;
                 }
             });
@@ -725,9 +729,12 @@ export class EditorController {
                     const fromWp = newWaypoint;
                     const toWp = sector.waypoint;
                     
-                    // Calculate initial cost from terrain
+                    // Don't connect through blocking terrain
                     const tempEdge = { type: 'straight', controlPoints: [] };
-                    const initialCost = calculateEdgeTerrainCost(
+                    if (isEdgeBlocked(tempEdge, fromWp, toWp, map.terrain, map.imageWidth, map.imageHeight)) continue;
+                    
+                    // Calculate initial costs from terrain
+                    const initialCosts = calculateEdgeTerrainCosts(
                         tempEdge, fromWp, toWp,
                         map.terrain, map.imageWidth, map.imageHeight
                     );
@@ -735,7 +742,8 @@ export class EditorController {
                     const edge = createEdge({
                         from: newWaypoint.id,
                         to: sector.waypoint.id,
-                        cost: initialCost
+                        cost: initialCosts.cost,
+                        reverseCost: initialCosts.reverseCost
                     });
                     this.store.addEdge(edge);
                 }
@@ -769,12 +777,12 @@ export class EditorController {
                     const fromWp = this.store.getWaypoint(this.edgeStartWaypoint);
                     const toWp = this.store.getWaypoint(hitResult.id);
                     
-                    // Calculate initial cost from terrain (if exists) or distance
-                    let initialCost = 1;
+                    // Calculate initial costs from terrain (if exists) or distance
+                    let initialCosts = { cost: 1, reverseCost: null };
                     if (fromWp && toWp) {
                         // Create a temporary edge object for cost calculation
                         const tempEdge = { type: 'straight', controlPoints: [] };
-                        initialCost = calculateEdgeTerrainCost(
+                        initialCosts = calculateEdgeTerrainCosts(
                             tempEdge, fromWp, toWp, 
                             map.terrain, map.imageWidth, map.imageHeight
                         );
@@ -783,10 +791,15 @@ export class EditorController {
                     const edge = createEdge({
                         from: this.edgeStartWaypoint,
                         to: hitResult.id,
-                        cost: initialCost
+                        cost: initialCosts.cost,
+                        reverseCost: initialCosts.reverseCost
                     });
                     this.store.addEdge(edge);
                     this.store.setState({ selectedWaypoint: null, selectedEdge: edge.id });
+                    
+                    if (fromWp && toWp && isEdgeBlocked(edge, fromWp, toWp, map.terrain, map.imageWidth, map.imageHeight)) {
+                        alert('This edge crosses impassable terrain, so routes won\'t use it. Curve it around the obstacle or move a waypoint.');
+                    }
                 }
             }
             
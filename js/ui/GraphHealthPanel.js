@@ -0,0 +1,172 @@
+/**
+ * GraphHealthPanel - Lists the weak spots of the current map's graph
+ *
+ * Opened from the canvas tools in edit mode. While open, the analysis is
+ * redone after every change to the map and drawn over it, one colour per
+ * connected part, so it shows why a route can't be found.
+ */
+
+import { $, clearElement, createElement, show, hide } from '../utils/dom.js';
+import { analyzeGraph } from '../engine/GraphAnalysis.js';
+import { isEdgeBlocked } from '../models/Terrain.js';
+
+export class GraphHealthPanel {
+    /**
+     * @param {import('../core/EventBus.js').EventBus} eventBus
+     * @param {import('../core/StateStore.js').StateStore} store
+     * @param {import('./CanvasRenderer.js').CanvasRenderer} renderer
+     * @param {import('../engine/Pathfinder.js').Pathfinder} pathfinder
+     */
+    constructor(eventBus, store, renderer, pathfinder) {
+        this.eventBus = eventBus;
+        this.store = store;
+        this.renderer = renderer;
+        this.pathfinder = pathfinder;
+        
+        this.isOpen = false;
+    }
+    
+    /**
+     * Initialize the panel
+     */
+    init() {
+        $('graphHealthBtn').addEventListener('click', () => this.setOpen(!this.isOpen));
+        $('graphHealthCloseBtn').addEventListener('click', () => this.setOpen(false));
+        
+        // Stop click propagation from the panel to the canvas
+        $('graphHealthPanel').addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+        });
+        
+        this.eventBus.on('state:change', ({ changedKeys }) => {
+            // Only shown in edit mode
+            if (changedKeys.includes('mode')) {
+                this.setOpen(false);
+                return;
+            }
+            
+            if (this.isOpen && (changedKeys.includes('maps') || changedKeys.includes('currentMapId'))) {
+                this.refresh();
+            }
+        });
+    }
+    
+    /**
+     * Show or hide the panel and its overlay
+     * @param {boolean} isOpen
+     */
+    setOpen(isOpen) {
+        this.isOpen = isOpen;
+        $('graphHealthBtn').classList.toggle('active', isOpen);
+        
+        if (isOpen) {
+            show($('graphHealthPanel'));
+            this.refresh();
+        } else {
+            hide($('graphHealthPanel'));
+            this.renderer.clearGraphHealth();
+        }
+    }
+    
+    /**
+     * Analyse the current map and show the findings
+     */
+    refresh() {
+        const body = $('graphHealthBody');
+        clearElement(body);
+        
+        const map = this.store.getCurrentMap();
+        if (!map || map.waypoints.length === 0) {
+            this.renderer.clearGraphHealth();
+            body.appendChild(createElement('p', { className: 'tool-palette-hint' }, ['No waypoints on this map yet.']));
+            return;
+        }
+        
+        // Edges across blocking terrain are left out of the graph, so they don't join anything
+        const waypointMap = new Map(map.waypoints.map(wp => [wp.id, wp]));
+        const blockedEdges = map.edges.filter(edge => {
+            const fromWp = waypointMap.get(edge.from);
+            const toWp = waypointMap.get(edge.to);
+            return fromWp && toWp && isEdgeBlocked(edge, fromWp, toWp, map.terrain, map.imageWidth, map.imageHeight);
+        });
+        const graph = this.pathfinder.buildGraph(map.waypoints, map.edges, map.terrain, { map });
+        const health = analyzeGraph(graph, map.edges.filter(edge => !blockedEdges.includes(edge)));
+        this.renderer.renderGraphHealth(health);
+        
+        const edgeMap = new Map(map.edges.map(edge => [edge.id, edge]));
+        const waypointName = (id) => {
+            const wp = waypointMap.get(id);
+            return wp.name || `Waypoint (${Math.round(wp.x)}, ${Math.round(wp.y)})`;
+        };
+        const selectWaypoint = (id) => this.store.setState({ selectedWaypoint: id, selectedEdge: null });
+        const selectEdge = (id) => this.store.setState({ selectedWaypoint: null, selectedEdge: id });
+        
+        const partCount = health.components.length;
+        body.appendChild(createElement('p', { className: 'tool-palette-hint' }, [
+            partCount === 1
+                ? `All ${map.waypoints.length} waypoints are connected.`
+                : `${map.waypoints.length} waypoints in ${partCount} separate parts: routes can't get from one part to another.`
+        ]));
+        
+        if (partCount > 1) {
+            this.appendSection(body, 'Parts', health.components.map((component, index) => ({
+                swatch: this.renderer.getComponentColor(index),
+                label: `${component.length} waypoint${component.length === 1 ? '' : 's'}, e.g. ${waypointName(component[0])}`,
+                onClick: () => selectWaypoint(component[0])
+            })));
+        }
+        
+        this.appendSection(body, 'Through impassable terrain', blockedEdges.map(edge => ({
+            label: `${waypointName(edge.from)} – ${waypointName(edge.to)}`,
+            onClick: () => selectEdge(edge.id)
+        })), 'Routes can\'t use these edges: they cross terrain that blocks movement');
+        
+        this.appendSection(body, 'No edges', health.isolated.map(id => ({
+            label: waypointName(id),
+            onClick: () => selectWaypoint(id)
+        })));
+        
+        this.appendSection(body, 'One-way dead ends', health.deadEnds.map(deadEnd => ({
+            label: waypointName(deadEnd.nodeId),
+            detail: deadEnd.kind === 'no-exit' ? 'no way out' : 'no way in',
+            onClick: () => selectWaypoint(deadEnd.nodeId)
+        })));
+        
+        this.appendSection(body, 'Bridges', health.bridges.map(edgeId => {
+            const edge = edgeMap.get(edgeId);
+            return {
+                label: `${waypointName(edge.from)} – ${waypointName(edge.to)}`,
+                onClick: () => selectEdge(edgeId)
+            };
+        }), 'The only edge joining two sides: losing it splits the network');
+        
+        this.appendSection(body, 'Choke points', health.articulations.map(id => ({
+            label: waypointName(id),
+            onClick: () => selectWaypoint(id)
+        })), 'Every route between two sides passes through these waypoints');
+    }
+    
+    /**
+     * Add a titled list of findings (nothing if the list is empty)
+     * Clicking a finding selects it on the map.
+     * @param {HTMLElement} body
+     * @param {string} title
+     * @param {{label: string, detail?: string, swatch?: string, onClick: function(): void}[]} items
+     * @param {string} [hint] - Explains the finding, shown on hover
+     */
+    appendSection(body, title, items, hint = '') {
+        if (items.length === 0) return;
+        
+        body.appendChild(createElement('div', { className: 'graph-health-title', title: hint }, [`${title} (${items.length})`]));
+        
+        const list = createElement('ul', { className: 'graph-health-list' });
+        items.forEach(item => {
+            list.appendChild(createElement('li', { className: 'graph-health-item', onClick: item.onClick }, [
+                item.swatch ? createElement('span', { className: 'graph-health-swatch', style: { background: item.swatch } }) : null,
+                createElement('span', { className: 'graph-health-name' }, [item.label]),
+                item.detail ? createElement('span', { className: 'graph-health-detail' }, [item.detail]) : null
+            ]));
+        });
+        body.appendChild(list);
+    }
+}
@@ -4,6 +4,7 @@
 
 import { $, readFileAsDataURL, loadImage, hide, show } from '../utils/dom.js';
 import { createMap } from '../models/Map.js';
+import { DEFAULT_TRAVEL_PROFILES, mergeTravelProfiles } from '../models/TravelProfile.js';
 
 export class MapManager {
     /**
@@ -300,12 +301,20 @@ export class MapManager {
         
         const mapCount = Object.keys(this.pendingImportData.maps).length;
         
+        const { travelProfiles } = this.pendingImportData;
         if (merge) {
             const currentMaps = this.store.getState().maps;
             const mergedMaps = { ...currentMaps, ...this.pendingImportData.maps };
-            this.store.setState({ maps: mergedMaps });
+            this.store.setState({
+                maps: mergedMaps,
+                travelProfiles: mergeTravelProfiles(this.store.getState().travelProfiles, travelProfiles)
+            });
         } else {
-            this.store.setState({ maps: this.pendingImportData.maps, currentMapId: null });
+            this.store.setState({
+                maps: this.pendingImportData.maps,
+                travelProfiles: travelProfiles || DEFAULT_TRAVEL_PROFILES,
+                currentMapId: null
+            });
         }
         
         this.pendingImportData = null;
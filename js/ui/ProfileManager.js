@@ -0,0 +1,238 @@
+/**
+ * ProfileManager - Handles the travel profile editor
+ */
+
+import { $, clearElement, createElement, show, hide } from '../utils/dom.js';
+import { EDGE_TAGS } from '../models/Edge.js';
+import { DEFAULT_TERRAIN_TYPES } from '../models/Terrain.js';
+import { createTravelProfile } from '../models/TravelProfile.js';
+
+export class ProfileManager {
+    /**
+     * @param {import('../core/EventBus.js').EventBus} eventBus
+     * @param {import('../core/StateStore.js').StateStore} store
+     */
+    constructor(eventBus, store) {
+        this.eventBus = eventBus;
+        this.store = store;
+        
+        // Profiles being edited, saved to the store all at once
+        /** @type {import('../models/TravelProfile.js').TravelProfile[]} */
+        this.draftProfiles = [];
+        this.editingId = null;
+    }
+    
+    /**
+     * Initialize the profile manager
+     */
+    init() {
+        this.eventBus.on('profiles:edit', (profileId) => this.openModal(profileId));
+        this.setupModal();
+    }
+    
+    /**
+     * Set up modal handlers
+     */
+    setupModal() {
+        const modal = $('profileModal');
+        
+        modal.querySelector('.modal-backdrop').addEventListener('click', () => this.closeModal());
+        $('profileModalClose').addEventListener('click', () => this.closeModal());
+        $('profileCancelBtn').addEventListener('click', () => this.closeModal());
+        $('profileSaveBtn').addEventListener('click', () => this.saveProfiles());
+        
+        $('profileEditSelect').addEventListener('change', (e) => {
+            this.readForm();
+            this.editProfile(e.target.value);
+        });
+        
+        $('profileNewBtn').addEventListener('click', () => {
+            this.readForm();
+            const profile = createTravelProfile();
+            this.draftProfiles.push(profile);
+            this.editProfile(profile.id);
+            $('profileNameInput').select();
+        });
+        
+        $('profileDeleteBtn').addEventListener('click', () => {
+            this.draftProfiles = this.draftProfiles.filter(p => p.id !== this.editingId);
+            this.editProfile(this.draftProfiles.length > 0 ? this.draftProfiles[0].id : null);
+        });
+        
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closeModal();
+        });
+    }
+    
+    /**
+     * Open the editor
+     * @param {string|null} [profileId] - Profile to show first
+     */
+    openModal(profileId = null) {
+        this.draftProfiles = JSON.parse(JSON.stringify(this.store.getState().travelProfiles));
+        
+        const first = this.draftProfiles.find(p => p.id === profileId) || this.draftProfiles[0];
+        this.editProfile(first ? first.id : null);
+        
+        show($('profileModal'));
+    }
+    
+    /**
+     * Close the editor without saving
+     */
+    closeModal() {
+        hide($('profileModal'));
+        this.draftProfiles = [];
+        this.editingId = null;
+    }
+    
+    /**
+     * Save the edited profiles
+     * A deleted profile that was in use is no longer used.
+     */
+    saveProfiles() {
+        this.readForm();
+        
+        const travelProfiles = this.draftProfiles;
+        const { travelProfileId } = this.store.getState();
+        this.store.setState({
+            travelProfiles,
+            travelProfileId: travelProfiles.some(p => p.id === travelProfileId) ? travelProfileId : null
+        });
+        
+        this.closeModal();
+    }
+    
+    /**
+     * Show a profile in the form
+     * @param {string|null} profileId - Null when there are no profiles left
+     */
+    editProfile(profileId) {
+        this.editingId = profileId;
+        const profile = this.getEditingProfile();
+        
+        const select = $('profileEditSelect');
+        clearElement(select);
+        this.draftProfiles.forEach(p => {
+            select.appendChild(createElement('option', { value: p.id }, [p.name || 'Unnamed']));
+        });
+        select.value = profileId || '';
+        
+        $('profileDeleteBtn').disabled = !profile;
+        $('profileNameInput').disabled = !profile;
+        $('profileSpeedInput').disabled = !profile;
+        $('profileNameInput').value = profile ? profile.name : '';
+        $('profileSpeedInput').value = profile ? profile.speed : 1;
+        
+        this.renderTagRows(profile);
+        this.renderTerrainRows(profile);
+    }
+    
+    /**
+     * Show a multiplier and forbid switch for each edge tag
+     * @param {import('../models/TravelProfile.js').TravelProfile|null} profile
+     */
+    renderTagRows(profile) {
+        const container = $('profileTagRows');
+        clearElement(container);
+        if (!profile) return;
+        
+        EDGE_TAGS.forEach(tag => {
+            const isForbidden = profile.forbiddenTags.includes(tag.id);
+            const factorInput = createElement('input', {
+                type: 'number',
+                min: '0.01',
+                step: 'any',
+                value: tag.id in profile.tagFactors ? profile.tagFactors[tag.id] : 1,
+                'data-tag-factor': tag.id
+            });
+            factorInput.disabled = isForbidden;
+            
+            const forbidInput = createElement('input', { type: 'checkbox', 'data-tag-forbid': tag.id });
+            forbidInput.checked = isForbidden;
+            forbidInput.addEventListener('change', () => {
+                factorInput.disabled = forbidInput.checked;
+            });
+            
+            container.appendChild(createElement('span', { className: 'profile-factor-name' }, [tag.name]));
+            container.appendChild(factorInput);
+            container.appendChild(createElement('label', { className: 'profile-factor-forbid' }, [forbidInput, 'Forbid']));
+        });
+    }
+    
+    /**
+     * Show a multiplier for each terrain type
+     * @param {import('../models/TravelProfile.js').TravelProfile|null} profile
+     */
+    renderTerrainRows(profile) {
+        const container = $('profileTerrainRows');
+        clearElement(container);
+        if (!profile) return;
+        
+        this.getTerrainTypes().forEach(type => {
+            const swatch = createElement('span', { className: 'profile-factor-swatch', style: { background: type.color } });
+            container.appendChild(createElement('span', { className: 'profile-factor-name' }, [swatch, type.name]));
+            container.appendChild(createElement('input', {
+                type: 'number',
+                min: '0.01',
+                step: 'any',
+                value: type.id in profile.terrainFactors ? profile.terrainFactors[type.id] : 1,
+                'data-terrain-factor': type.id
+            }));
+            container.appendChild(createElement('span'));
+        });
+    }
+    
+    /**
+     * Get the terrain types profiles can set multipliers for
+     * The default types, plus any custom types painted on the maps.
+     * @returns {import('../models/Terrain.js').TerrainType[]}
+     */
+    getTerrainTypes() {
+        const types = new Map(DEFAULT_TERRAIN_TYPES.map(type => [type.id, type]));
+        Object.values(this.store.getState().maps).forEach(map => {
+            if (!map.terrain) return;
+            map.terrain.types.forEach(type => {
+                if (!types.has(type.id)) types.set(type.id, type);
+            });
+        });
+        return [...types.values()];
+    }
+    
+    /**
+     * Copy the form into the profile being edited
+     * Multipliers of 1 are left out, as they change nothing.
+     */
+    readForm() {
+        const profile = this.getEditingProfile();
+        if (!profile) return;
+        
+        profile.name = $('profileNameInput').value.trim() || 'Unnamed';
+        const speed = parseFloat($('profileSpeedInput').value);
+        profile.speed = speed > 0 ? speed : 1;
+        
+        const readFactors = (attribute) => {
+            const factors = {};
+            document.querySelectorAll(`[${attribute}]`).forEach(input => {
+                const value = parseFloat(input.value);
+                if (value > 0 && value !== 1) {
+                    factors[input.getAttribute(attribute)] = value;
+                }
+            });
+            return factors;
+        };
+        
+        profile.tagFactors = readFactors('data-tag-factor');
+        profile.terrainFactors = readFactors('data-terrain-factor');
+        profile.forbiddenTags = [...document.querySelectorAll('[data-tag-forbid]:checked')]
+            .map(input => input.getAttribute('data-tag-forbid'));
+    }
+    
+    /**
+     * Get the profile shown in the form
+     * @returns {import('../models/TravelProfile.js').TravelProfile|null}
+     */
+    getEditingProfile() {
+        return this.draftProfiles.find(p => p.id === this.editingId) || null;
+    }
+}
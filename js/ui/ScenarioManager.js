@@ -0,0 +1,327 @@
+/**
+ * ScenarioManager - Handles the scenario editor
+ *
+ * Edits the scenarios of the current map: what each changes about the
+ * terrain costs, edges and portals. Scenarios are saved onto the map.
+ */
+
+import { $, clearElement, createElement, show, hide } from '../utils/dom.js';
+import { updateMap } from '../models/Map.js';
+import { createScenario, getScenarios, getScenarioNames } from '../models/Scenario.js';
+
+export class ScenarioManager {
+    /**
+     * @param {import('../core/EventBus.js').EventBus} eventBus
+     * @param {import('../core/StateStore.js').StateStore} store
+     */
+    constructor(eventBus, store) {
+        this.eventBus = eventBus;
+        this.store = store;
+        
+        // Scenarios being edited, saved to the map all at once
+        /** @type {import('../models/Scenario.js').Scenario[]} */
+        this.draftScenarios = [];
+        this.editingId = null;
+        this.mapId = null;
+    }
+    
+    /**
+     * Initialize the scenario manager
+     */
+    init() {
+        this.eventBus.on('scenarios:edit', (name) => this.openModal(name));
+        this.setupModal();
+    }
+    
+    /**
+     * Set up modal handlers
+     */
+    setupModal() {
+        const modal = $('scenarioModal');
+        
+        modal.querySelector('.modal-backdrop').addEventListener('click', () => this.closeModal());
+        $('scenarioModalClose').addEventListener('click', () => this.closeModal());
+        $('scenarioCancelBtn').addEventListener('click', () => this.closeModal());
+        $('scenarioSaveBtn').addEventListener('click', () => this.saveScenarios());
+        
+        $('scenarioEditSelect').addEventListener('change', (e) => {
+            this.readForm();
+            this.editScenario(e.target.value);
+        });
+        
+        $('scenarioNewBtn').addEventListener('click', () => {
+            this.readForm();
+            const scenario = createScenario();
+            this.draftScenarios.push(scenario);
+            this.editScenario(scenario.id);
+            $('scenarioNameInput').select();
+        });
+        
+        $('scenarioDeleteBtn').addEventListener('click', () => {
+            this.draftScenarios = this.draftScenarios.filter(s => s.id !== this.editingId);
+            this.editScenario(this.draftScenarios.length > 0 ? this.draftScenarios[0].id : null);
+        });
+        
+        $('scenarioEdgeSelect').addEventListener('change', (e) => {
+            const scenario = this.getEditingScenario();
+            if (scenario && e.target.value) {
+                this.readForm();
+                scenario.edgeOverrides[e.target.value] = { closed: true, cost: null };
+                this.renderEdgeRows(scenario);
+            }
+            e.target.value = '';
+        });
+        
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closeModal();
+        });
+    }
+    
+    /**
+     * Open the editor for the current map
+     * @param {string|null} [name] - Scenario to show first
+     */
+    openModal(name = null) {
+        const map = this.store.getCurrentMap();
+        if (!map) {
+            alert('Open a map first.');
+            return;
+        }
+        
+        this.mapId = map.id;
+        this.draftScenarios = JSON.parse(JSON.stringify(getScenarios(map)));
+        
+        const first = this.draftScenarios.find(s => s.name === name) || this.draftScenarios[0];
+        this.editScenario(first ? first.id : null);
+        
+        show($('scenarioModal'));
+    }
+    
+    /**
+     * Close the editor without saving
+     */
+    closeModal() {
+        hide($('scenarioModal'));
+        this.draftScenarios = [];
+        this.editingId = null;
+        this.mapId = null;
+    }
+    
+    /**
+     * Save the edited scenarios onto the map
+     * A chosen scenario that no map has any more is no longer used.
+     */
+    saveScenarios() {
+        this.readForm();
+        
+        const map = this.store.getMap(this.mapId);
+        if (!map) {
+            this.closeModal();
+            return;
+        }
+        
+        const names = this.draftScenarios.map(s => s.name);
+        const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+        if (duplicate) {
+            alert(`There is more than one scenario named "${duplicate}". Give each a different name.`);
+            return;
+        }
+        
+        this.store.setMap(updateMap(map, { scenarios: this.draftScenarios }));
+        
+        const { maps, scenarioName } = this.store.getState();
+        if (scenarioName && !getScenarioNames(maps).includes(scenarioName)) {
+            this.store.setState({ scenarioName: null });
+        }
+        this.eventBus.emit('scenarios:updated', this.mapId);
+        
+        this.closeModal();
+    }
+    
+    /**
+     * Show a scenario in the form
+     * @param {string|null} scenarioId - Null when there are no scenarios left
+     */
+    editScenario(scenarioId) {
+        this.editingId = scenarioId;
+        const scenario = this.getEditingScenario();
+        
+        const select = $('scenarioEditSelect');
+        clearElement(select);
+        this.draftScenarios.forEach(s => {
+            select.appendChild(createElement('option', { value: s.id }, [s.name || 'Unnamed']));
+        });
+        select.value = scenarioId || '';
+        
+        $('scenarioDeleteBtn').disabled = !scenario;
+        $('scenarioNameInput').disabled = !scenario;
+        $('scenarioEdgeSelect').disabled = !scenario;
+        $('scenarioNameInput').value = scenario ? scenario.name : '';
+        
+        this.renderTerrainRows(scenario);
+        this.renderEdgeRows(scenario);
+        this.renderPortalRows(scenario);
+    }
+    
+    /**
+     * Show a cost for each of the map's terrain types
+     * @param {import('../models/Scenario.js').Scenario|null} scenario
+     */
+    renderTerrainRows(scenario) {
+        const container = $('scenarioTerrainRows');
+        clearElement(container);
+        if (!scenario) return;
+        
+        const map = this.store.getMap(this.mapId);
+        if (!map.terrain) {
+            container.appendChild(createElement('span', { className: 'property-hint' }, ['No terrain painted on this map.']));
+            return;
+        }
+        
+        map.terrain.types.forEach(type => {
+            const swatch = createElement('span', { className: 'profile-factor-swatch', style: { background: type.color } });
+            container.appendChild(createElement('span', { className: 'profile-factor-name' }, [swatch, type.name]));
+            container.appendChild(createElement('input', {
+                type: 'number',
+                min: '0',
+                step: 'any',
+                placeholder: String(type.cost),
+                value: type.id in scenario.terrainCosts ? scenario.terrainCosts[type.id] : '',
+                'data-terrain-cost': type.id
+            }));
+            container.appendChild(createElement('span', { className: 'property-hint' }, [`normally ${type.cost}`]));
+        });
+    }
+    
+    /**
+     * Show the edges the scenario changes, and a picker to change another
+     * @param {import('../models/Scenario.js').Scenario|null} scenario
+     */
+    renderEdgeRows(scenario) {
+        const container = $('scenarioEdgeRows');
+        const select = $('scenarioEdgeSelect');
+        clearElement(container);
+        clearElement(select);
+        if (!scenario) return;
+        
+        const map = this.store.getMap(this.mapId);
+        const waypointMap = new Map(map.waypoints.map(wp => [wp.id, wp]));
+        const edgeName = (edge) => `${getPlaceName(waypointMap.get(edge.from))} – ${getPlaceName(waypointMap.get(edge.to))}`;
+        
+        map.edges.forEach(edge => {
+            const override = scenario.edgeOverrides[edge.id];
+            if (!override) return;
+            
+            const costInput = createElement('input', {
+                type: 'number',
+                min: '0',
+                step: 'any',
+                placeholder: String(edge.cost),
+                value: typeof override.cost === 'number' ? override.cost : '',
+                'data-edge-cost': edge.id
+            });
+            costInput.disabled = !!override.closed;
+            
+            const closedInput = createElement('input', { type: 'checkbox', 'data-edge-closed': edge.id });
+            closedInput.checked = !!override.closed;
+            closedInput.addEventListener('change', () => {
+                costInput.disabled = closedInput.checked;
+            });
+            
+            const removeBtn = createElement('button', {
+                className: 'btn btn-secondary btn-sm',
+                title: 'Leave this edge as it is',
+                onClick: () => {
+                    this.readForm();
+                    delete scenario.edgeOverrides[edge.id];
+                    this.renderEdgeRows(scenario);
+                }
+            }, ['×']);
+            
+            container.appendChild(createElement('span', { className: 'profile-factor-name' }, [edgeName(edge)]));
+            container.appendChild(costInput);
+            container.appendChild(createElement('span', { className: 'profile-factor-forbid' }, [
+                createElement('label', { className: 'profile-factor-forbid' }, [closedInput, 'Closed']),
+                removeBtn
+            ]));
+        });
+        
+        select.appendChild(createElement('option', { value: '' }, ['Change an edge…']));
+        map.edges.forEach(edge => {
+            if (!scenario.edgeOverrides[edge.id]) {
+                select.appendChild(createElement('option', { value: edge.id }, [edgeName(edge)]));
+            }
+        });
+    }
+    
+    /**
+     * Show a switch to shut each of the map's portals
+     * @param {import('../models/Scenario.js').Scenario|null} scenario
+     */
+    renderPortalRows(scenario) {
+        const container = $('scenarioPortalRows');
+        clearElement(container);
+        if (!scenario) return;
+        
+        const portals = this.store.getMap(this.mapId).waypoints.filter(wp => wp.isPortal);
+        if (portals.length === 0) {
+            container.appendChild(createElement('span', { className: 'property-hint' }, ['No portals on this map.']));
+            return;
+        }
+        
+        portals.forEach(wp => {
+            const input = createElement('input', { type: 'checkbox', 'data-portal-shut': wp.id });
+            input.checked = scenario.disabledPortals.includes(wp.id);
+            container.appendChild(createElement('label', { className: 'profile-factor-forbid' }, [input, `Shut ${getPlaceName(wp)}`]));
+        });
+    }
+    
+    /**
+     * Copy the form into the scenario being edited
+     * Empty costs are left out, as they change nothing.
+     */
+    readForm() {
+        const scenario = this.getEditingScenario();
+        if (!scenario) return;
+        
+        scenario.name = $('scenarioNameInput').value.trim() || 'Unnamed';
+        
+        scenario.terrainCosts = {};
+        document.querySelectorAll('[data-terrain-cost]').forEach(input => {
+            const value = parseFloat(input.value);
+            if (value >= 0) {
+                scenario.terrainCosts[input.getAttribute('data-terrain-cost')] = value;
+            }
+        });
+        
+        document.querySelectorAll('[data-edge-cost]').forEach(input => {
+            const edgeId = input.getAttribute('data-edge-cost');
+            const value = parseFloat(input.value);
+            scenario.edgeOverrides[edgeId] = {
+                closed: document.querySelector(`[data-edge-closed="${edgeId}"]`).checked,
+                cost: value >= 0 ? value : null
+            };
+        });
+        
+        scenario.disabledPortals = [...document.querySelectorAll('[data-portal-shut]:checked')]
+            .map(input => input.getAttribute('data-portal-shut'));
+    }
+    
+    /**
+     * Get the scenario shown in the form
+     * @returns {import('../models/Scenario.js').Scenario|null}
+     */
+    getEditingScenario() {
+        return this.draftScenarios.find(s => s.id === this.editingId) || null;
+    }
+}
+
+/**
+ * Get a waypoint's name, or its position if unnamed
+ * @param {import('../models/Waypoint.js').WaypointData|undefined} wp
+ * @returns {string}
+ */
+function getPlaceName(wp) {
+    if (!wp) return '?';
+    return wp.name || `Waypoint (${Math.round(wp.x)}, ${Math.round(wp.y)})`;
+}
@@ -4,7 +4,9 @@
 
 import { $, clearElement, createElement, show, hide } from '../utils/dom.js';
 import { getMapTree } from '../models/Map.js';
-import { calculateEdgeTerrainCost } from '../models/Terrain.js';
+import { calculateEdgeTerrainCosts, isEdgeBlocked } from '../models/Terrain.js';
+import { getReverseCost, getEdgeTags, getEdgeDanger, EDGE_TAGS } from '../models/Edge.js';
+import { getPassCost, getStopCost, getCategory, getCategories } from '../models/Waypoint.js';
 
 export class Sidebar {
     /**
@@ -162,6 +164,10 @@ export class Sidebar {
             return;
         }
         
+        const map = this.store.getCurrentMap();
+        const passCost = getPassCost(wp);
+        const stopCost = getStopCost(wp);
+        
         const panel = $('propertiesPanel');
         panel.innerHTML = `
             <div class="property-group">
@@ -179,6 +185,35 @@ export class Sidebar {
                     <label class="property-label">Position</label>
                     <div class="property-value property-value-text">${Math.round(wp.x)}, ${Math.round(wp.y)}</div>
                 </div>
+                <div class="property-row">
+                    <label class="property-label" title="Added to routes that pass through, e.g. a gate toll">Pass cost</label>
+                    <div class="property-value">
+                        <input type="number" id="propWaypointPassCost" value="${passCost}" min="0" step="0.1">
+                        ${this.getScaledCostDisplay(map, passCost)}
+                    </div>
+                </div>
+                <div class="property-row">
+                    <label class="property-label" title="Added to routes that stop here on the way to another stop">Stop cost</label>
+                    <div class="property-value">
+                        <input type="number" id="propWaypointStopCost" value="${stopCost}" min="0" step="0.1">
+                        ${this.getScaledCostDisplay(map, stopCost)}
+                    </div>
+                </div>
+                <div class="property-row">
+                    <label class="property-label" title="Kind of place, for finding the nearest one in view mode">Category</label>
+                    <div class="property-value">
+                        <input type="text" id="propWaypointCategory" value="${getCategory(wp)}" placeholder="Temple, well..." list="waypointCategoryList">
+                        <datalist id="waypointCategoryList">
+                            ${this.getCategoryOptions()}
+                        </datalist>
+                    </div>
+                </div>
+                <div class="property-row">
+                    <label class="property-label" title="An inn or camp where a day of travel can end">Rest stop</label>
+                    <div class="property-value">
+                        <input type="checkbox" id="propWaypointRestStop" ${wp.isRestStop ? 'checked' : ''}>
+                    </div>
+                </div>
                 <div class="property-row">
                     <label class="property-label">Portal</label>
                     <div class="property-value">
@@ -195,6 +230,17 @@ export class Sidebar {
                         </select>
                     </div>
                 </div>
+                ${wp.portalTargetMapId ? `
+                <div class="property-row">
+                    <label class="property-label">Arrive at</label>
+                    <div class="property-value">
+                        <select id="propPortalTargetWaypoint">
+                            <option value="">Return portal</option>
+                            ${this.getWaypointOptions(wp.portalTargetMapId, wp.portalTargetWaypointId)}
+                        </select>
+                    </div>
+                </div>
+                ` : ''}
                 ` : ''}
             </div>
             <div class="property-actions">
@@ -207,6 +253,14 @@ export class Sidebar {
             this.store.updateWaypoint(waypointId, { name: e.target.value });
         });
         
+        $('propWaypointCategory').addEventListener('change', (e) => {
+            this.store.updateWaypoint(waypointId, { category: e.target.value.trim() });
+        });
+        
+        $('propWaypointRestStop').addEventListener('change', (e) => {
+            this.store.updateWaypoint(waypointId, { isRestStop: e.target.checked });
+        });
+        
         $('propWaypointPortal').addEventListener('change', (e) => {
             this.store.updateWaypoint(waypointId, { isPortal: e.target.checked });
             this.showWaypointProperties(waypointId); // Re-render to show/hide target
@@ -214,15 +268,49 @@ export class Sidebar {
         
         if (wp.isPortal) {
             $('propPortalTarget').addEventListener('change', (e) => {
-                this.store.updateWaypoint(waypointId, { portalTargetMapId: e.target.value || null });
+                // Target waypoint belongs to the old map, so reset it
+                this.store.updateWaypoint(waypointId, {
+                    portalTargetMapId: e.target.value || null,
+                    portalTargetWaypointId: null
+                });
             });
         }
         
+        if (wp.isPortal && wp.portalTargetMapId) {
+            $('propPortalTargetWaypoint').addEventListener('change', (e) => {
+                this.store.updateWaypoint(waypointId, { portalTargetWaypointId: e.target.value || null });
+            });
+        }
+        
+        const addCostListener = (inputId, key) => {
+            $(inputId).addEventListener('change', (e) => {
+                const cost = parseFloat(e.target.value);
+                if (!isNaN(cost) && cost >= 0) {
+                    this.store.updateWaypoint(waypointId, { [key]: cost });
+                }
+            });
+        };
+        addCostListener('propWaypointPassCost', 'passCost');
+        addCostListener('propWaypointStopCost', 'stopCost');
+        
         $('propDeleteWaypoint').addEventListener('click', () => {
             this.store.deleteWaypoint(waypointId);
         });
     }
     
+    /**
+     * Get a cost converted to the map's scale units, for display next to a cost input
+     * @param {import('../models/Map.js').MapData|null} map 
+     * @param {number} cost 
+     * @returns {string} HTML (empty without a scale)
+     */
+    getScaledCostDisplay(map, cost) {
+        if (!map || !map.scale || !map.scale.scaleCost) return '';
+        const scaledCost = (cost / map.scale.scaleCost) * map.scale.unitValue;
+        const formatted = scaledCost < 10 ? scaledCost.toFixed(1) : Math.round(scaledCost).toString();
+        return `<span class="property-scaled-cost">≈ ${formatted} ${map.scale.unitName}</span>`;
+    }
+    
     /**
      * Show edge properties in the panel
      * @param {string} edgeId 
@@ -238,15 +326,11 @@ export class Sidebar {
         const toWp = this.store.getWaypoint(edge.to);
         const map = this.store.getCurrentMap();
         const hasTerrain = map && map.terrain;
-        const hasScale = map && map.scale && map.scale.scaleCost;
-        
-        // Calculate scaled cost if scale is defined
-        let scaledCostDisplay = '';
-        if (hasScale) {
-            const scaledCost = (edge.cost / map.scale.scaleCost) * map.scale.unitValue;
-            const formatted = scaledCost < 10 ? scaledCost.toFixed(1) : Math.round(scaledCost).toString();
-            scaledCostDisplay = `<span class="property-scaled-cost">≈ ${formatted} ${map.scale.unitName}</span>`;
-        }
+        const isTwoWay = edge.bidirectional !== false;
+        const reverseCost = getReverseCost(edge);
+        const tags = getEdgeTags(edge);
+        const costLocked = !edge.costOverride && hasTerrain;
+        const isBlocked = hasTerrain && fromWp && toWp && isEdgeBlocked(edge, fromWp, toWp, map.terrain, map.imageWidth, map.imageHeight);
         
         const panel = $('propertiesPanel');
         panel.innerHTML = `
@@ -255,6 +339,9 @@ export class Sidebar {
                     <span class="color-indicator edge"></span>
                     Edge
                 </div>
+                ${isBlocked ? `
+                <div class="property-warning">Crosses impassable terrain, so routes can't use it. Move or curve it around.</div>
+                ` : ''}
                 <div class="property-row">
                     <label class="property-label">From</label>
                     <div class="property-value property-value-text">${fromWp?.name || 'Waypoint'}</div>
@@ -264,12 +351,21 @@ export class Sidebar {
                     <div class="property-value property-value-text">${toWp?.name || 'Waypoint'}</div>
                 </div>
                 <div class="property-row">
-                    <label class="property-label">Cost</label>
+                    <label class="property-label" title="Cost from ${fromWp?.name || 'start'} to ${toWp?.name || 'end'}">${isTwoWay ? 'Cost →' : 'Cost'}</label>
+                    <div class="property-value">
+                        <input type="number" id="propEdgeCost" value="${edge.cost}" min="0" step="0.1" ${costLocked ? 'disabled' : ''}>
+                        ${this.getScaledCostDisplay(map, edge.cost)}
+                    </div>
+                </div>
+                ${isTwoWay ? `
+                <div class="property-row">
+                    <label class="property-label" title="Cost from ${toWp?.name || 'end'} back to ${fromWp?.name || 'start'}">Cost ←</label>
                     <div class="property-value">
-                        <input type="number" id="propEdgeCost" value="${edge.cost}" min="0" step="0.1" ${!edge.costOverride && hasTerrain ? 'disabled' : ''}>
-                        ${scaledCostDisplay}
+                        <input type="number" id="propEdgeReverseCost" value="${reverseCost}" min="0" step="0.1" ${costLocked ? 'disabled' : ''}>
+                        ${this.getScaledCostDisplay(map, reverseCost)}
                     </div>
                 </div>
+                ` : ''}
                 <div class="property-row">
                     <label class="property-label">Override</label>
                     <div class="property-value">
@@ -287,6 +383,23 @@ export class Sidebar {
                         <input type="checkbox" id="propEdgeBidirectional" ${edge.bidirectional !== false ? 'checked' : ''}>
                     </div>
                 </div>
+                <div class="property-row">
+                    <label class="property-label" title="Travel profiles set costs by tag">Tags</label>
+                    <div class="property-value property-tags">
+                        ${EDGE_TAGS.map(tag => `
+                        <label class="property-tag">
+                            <input type="checkbox" data-tag="${tag.id}" ${tags.includes(tag.id) ? 'checked' : ''}>
+                            ${tag.name}
+                        </label>
+                        `).join('')}
+                    </div>
+                </div>
+                <div class="property-row">
+                    <label class="property-label" title="Danger of travelling this edge, on top of its terrain's; used when routes weigh cost against danger">Danger</label>
+                    <div class="property-value">
+                        <input type="number" id="propEdgeDanger" value="${getEdgeDanger(edge)}" min="0" step="0.1">
+                    </div>
+                </div>
             </div>
             <div class="property-actions">
                 <button class="btn btn-secondary btn-sm" id="propRecalcCost" ${!hasTerrain ? 'disabled' : ''}>
@@ -303,16 +416,26 @@ export class Sidebar {
         $('propEdgeCost').addEventListener('change', (e) => {
             const cost = parseFloat(e.target.value);
             if (!isNaN(cost) && cost >= 0) {
-                this.store.updateEdge(edgeId, { cost, costOverride: true });
+                // Keep the other direction as it was
+                this.store.updateEdge(edgeId, { cost, reverseCost, costOverride: true });
             }
         });
         
+        if (isTwoWay) {
+            $('propEdgeReverseCost').addEventListener('change', (e) => {
+                const cost = parseFloat(e.target.value);
+                if (!isNaN(cost) && cost >= 0) {
+                    this.store.updateEdge(edgeId, { reverseCost: cost, costOverride: true });
+                }
+            });
+        }
+        
         $('propCostOverride').addEventListener('change', (e) => {
             const override = e.target.checked;
             if (!override && hasTerrain && fromWp && toWp) {
-                // Recalculate cost from terrain
-                const newCost = calculateEdgeTerrainCost(edge, fromWp, toWp, map.terrain, map.imageWidth, map.imageHeight);
-                this.store.updateEdge(edgeId, { costOverride: false, cost: newCost });
+                // Recalculate both directions from terrain
+                const costs = calculateEdgeTerrainCosts(edge, fromWp, toWp, map.terrain, map.imageWidth, map.imageHeight);
+                this.store.updateEdge(edgeId, { costOverride: false, ...costs });
             } else {
                 this.store.updateEdge(edgeId, { costOverride: override });
             }
@@ -321,8 +444,8 @@ export class Sidebar {
         
         $('propRecalcCost').addEventListener('click', () => {
             if (hasTerrain && fromWp && toWp) {
-                const newCost = calculateEdgeTerrainCost(edge, fromWp, toWp, map.terrain, map.imageWidth, map.imageHeight);
-                this.store.updateEdge(edgeId, { cost: newCost, costOverride: false });
+                const costs = calculateEdgeTerrainCosts(edge, fromWp, toWp, map.terrain, map.imageWidth, map.imageHeight);
+                this.store.updateEdge(edgeId, { ...costs, costOverride: false });
                 this.showEdgeProperties(edgeId); // Re-render
             }
         });
@@ -331,6 +454,20 @@ export class Sidebar {
             this.store.updateEdge(edgeId, { bidirectional: e.target.checked });
         });
         
+        $('propEdgeDanger').addEventListener('change', (e) => {
+            const danger = parseFloat(e.target.value);
+            if (!isNaN(danger) && danger >= 0) {
+                this.store.updateEdge(edgeId, { danger });
+            }
+        });
+        
+        panel.querySelectorAll('[data-tag]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                const checked = [...panel.querySelectorAll('[data-tag]:checked')].map(input => input.dataset.tag);
+                this.store.updateEdge(edgeId, { tags: checked });
+            });
+        });
+        
         $('propToggleBezier').addEventListener('click', () => {
             if (edge.type === 'bezier') {
                 this.eventBus.emit('action:make-straight');
@@ -381,6 +518,35 @@ export class Sidebar {
             .join('');
     }
     
+    /**
+     * Get waypoint options of another map for select dropdown
+     * @param {string} mapId 
+     * @param {string|null} selectedId 
+     * @returns {string}
+     */
+    getWaypointOptions(mapId, selectedId) {
+        const map = this.store.getMap(mapId);
+        if (!map) return '';
+        
+        return map.waypoints
+            .map(wp => {
+                const label = wp.name || `Waypoint (${Math.round(wp.x)}, ${Math.round(wp.y)})`;
+                return `<option value="${wp.id}" ${wp.id === selectedId ? 'selected' : ''}>${label}</option>`;
+            })
+            .join('');
+    }
+    
+    /**
+     * Get datalist options for the waypoint categories used on any map
+     * @returns {string}
+     */
+    getCategoryOptions() {
+        const waypoints = Object.values(this.store.getState().maps).flatMap(map => map.waypoints);
+        return getCategories(waypoints)
+            .map(category => `<option value="${category}">`)
+            .join('');
+    }
+    
     /**
      * Show context menu for a map
      * @param {number} x 
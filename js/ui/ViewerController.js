@@ -2,34 +2,115 @@
  * ViewerController - Handles view mode interactions and pathfinding
  */
 
-import { $, show, hide } from '../utils/dom.js';
-import { pointInCircle, distance } from '../utils/geometry.js';
-import { getTerrainCostAt, sampleLine } from '../models/Terrain.js';
+import { $, show, hide, clearElement, createElement } from '../utils/dom.js';
+import { pointInCircle, distanceToLineSegment } from '../utils/geometry.js';
+import { generateId } from '../utils/helpers.js';
+import { DEFAULT_TERRAIN_TYPES } from '../models/Terrain.js';
+import { findMapByWaypoint } from '../models/Map.js';
+import { getUnitsPerCost } from '../models/TravelProfile.js';
+import { getStopCost, getCategories } from '../models/Waypoint.js';
+import { getScenarioNames } from '../models/Scenario.js';
+import { closestPointOnBezier } from '../engine/BezierUtils.js';
+import { POINT_NODE_PREFIX } from '../engine/PointAttachment.js';
+import { DEFAULT_COST_STRATEGY_ID, getCostStrategies, isDefaultCostStrategy } from '../engine/CostStrategy.js';
+import { getClosureAvoidances } from '../engine/Avoidance.js';
+import { EngineCancelledError } from '../engine/EngineClient.js';
+import { getRouteBreakdown } from '../engine/RouteBreakdown.js';
 
 const WAYPOINT_HIT_RADIUS = 12;
-const NEARBY_WAYPOINT_RADIUS = 500; // Max distance to consider for virtual edges
-const MAX_VIRTUAL_EDGES = 3; // Max waypoints to connect arbitrary point to
+const EDGE_HIT_DISTANCE = 8;
+const MAX_REACH_BANDS = 4;
+
+// Engine requests the viewer makes, one per channel (see EngineClient)
+const SEARCH_TYPES = ['route', 'nearest', 'meeting', 'tour', 'reach'];
+
+// Names of the trade-off routes in the list, by kind (see RouteSearch TradeOffKind)
+const TRADE_OFF_NAMES = {
+    cheapest: 'Cheapest',
+    safest: 'Safest',
+    balanced: 'Balanced',
+    between: 'In between',
+    only: 'Cheapest and safest'
+};
 
 export class ViewerController {
     /**
      * @param {import('../core/EventBus.js').EventBus} eventBus 
      * @param {import('../core/StateStore.js').StateStore} store 
      * @param {import('./CanvasRenderer.js').CanvasRenderer} renderer 
-     * @param {import('../engine/Pathfinder.js').Pathfinder} pathfinder 
+     * @param {import('../engine/Pathfinder.js').Pathfinder} pathfinder - For map links and cost units (searches run in the engine)
+     * @param {import('../engine/EngineClient.js').EngineClient} engine - Runs route searches in a worker
      */
-    constructor(eventBus, store, renderer, pathfinder) {
+    constructor(eventBus, store, renderer, pathfinder, engine) {
         this.eventBus = eventBus;
         this.store = store;
         this.renderer = renderer;
         this.pathfinder = pathfinder;
+        this.engine = engine;
         
         this.isActive = false;
         this.isPanning = false;
         this.panStartedOnWaypoint = false;
         
         // Arbitrary start/end points (when not clicking on waypoints)
-        this.arbitraryStart = null; // { x, y } or null
-        this.arbitraryEnd = null;   // { x, y } or null
+        this.arbitraryStart = null; // { x, y, mapId } or null
+        this.arbitraryEnd = null;   // { x, y, mapId } or null
+        
+        // Connections from arbitrary points (start, end, via-points) into the graph for the current route
+        /** @type {import('../engine/PointAttachment.js').PointSegment[]} */
+        this.pointSegments = [];
+        
+        // Next click adds a via-point
+        this.isAddingStop = false;
+        
+        // Clicks mark waypoints and edges to avoid
+        this.isPickingAvoid = false;
+        
+        // Clicks close waypoints and edges, or open them again
+        this.isPickingClosure = false;
+        
+        // Leg of a cross-map route being viewed
+        this.activeLegIndex = 0;
+        
+        // Route over the terrain grid instead of edges
+        this.useTerrainRouting = false;
+        
+        // Offer routes that trade cost against danger instead of one route
+        this.useTradeOffs = false;
+        
+        // Shown trade-off routes: { routes } (cheapest first) or null
+        this.tradeOffs = null;
+        
+        // Number of alternative routes to offer
+        this.alternativeCount = 1;
+        
+        // Most a day of travel can cost, in the start map's scale units (null to travel in one go)
+        this.dailyLimit = null;
+        
+        // How many of the nearest places of a kind to look for
+        this.nearestCount = 1;
+        
+        // Shown nearest places: { fromId, category, paths } or null
+        this.nearest = null;
+        
+        // Waypoints the parties to meet start at, in order
+        this.parties = [];
+        
+        // What the meeting point keeps lowest: 'max' (last arrival) or 'total'
+        this.meetingMode = 'max';
+        
+        // Shown meeting point: { partyIds, meetingId, paths } or null
+        this.meeting = null;
+        
+        // Counts searches; the IDs of those still running, so the newest shows its progress
+        this.searchCount = 0;
+        this.runningSearches = new Set();
+        
+        // Shown reachability: { mapId, budgets, areas, cellCosts } or null
+        this.reach = null;
+        
+        // Whether the route's cost breakdown is expanded
+        this.isBreakdownOpen = false;
     }
     
     /**
@@ -46,6 +127,14 @@ export class ViewerController {
     activate() {
         this.isActive = true;
         this.updateFindRouteButton();
+        this.updateAvoidTerrainOptions();
+        this.updateAvoidList();
+        this.updateClosureList();
+        this.updateUnitLabels();
+        this.updateProfileOptions();
+        this.updateScenarioOptions();
+        this.updateCostStrategyOptions();
+        this.updatePartyList();
     }
     
     /**
@@ -54,6 +143,7 @@ export class ViewerController {
     deactivate() {
         this.isActive = false;
         this.clearRoute();
+        this.clearReachability();
     }
     
     /**
@@ -64,6 +154,7 @@ export class ViewerController {
         
         container.addEventListener('mousedown', (e) => this.handleMouseDown(e));
         container.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
+        container.addEventListener('contextmenu', (e) => this.handleContextMenu(e));
         
         document.addEventListener('mousemove', (e) => this.handleMouseMove(e));
         document.addEventListener('mouseup', (e) => this.handleMouseUp(e));
@@ -72,6 +163,66 @@ export class ViewerController {
         this.eventBus.on('state:change', ({ changedKeys }) => {
             if (changedKeys.includes('routeStart') || changedKeys.includes('routeEnd')) {
                 this.updateFindRouteButton();
+                this.updateStopList();
+            }
+            
+            // Stops changed - the old route no longer applies
+            if (changedKeys.includes('routeVias')) {
+                this.clearRouteDisplay();
+                this.renderArbitraryPoints();
+            }
+            
+            // Avoidances changed - route again around them
+            if (changedKeys.includes('routeAvoidances')) {
+                if (!this.isActive || !this.store.getState().currentRoute) {
+                    this.updateAvoidList();
+                }
+                this.refreshRoute();
+                this.refreshNearest();
+                this.refreshMeeting();
+            }
+            
+            // Something closed or reopened - route and reach again
+            if (changedKeys.includes('closures')) {
+                this.updateClosureList();
+                this.refreshConditions();
+            }
+            
+            // Travel profile changed - costs and their units change with it
+            if (changedKeys.includes('travelProfiles') || changedKeys.includes('travelProfileId')) {
+                this.updateProfileOptions();
+                this.refreshConditions();
+            }
+            
+            // Maps changed - their scenarios may have too
+            if (changedKeys.includes('maps')) {
+                this.updateScenarioOptions();
+            }
+            
+            // Scenario chosen - conditions on the maps change
+            if (changedKeys.includes('scenarioName')) {
+                this.updateScenarioOptions();
+                this.refreshConditions();
+            }
+            
+            // Cost rule changed - every edge may cost something else
+            if (changedKeys.includes('costStrategyId')) {
+                this.updateCostStrategyOptions();
+                this.refreshConditions();
+            }
+        });
+        
+        // A scenario was edited - routes in it change
+        this.eventBus.on('scenarios:updated', () => this.refreshConditions());
+        
+        // Redraw the part of the route that lies on the newly shown map
+        this.eventBus.on('map:changed', () => {
+            if (this.isActive) {
+                this.syncActiveLeg();
+                this.refreshRouteDisplay();
+                this.renderReachability();
+                this.updateAvoidTerrainOptions();
+                this.updateUnitLabels();
             }
         });
     }
@@ -81,7 +232,96 @@ export class ViewerController {
      */
     setupControls() {
         $('findRouteBtn').addEventListener('click', () => this.findRoute());
+        $('cancelSearchBtn').addEventListener('click', () => {
+            SEARCH_TYPES.forEach(type => this.engine.cancel(type));
+        });
         $('clearRouteBtn').addEventListener('click', () => this.clearRoute());
+        $('addStopBtn').addEventListener('click', () => this.setAddingStop(!this.isAddingStop));
+        $('avoidBtn').addEventListener('click', () => this.setPickingAvoid(!this.isPickingAvoid));
+        $('closeBtn').addEventListener('click', () => this.setPickingClosure(!this.isPickingClosure));
+        $('clearClosuresBtn').addEventListener('click', () => this.store.clearClosures());
+        $('costTableBtn').addEventListener('click', () => this.eventBus.emit('costs:open'));
+        $('closuresNameInput').addEventListener('change', (e) => {
+            this.store.renameClosures(e.target.value.trim());
+        });
+        $('optimizeStopsBtn').addEventListener('click', () => this.optimizeStopOrder());
+        $('showReachBtn').addEventListener('click', () => this.showReachability());
+        $('breakdownToggle').addEventListener('click', () => {
+            this.isBreakdownOpen = !this.isBreakdownOpen;
+            this.updateBreakdown();
+        });
+        $('reachBudgetsInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.showReachability();
+        });
+        $('prevLegBtn').addEventListener('click', () => this.showLeg(this.activeLegIndex - 1));
+        $('nextLegBtn').addEventListener('click', () => this.showLeg(this.activeLegIndex + 1));
+        
+        $('aStarToggle').addEventListener('change', (e) => {
+            this.pathfinder.setAStar(e.target.checked);
+        });
+        
+        $('terrainRouteToggle').addEventListener('change', (e) => {
+            this.useTerrainRouting = e.target.checked;
+            this.clearRouteDisplay();
+        });
+        
+        $('tradeOffToggle').addEventListener('change', (e) => {
+            this.useTradeOffs = e.target.checked;
+            this.clearRouteDisplay();
+        });
+        
+        $('alternativeCountSelect').addEventListener('change', (e) => {
+            this.alternativeCount = parseInt(e.target.value, 10);
+            this.clearRouteDisplay();
+        });
+        
+        $('dailyLimitInput').addEventListener('change', (e) => {
+            const limit = parseFloat(e.target.value);
+            this.dailyLimit = limit > 0 ? limit : null;
+            this.clearRouteDisplay();
+        });
+        
+        $('nearestCountInput').addEventListener('change', (e) => {
+            const count = parseInt(e.target.value, 10);
+            this.nearestCount = count > 0 ? count : 1;
+            this.refreshNearest();
+        });
+        
+        $('meetingModeSelect').addEventListener('change', (e) => {
+            this.meetingMode = e.target.value;
+            this.refreshMeeting();
+        });
+        $('findMeetingBtn').addEventListener('click', () => this.findMeetingPoint());
+        $('clearPartiesBtn').addEventListener('click', () => {
+            this.parties = [];
+            this.clearMeeting();
+            this.updatePartyList();
+        });
+        
+        $('travelProfileSelect').addEventListener('change', (e) => {
+            this.store.setState({ travelProfileId: e.target.value || null });
+        });
+        $('editProfilesBtn').addEventListener('click', () => {
+            this.eventBus.emit('profiles:edit', this.store.getState().travelProfileId);
+        });
+        
+        $('costStrategySelect').addEventListener('change', (e) => {
+            this.store.setState({ costStrategyId: isDefaultCostStrategy(e.target.value) ? null : e.target.value });
+        });
+        
+        $('scenarioSelect').addEventListener('change', (e) => {
+            this.store.setState({ scenarioName: e.target.value || null });
+        });
+        $('editScenariosBtn').addEventListener('click', () => {
+            this.eventBus.emit('scenarios:edit', this.store.getState().scenarioName);
+        });
+        
+        $('avoidTerrainSelect').addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.toggleAvoidance('terrain', e.target.value, null);
+            }
+            e.target.value = '';
+        });
         
         // Stop click propagation from view controls to canvas
         $('viewControls').addEventListener('mousedown', (e) => {
@@ -107,6 +347,38 @@ export class ViewerController {
             pointInCircle(canvasPos.x, canvasPos.y, wp.x, wp.y, WAYPOINT_HIT_RADIUS)
         );
         
+        // Adding a via-point (at a waypoint or anywhere)
+        if (this.isAddingStop) {
+            this.addStop(canvasPos, clickedWaypoint);
+            return;
+        }
+        
+        // Marking a waypoint or edge to avoid (empty space still pans)
+        if (this.isPickingAvoid) {
+            const clickedEdge = clickedWaypoint ? null : this.findEdgeAt(canvasPos, map);
+            if (clickedWaypoint) {
+                this.toggleAvoidance('waypoint', clickedWaypoint.id, map.id);
+                return;
+            }
+            if (clickedEdge) {
+                this.toggleAvoidance('edge', clickedEdge.id, map.id);
+                return;
+            }
+        }
+        
+        // Closing or reopening a waypoint or edge
+        if (this.isPickingClosure) {
+            const clickedEdge = clickedWaypoint ? null : this.findEdgeAt(canvasPos, map);
+            if (clickedWaypoint) {
+                this.store.toggleClosure('waypoint', clickedWaypoint.id, map.id);
+                return;
+            }
+            if (clickedEdge) {
+                this.store.toggleClosure('edge', clickedEdge.id, map.id);
+                return;
+            }
+        }
+        
         // Shift+click to set arbitrary point anywhere
         if (e.shiftKey) {
             this.handleArbitraryPointClick(canvasPos, clickedWaypoint);
@@ -158,7 +430,7 @@ export class ViewerController {
                 this.arbitraryStart = null;
                 this.store.setState({ routeStart: clickedWaypoint.id });
             } else {
-                this.arbitraryStart = { x: canvasPos.x, y: canvasPos.y };
+                this.arbitraryStart = { x: canvasPos.x, y: canvasPos.y, mapId: state.currentMapId };
                 this.store.setState({ routeStart: null });
             }
         } else {
@@ -167,14 +439,15 @@ export class ViewerController {
                 this.arbitraryEnd = null;
                 this.store.setState({ routeEnd: clickedWaypoint.id });
             } else {
-                this.arbitraryEnd = { x: canvasPos.x, y: canvasPos.y };
+                this.arbitraryEnd = { x: canvasPos.x, y: canvasPos.y, mapId: state.currentMapId };
                 this.store.setState({ routeEnd: null });
             }
             this.clearRouteDisplay(); // Clear old route when changing destination
         }
         
         this.updateFindRouteButton();
-        this.renderer.renderArbitraryPoints(this.arbitraryStart, this.arbitraryEnd);
+        this.renderArbitraryPoints();
+        this.updateStopList();
     }
     
     /**
@@ -213,7 +486,7 @@ export class ViewerController {
             this.arbitraryStart = null;
             this.arbitraryEnd = null;
             this.store.setState({ routeStart: clickedWaypoint.id });
-            this.renderer.renderArbitraryPoints(null, null);
+            this.renderArbitraryPoints();
         } else if (!state.routeEnd && !this.arbitraryEnd && clickedWaypoint.id !== state.routeStart) {
             this.arbitraryEnd = null;
             this.store.setState({ routeEnd: clickedWaypoint.id });
@@ -223,7 +496,7 @@ export class ViewerController {
             this.arbitraryStart = null;
             this.arbitraryEnd = null;
             this.clearRouteDisplay();
-            this.renderer.renderArbitraryPoints(null, null);
+            this.renderArbitraryPoints();
         } else if (clickedWaypoint.id === state.routeEnd) {
             // Clicking end again clears just the end
             this.store.setState({ routeEnd: null });
@@ -234,6 +507,74 @@ export class ViewerController {
         }
     }
     
+    /**
+     * Offer searches from a right-clicked waypoint
+     * @param {MouseEvent} e 
+     */
+    handleContextMenu(e) {
+        if (!this.isActive) return;
+        
+        const map = this.store.getCurrentMap();
+        if (!map) return;
+        
+        const canvasPos = this.renderer.screenToCanvas(e.clientX, e.clientY);
+        const clickedWaypoint = map.waypoints.find(wp => 
+            pointInCircle(canvasPos.x, canvasPos.y, wp.x, wp.y, WAYPOINT_HIT_RADIUS)
+        );
+        if (clickedWaypoint) {
+            this.showWaypointMenu(e.clientX, e.clientY, clickedWaypoint);
+        }
+    }
+    
+    /**
+     * Show a menu of nearest-place searches from a waypoint
+     * Offers every category used on the maps linked to the current one.
+     * @param {number} x - Screen position
+     * @param {number} y 
+     * @param {Object} waypoint 
+     */
+    showWaypointMenu(x, y, waypoint) {
+        const menu = $('viewContextMenu');
+        clearElement(menu);
+        
+        const state = this.store.getState();
+        const mapIds = this.pathfinder.getPortalConnectedMapIds(state.maps, state.currentMapId);
+        const categories = getCategories(mapIds.flatMap(id => state.maps[id].waypoints));
+        
+        menu.appendChild(createElement('div', { className: 'context-menu-title' }, [
+            `From ${this.getStopLabel(waypoint.id, null)}`
+        ]));
+        
+        const isParty = this.parties.includes(waypoint.id);
+        menu.appendChild(createElement('button', {
+            className: 'context-menu-item',
+            onClick: () => {
+                hide(menu);
+                this.toggleParty(waypoint.id);
+            }
+        }, [isParty ? 'Remove party' : 'Add party here']));
+        
+        categories.forEach(category => {
+            menu.appendChild(createElement('button', {
+                className: 'context-menu-item',
+                onClick: () => {
+                    hide(menu);
+                    this.findNearest(waypoint.id, category);
+                }
+            }, [this.nearestCount > 1 ? `${this.nearestCount} nearest: ${category}` : `Nearest ${category}`]));
+        });
+        
+        if (categories.length === 0) {
+            const item = createElement('button', { className: 'context-menu-item' }, ['No waypoint categories yet']);
+            item.disabled = true;
+            menu.appendChild(item);
+        }
+        
+        menu.style.left = `${x}px`;
+        menu.style.top = `${y}px`;
+        show(menu);
+    }
+    
     /**
      * Handle double click (for portal navigation)
      * @param {MouseEvent} e 
@@ -270,211 +611,1639 @@ export class ViewerController {
     
     /**
      * Find and display route
+     * Routes may cross maps through portals; costs are kept in the start map's units.
+     * With via-points the route is found stop by stop and joined into one.
+     * With a daily limit the route is split into days instead; weighing
+     * danger offers the trade-offs between cost and danger.
+     * The search runs in the engine worker; starting another search aborts this one.
      */
-    findRoute() {
+    async findRoute() {
         const state = this.store.getState();
-        const map = this.store.getCurrentMap();
         
         const hasStart = state.routeStart || this.arbitraryStart;
         const hasEnd = state.routeEnd || this.arbitraryEnd;
         
-        if (!map || !hasStart || !hasEnd) return;
+        if (!hasStart || !hasEnd) return;
         
-        // Build graph for pathfinder
-        const graph = this.pathfinder.buildGraph(map.waypoints, map.edges);
+        const stops = this.getRouteStops();
+        if (!stops) return;
+        const startMap = stops[0].map;
+        this.clearNearest();
+        this.clearMeeting();
         
-        // Handle arbitrary start point
-        let effectiveStartId = state.routeStart;
-        let startSegment = null;
-        if (this.arbitraryStart) {
-            const { waypointId, cost } = this.findNearestWaypoint(this.arbitraryStart, map);
-            if (!waypointId) {
-                alert('No waypoints nearby. Place waypoints closer to your start point.');
-                return;
-            }
-            effectiveStartId = waypointId;
-            startSegment = { point: this.arbitraryStart, waypointId, cost };
+        if (this.dailyLimit) {
+            await this.findDailyRoute(stops);
+            return;
         }
         
-        // Handle arbitrary end point
-        let effectiveEndId = state.routeEnd;
-        let endSegment = null;
-        if (this.arbitraryEnd) {
-            const { waypointId, cost } = this.findNearestWaypoint(this.arbitraryEnd, map);
-            if (!waypointId) {
-                alert('No waypoints nearby. Place waypoints closer to your end point.');
-                return;
-            }
-            effectiveEndId = waypointId;
-            endSegment = { point: this.arbitraryEnd, waypointId, cost };
+        if (this.useTradeOffs) {
+            await this.findTradeOffRoutes(stops);
+            return;
         }
         
-        // Find shortest path between effective waypoints
-        const result = this.pathfinder.findKShortestPaths(
-            graph,
-            effectiveStartId,
-            effectiveEndId,
-            2 // Find 2 paths (primary + alternative)
-        );
+        if (this.useTerrainRouting) {
+            await this.findTerrainRoute(stops);
+            return;
+        }
+        
+        // Alternatives are only offered for routes without via-points
+        const alternativeCount = stops.length > 2 ? 0 : this.alternativeCount;
+        
+        const parts = await this.runSearch(onProgress => this.engine.findRoute({
+            maps: state.maps,
+            stops: stops.map(stop => ({ waypointId: stop.waypointId, point: stop.point, mapId: stop.map.id })),
+            alternativeCount,
+            avoidances: this.getActiveAvoidances(),
+            profile: this.store.getTravelProfile(),
+            scenario: state.scenarioName,
+            costStrategy: state.costStrategyId,
+            useAStar: this.pathfinder.useAStar
+        }, onProgress));
+        if (!parts) return;
+        
+        const primaryRoute = this.combineRoutes(parts.map(part => part.paths[0]), startMap, stops);
+        const alternativeRoutes = parts.length === 1
+            ? parts[0].paths.slice(1).map(path => ({
+                ...this.combineRoutes([path], startMap),
+                dissimilarity: path.dissimilarity
+            }))
+            : [];
+        
+        this.pointSegments = parts.flatMap(part => part.segments);
+        this.showFoundRoute(primaryRoute, alternativeRoutes);
+    }
+    
+    /**
+     * Find and display a route split into days that end at rest stops
+     * The daily limit is converted from scale units at the travel profile's
+     * speed, so faster travellers cover more ground each day.
+     * @param {Object[]} stops - Route stops in order (see getRouteStops)
+     */
+    async findDailyRoute(stops) {
+        if (this.useTerrainRouting || stops.length > 2) {
+            alert('Only routes along edges without stops in between can be split into days.');
+            return;
+        }
+        
+        if (this.useTradeOffs) {
+            alert('Routes split into days can\'t weigh danger. Clear "Per day" or turn off "Weigh danger".');
+            return;
+        }
+        
+        const state = this.store.getState();
+        const startMap = stops[0].map;
+        const unitsPerCost = this.getUnitsPerCost(startMap);
+        
+        const stages = await this.runSearch(onProgress => this.engine.findDailyStages({
+            maps: state.maps,
+            stops: stops.map(stop => ({ waypointId: stop.waypointId, point: stop.point, mapId: stop.map.id })),
+            dailyLimit: unitsPerCost ? this.dailyLimit / unitsPerCost : this.dailyLimit,
+            avoidances: this.getActiveAvoidances(),
+            profile: this.store.getTravelProfile(),
+            scenario: state.scenarioName,
+            costStrategy: state.costStrategyId
+        }, onProgress), 'rest stop');
+        if (!stages) return;
         
-        if (result.paths.length === 0) {
-            alert('No route found between these points.');
+        // Each day but the last ends at a rest stop; stopLegs hold the cost of each day
+        const route = this.combineRoutes(stages.paths, startMap);
+        route.overnights = stages.paths.slice(0, -1).map(day => day.path[day.path.length - 1]);
+        
+        this.pointSegments = stages.segments;
+        this.showFoundRoute(route, []);
+    }
+    
+    /**
+     * Find and list the routes that trade cost against danger
+     * Picking one from the list makes it the route.
+     * @param {Object[]} stops - Route stops in order (see getRouteStops)
+     */
+    async findTradeOffRoutes(stops) {
+        if (this.useTerrainRouting || stops.length > 2 || stops.some(stop => !stop.waypointId)) {
+            alert('Only routes between two waypoints, without stops in between, can weigh cost against danger.');
             return;
         }
         
-        // Add segment costs to total
-        const primaryRoute = result.paths[0];
-        if (startSegment) primaryRoute.cost += startSegment.cost;
-        if (endSegment) primaryRoute.cost += endSegment.cost;
+        const state = this.store.getState();
+        const startMap = stops[0].map;
+        this.clearRouteDisplay();
+        
+        const routes = await this.runSearch(onProgress => this.engine.findTradeOffRoutes({
+            maps: state.maps,
+            stops: stops.map(stop => ({ waypointId: stop.waypointId, point: null, mapId: stop.map.id })),
+            avoidances: this.getActiveAvoidances(),
+            profile: this.store.getTravelProfile(),
+            scenario: state.scenarioName,
+            costStrategy: state.costStrategyId
+        }, onProgress), 'search');
+        if (!routes) return;
         
-        const altRoute = result.paths[1];
-        if (altRoute) {
-            if (startSegment) altRoute.cost += startSegment.cost;
-            if (endSegment) altRoute.cost += endSegment.cost;
+        this.tradeOffs = {
+            routes: routes.map(route => ({
+                ...this.combineRoutes([route], startMap),
+                danger: route.danger,
+                kind: route.kind
+            }))
+        };
+        this.pointSegments = [];
+        this.renderer.renderTradeOffPaths(this.tradeOffs.routes);
+        this.updateTradeOffList();
+    }
+    
+    /**
+     * List the trade-off routes with their cost and danger, cheapest first
+     * Hovering one highlights it; clicking makes it the route.
+     */
+    updateTradeOffList() {
+        const panel = $('tradeOffResults');
+        if (!this.tradeOffs) {
+            hide(panel);
+            return;
         }
         
+        show(panel);
+        
+        const list = $('tradeOffList');
+        clearElement(list);
+        
+        this.tradeOffs.routes.forEach((route, index) => {
+            const item = createElement('li', { className: 'route-day trade-off-route', title: 'Take this route' }, [
+                createElement('span', { className: `trade-off-swatch ${route.kind}` }),
+                createElement('span', { className: 'route-day-name' }, [TRADE_OFF_NAMES[route.kind]]),
+                createElement('span', { className: 'route-day-cost' }, [this.formatRouteCost(route, route.cost)]),
+                createElement('span', { className: 'route-day-cost trade-off-danger' }, [`danger ${formatDanger(route.danger)}`])
+            ]);
+            item.addEventListener('mouseenter', () => this.renderer.highlightTradeOffPath(index));
+            item.addEventListener('mouseleave', () => this.renderer.highlightTradeOffPath(null));
+            item.addEventListener('click', () => {
+                this.clearTradeOffs();
+                this.showFoundRoute(route, []);
+            });
+            list.appendChild(item);
+        });
+    }
+    
+    /**
+     * Stop showing the trade-off routes
+     */
+    clearTradeOffs() {
+        if (!this.tradeOffs) return;
+        this.tradeOffs = null;
+        this.renderer.clearRoutes();
+        this.updateTradeOffList();
+    }
+    
+    /**
+     * Store and display a route found along edges
+     * @param {Object} primaryRoute 
+     * @param {Object[]} alternativeRoutes 
+     */
+    showFoundRoute(primaryRoute, alternativeRoutes) {
         // Store routes in state
         this.store.setState({
-            currentRoute: result.paths[0],
-            alternativeRoute: result.paths[1] || null
+            currentRoute: primaryRoute,
+            alternativeRoutes
         });
         
+        // Start with the leg on the map being viewed
+        this.activeLegIndex = 0;
+        this.syncActiveLeg();
+        
         // Display routes with arbitrary endpoints
-        this.displayRoute(result.paths[0], result.paths[1], startSegment, endSegment);
+        this.displayRoute(primaryRoute, alternativeRoutes, this.pointSegments);
         
         // Update UI
-        this.updateRouteInfo(result.paths[0], result.paths[1]);
+        this.updateRouteInfo(primaryRoute, alternativeRoutes);
     }
     
     /**
-     * Display routes on the canvas
-     * @param {Object} primaryRoute 
-     * @param {Object|null} alternativeRoute 
-     * @param {Object|null} startSegment - { point: {x,y}, waypointId }
-     * @param {Object|null} endSegment - { point: {x,y}, waypointId }
+     * Find and display a route over the terrain grid, ignoring edges
+     * @param {Object[]} stops - Route stops in order (see getRouteStops)
      */
-    displayRoute(primaryRoute, alternativeRoute, startSegment = null, endSegment = null) {
-        this.renderer.renderRoutes(
-            primaryRoute ? primaryRoute.path : null,
-            alternativeRoute ? alternativeRoute.path : null,
-            startSegment,
-            endSegment
-        );
+    async findTerrainRoute(stops) {
+        const map = stops[0].map;
+        if (stops.some(stop => stop.map.id !== map.id)) {
+            alert('Terrain routes must start and end on the same map.');
+            return;
+        }
+        
+        const points = stops.map(stop => this.getEndpointPoint(stop.waypointId, stop.point, map));
+        if (points.some(p => !p)) return;
+        
+        const route = await this.runSearch(onProgress => this.engine.findTerrainRoute({
+            map,
+            points,
+            avoidances: this.getActiveAvoidances(),
+            profile: this.store.getTravelProfile(),
+            scenario: this.store.getState().scenarioName
+        }, onProgress));
+        if (!route) return;
+        
+        this.pointSegments = [];
+        this.activeLegIndex = 0;
+        
+        this.store.setState({
+            currentRoute: route,
+            alternativeRoutes: []
+        });
+        
+        this.displayRoute(route, []);
+        this.updateRouteInfo(route, []);
     }
     
     /**
-     * Update route info display
-     * @param {Object} primaryRoute 
-     * @param {Object|null} alternativeRoute 
+     * Find the nearest waypoints of a category by travel cost and show the routes to them
+     * The waypoint searched from becomes the route start, so picking a
+     * place found routes there.
+     * @param {string} fromId - Waypoint on the current map
+     * @param {string} category 
      */
-    updateRouteInfo(primaryRoute, alternativeRoute) {
-        const primaryCard = $('primaryRouteCard');
-        const altCard = $('altRouteCard');
+    async findNearest(fromId, category) {
+        const state = this.store.getState();
         
-        if (primaryRoute) {
-            show(primaryCard);
-            $('primaryRouteCost').textContent = this.formatCost(primaryRoute.cost);
-        } else {
-            hide(primaryCard);
-        }
+        this.clearRoute();
+        this.store.setState({ routeStart: fromId });
         
-        if (alternativeRoute) {
-            show(altCard);
-            $('altRouteCost').textContent = this.formatCost(alternativeRoute.cost);
-        } else {
-            hide(altCard);
-        }
+        const paths = await this.runSearch(onProgress => this.engine.findNearest({
+            maps: state.maps,
+            mapId: state.currentMapId,
+            fromId,
+            category,
+            count: this.nearestCount,
+            avoidances: this.getActiveAvoidances(),
+            profile: this.store.getTravelProfile(),
+            scenario: state.scenarioName,
+            costStrategy: state.costStrategyId
+        }, onProgress), 'search');
+        if (!paths) return;
+        
+        this.nearest = { fromId, category, paths };
+        this.renderer.renderNearestPaths(paths.map(path => path.path));
+        this.updateNearestList();
     }
     
     /**
-     * Format cost for display, using map scale if available
-     * @param {number} cost - Terrain-weighted cost
-     * @returns {string}
+     * Route, reach and search again after the conditions they depend on changed
+     * (closures, travel profile, scenario or cost rule)
      */
-    formatCost(cost) {
-        const map = this.store.getCurrentMap();
+    refreshConditions() {
+        this.refreshRoute();
+        this.refreshNearest();
+        this.refreshMeeting();
         
-        if (map && map.scale && map.scale.scaleCost) {
-            // Convert terrain cost to user units using scaleCost
-            const scaledCost = (cost / map.scale.scaleCost) * map.scale.unitValue;
-            const formatted = scaledCost < 10 ? scaledCost.toFixed(1) : Math.round(scaledCost).toString();
-            return `${formatted} ${map.scale.unitName}`;
+        // Last, as the others clear the route display, which cancels every search in flight
+        if (this.isActive && this.reach) {
+            this.showReachability();
         }
-        
-        // No scale - show raw cost
-        if (cost < 10) {
-            return cost.toFixed(1);
+    }
+    
+    /**
+     * Search again for the route or trade-off routes shown, after what they depend on changed
+     * Both are found by findRoute, so it runs once either way.
+     */
+    refreshRoute() {
+        const state = this.store.getState();
+        if (this.isActive && (state.currentRoute || this.tradeOffs)) {
+            this.findRoute();
         }
-        return Math.round(cost).toString();
     }
     
     /**
-     * Clear route selection and display
+     * Search again for the nearest places shown, after what they depend on changed
      */
-    clearRoute() {
-        this.store.setState({
-            routeStart: null,
-            routeEnd: null,
-            currentRoute: null,
-            alternativeRoute: null
-        });
-        this.arbitraryStart = null;
-        this.arbitraryEnd = null;
-        this.clearRouteDisplay();
-        this.renderer.renderArbitraryPoints(null, null);
+    refreshNearest() {
+        if (this.isActive && this.nearest) {
+            this.findNearest(this.nearest.fromId, this.nearest.category);
+        }
     }
     
     /**
-     * Find the nearest waypoint to a point and calculate terrain cost
-     * @param {{x: number, y: number}} point 
-     * @param {Object} map 
-     * @returns {{waypointId: string|null, cost: number}}
+     * List the nearest places found, nearest first
+     * Hovering a place highlights the route to it; clicking routes there.
      */
-    findNearestWaypoint(point, map) {
-        let nearest = null;
-        let nearestDist = Infinity;
-        
-        for (const wp of map.waypoints) {
-            const dist = distance(point.x, point.y, wp.x, wp.y);
-            if (dist < nearestDist && dist < NEARBY_WAYPOINT_RADIUS) {
-                nearestDist = dist;
-                nearest = wp;
-            }
+    updateNearestList() {
+        const panel = $('nearestResults');
+        if (!this.nearest) {
+            hide(panel);
+            return;
         }
         
-        if (!nearest) {
-            return { waypointId: null, cost: 0 };
-        }
+        show(panel);
+        $('nearestTitle').textContent = `Nearest ${this.nearest.category}`;
         
-        // Calculate cost based on terrain
-        let cost = nearestDist / 100; // Base cost from distance
+        const list = $('nearestList');
+        clearElement(list);
         
-        if (map.terrain) {
-            // Sample terrain along the path
-            const samples = sampleLine(point.x, point.y, nearest.x, nearest.y, 10);
-            let terrainCost = 0;
-            for (let i = 0; i < samples.length - 1; i++) {
-                const midX = (samples[i].x + samples[i + 1].x) / 2;
-                const midY = (samples[i].y + samples[i + 1].y) / 2;
-                const segmentDist = distance(samples[i].x, samples[i].y, samples[i + 1].x, samples[i + 1].y);
-                const terrainMultiplier = getTerrainCostAt(map.terrain, midX, midY, map.imageWidth, map.imageHeight);
-                terrainCost += segmentDist * terrainMultiplier;
-            }
-            cost = terrainCost / 100;
+        const startMap = findMapByWaypoint(this.store.getState().maps, this.nearest.fromId);
+        this.nearest.paths.forEach((path, index) => {
+            const placeId = path.path[path.path.length - 1];
+            const item = createElement('li', { className: 'route-day nearest-place', title: 'Route here' }, [
+                createElement('span', { className: 'route-day-number' }, [`${index + 1}.`]),
+                createElement('span', { className: 'route-day-name' }, [this.getStopLabel(placeId, null)]),
+                createElement('span', { className: 'route-day-cost' }, [this.formatCost(path.cost, startMap)])
+            ]);
+            item.addEventListener('mouseenter', () => this.renderer.highlightNearestPath(index));
+            item.addEventListener('mouseleave', () => this.renderer.highlightNearestPath(null));
+            item.addEventListener('click', () => {
+                this.clearNearest();
+                this.store.setState({ routeEnd: placeId });
+                this.findRoute();
+            });
+            list.appendChild(item);
+        });
+    }
+    
+    /**
+     * Stop showing the nearest places, or looking for them
+     */
+    clearNearest() {
+        this.engine.cancel('nearest');
+        if (!this.nearest) return;
+        this.nearest = null;
+        this.renderer.clearRoutes();
+        this.updateNearestList();
+    }
+    
+    /**
+     * Add a party starting at a waypoint, or remove it
+     * A meeting point already shown no longer applies.
+     * @param {string} waypointId 
+     */
+    toggleParty(waypointId) {
+        if (this.parties.includes(waypointId)) {
+            this.parties = this.parties.filter(id => id !== waypointId);
+        } else {
+            this.parties = [...this.parties, waypointId];
         }
+        this.clearMeeting();
+        this.updatePartyList();
+    }
+    
+    /**
+     * Find where the parties can meet and show each party's route there
+     * Costs are in the first party's map units.
+     */
+    async findMeetingPoint() {
+        const state = this.store.getState();
+        const partyIds = [...this.parties];
+        const firstMap = findMapByWaypoint(state.maps, partyIds[0]);
+        if (!firstMap) return;
         
-        return { 
-            waypointId: nearest.id, 
-            cost: Math.round(cost * 10) / 10 
-        };
+        this.clearRoute();
+        
+        const meeting = await this.runSearch(onProgress => this.engine.findMeetingPoint({
+            maps: state.maps,
+            mapId: firstMap.id,
+            partyIds,
+            mode: this.meetingMode,
+            avoidances: this.getActiveAvoidances(),
+            profile: this.store.getTravelProfile(),
+            scenario: state.scenarioName,
+            costStrategy: state.costStrategyId
+        }, onProgress), 'party');
+        if (!meeting) return;
+        
+        this.meeting = { partyIds, ...meeting };
+        this.renderer.renderMeetingPaths(meeting.paths.map(path => path.path));
+        this.updatePartyList();
     }
     
     /**
-     * Clear just the route display (not selection)
+     * Search again for the meeting point shown, after what it depends on changed
      */
-    clearRouteDisplay() {
-        this.renderer.clearRoutes();
-        hide($('primaryRouteCard'));
-        hide($('altRouteCard'));
+    refreshMeeting() {
+        if (this.isActive && this.meeting) {
+            this.findMeetingPoint();
+        }
     }
+    
+    /**
+     * List the parties in their route colours, with their costs to the meeting point
+     * Hovering a party highlights its route; clicking routes it there.
+     * Parties whose waypoint was deleted are dropped.
+     */
+    updatePartyList() {
+        const { maps } = this.store.getState();
+        this.parties = this.parties.filter(id => findMapByWaypoint(maps, id));
+        
+        const panel = $('meetingPanel');
+        if (this.parties.length === 0) {
+            hide(panel);
+            return;
+        }
+        
+        show(panel);
+        $('findMeetingBtn').disabled = this.parties.length < 2;
+        $('meetingModeSelect').value = this.meetingMode;
+        
+        const list = $('partyList');
+        clearElement(list);
+        
+        const meeting = this.meeting;
+        const firstMap = findMapByWaypoint(maps, this.parties[0]);
+        this.parties.forEach((partyId, index) => {
+            const path = meeting ? meeting.paths[index] : null;
+            const item = createElement('li', { className: 'route-avoid-item meeting-party' }, [
+                createElement('span', { className: 'route-avoid-marker', style: { background: this.renderer.getPartyColor(index) } }),
+                createElement('span', { className: 'route-avoid-name' }, [this.getStopLabel(partyId, null)]),
+                path ? createElement('span', { className: 'route-day-cost' }, [this.formatCost(path.cost, firstMap)]) : null,
+                createElement('button', {
+                    className: 'route-stop-btn',
+                    title: 'Remove party',
+                    onClick: (e) => {
+                        e.stopPropagation();
+                        this.toggleParty(partyId);
+                    }
+                }, ['×'])
+            ]);
+            
+            if (path) {
+                item.title = 'Route to the meeting point';
+                item.addEventListener('mouseenter', () => this.renderer.highlightMeetingPath(index));
+                item.addEventListener('mouseleave', () => this.renderer.highlightMeetingPath(null));
+                item.addEventListener('click', () => {
+                    this.clearMeeting();
+                    this.store.setState({ routeStart: partyId, routeEnd: meeting.meetingId });
+                    this.findRoute();
+                });
+            }
+            list.appendChild(item);
+        });
+        
+        const result = $('meetingResult');
+        if (!meeting) {
+            hide(result);
+            return;
+        }
+        
+        const costs = meeting.paths.map(path => path.cost);
+        const total = costs.reduce((sum, cost) => sum + cost, 0);
+        result.textContent = `Meet at ${this.getStopLabel(meeting.meetingId, null)}: last arrives after ${this.formatCost(Math.max(...costs), firstMap)}, ${this.formatCost(total, firstMap)} in total`;
+        show(result);
+    }
+    
+    /**
+     * Stop showing the meeting point, or looking for it (the parties stay)
+     */
+    clearMeeting() {
+        this.engine.cancel('meeting');
+        if (!this.meeting) return;
+        this.meeting = null;
+        this.renderer.clearRoutes();
+        this.updatePartyList();
+    }
+    
+    /**
+     * Run a search in the engine worker, showing its progress meanwhile
+     * Searches of different kinds run side by side; a new search of the
+     * same kind aborts the old one (see EngineClient).
+     * @param {function(function(Object): void): Promise<*>} search - Starts the search, given a progress callback
+     * @param {string} [stepName] - What the search counts progress in
+     * @returns {Promise<*>} The result, or null if the search failed or was aborted
+     */
+    async runSearch(search, stepName = 'leg') {
+        const searchId = ++this.searchCount;
+        const isNewest = () => searchId === Math.max(...this.runningSearches);
+        
+        this.runningSearches.add(searchId);
+        this.updateSearchProgress({ done: 0, total: 0 });
+        
+        try {
+            return await search(progress => {
+                if (isNewest()) this.updateSearchProgress(progress, stepName);
+            });
+        } catch (error) {
+            if (!(error instanceof EngineCancelledError)) {
+                alert(error.message);
+            }
+            return null;
+        } finally {
+            this.runningSearches.delete(searchId);
+            if (this.runningSearches.size === 0) this.updateSearchProgress(null);
+        }
+    }
+    
+    /**
+     * Show how far the route search has got
+     * @param {import('../engine/EngineClient.js').EngineProgress|null} progress - Null when no search is running
+     * @param {string} [stepName] - What the search counts progress in
+     */
+    updateSearchProgress(progress, stepName = 'leg') {
+        const panel = $('routeProgress');
+        if (!progress) {
+            hide(panel);
+            return;
+        }
+        
+        show(panel);
+        
+        // Searches between a single pair of stops can't tell how far along they are
+        const isMeasured = progress.total > 1;
+        $('routeProgressBar').classList.toggle('indeterminate', !isMeasured);
+        $('routeProgressFill').style.width = isMeasured ? `${Math.round(progress.done / progress.total * 100)}%` : '';
+        $('routeProgressLabel').textContent = isMeasured
+            ? `Searching… ${stepName} ${Math.min(progress.done + 1, progress.total)} of ${progress.total}`
+            : 'Searching…';
+    }
+    
+    /**
+     * Get the route's stops in order: start, via-points, end
+     * @returns {{waypointId: string|null, point: {x: number, y: number, mapId: string}|null, map: Object, via: Object|null}[]|null}
+     */
+    getRouteStops() {
+        const state = this.store.getState();
+        
+        const toStop = (waypointId, point, via = null) => {
+            const map = this.getEndpointMap(waypointId, point);
+            return map ? { waypointId: point ? null : waypointId, point, map, via } : null;
+        };
+        
+        const stops = [
+            toStop(state.routeStart, this.arbitraryStart),
+            ...state.routeVias.map(via => via.waypointId ? toStop(via.waypointId, null, via) : toStop(null, via, via)),
+            toStop(state.routeEnd, this.arbitraryEnd)
+        ];
+        
+        return stops.every(Boolean) ? stops : null;
+    }
+    
+    /**
+     * Replace the start, via-points and end with stops in a new order
+     * @param {Object[]} stops - Stops as returned by getRouteStops
+     */
+    setRouteStops(stops) {
+        const first = stops[0];
+        const last = stops[stops.length - 1];
+        
+        const vias = stops.slice(1, -1).map(stop => {
+            if (stop.via) return stop.via;
+            const position = this.getEndpointPoint(stop.waypointId, stop.point, stop.map);
+            return {
+                id: generateId('via'),
+                waypointId: stop.waypointId,
+                x: position.x,
+                y: position.y,
+                mapId: stop.map.id
+            };
+        });
+        
+        this.arbitraryStart = first.point;
+        this.arbitraryEnd = last.point;
+        this.store.setState({
+            routeStart: first.waypointId,
+            routeEnd: last.waypointId,
+            routeVias: vias
+        });
+        
+        this.renderArbitraryPoints();
+        this.updateStopList();
+    }
+    
+    /**
+     * Check whether two stops are the same place
+     * @param {Object} a 
+     * @param {Object} b 
+     * @returns {boolean}
+     */
+    isSameStop(a, b) {
+        if (a.waypointId || b.waypointId) return a.waypointId === b.waypointId;
+        return a.point.mapId === b.point.mapId && a.point.x === b.point.x && a.point.y === b.point.y;
+    }
+    
+    /**
+     * Put the stops in the cheapest visiting order, then find the route
+     * The tour mode decides which stops keep their place, or makes the
+     * route return to its start. The order is found in the engine worker.
+     */
+    async optimizeStopOrder() {
+        const state = this.store.getState();
+        const stops = this.getRouteStops();
+        if (!stops) {
+            alert('Set a start and an end before ordering the stops.');
+            return;
+        }
+        
+        if (this.useTerrainRouting) {
+            alert('Stop order can only be optimized for routes along edges.');
+            return;
+        }
+        
+        const mode = $('tourModeSelect').value;
+        
+        // A round trip found before already ends back at the start
+        if (mode === 'round' && stops.length > 2 && this.isSameStop(stops[0], stops[stops.length - 1])) {
+            stops.pop();
+        }
+        
+        const tour = await this.runSearch(onProgress => this.engine.findStopOrder({
+            maps: state.maps,
+            stops: stops.map(stop => ({ waypointId: stop.waypointId, point: stop.point, mapId: stop.map.id })),
+            mode,
+            avoidances: this.getActiveAvoidances(),
+            profile: this.store.getTravelProfile(),
+            scenario: state.scenarioName,
+            costStrategy: state.costStrategyId
+        }, onProgress), 'search');
+        if (!tour) return;
+        
+        const ordered = tour.order.map(index => stops[index]);
+        if (mode === 'round') {
+            ordered.push({ ...ordered[0], via: null });
+        }
+        
+        this.setRouteStops(ordered);
+        this.findRoute();
+    }
+    
+    /**
+     * Join the routes between consecutive stops into one route
+     * Waypoints stopped at between the routes add their stop cost.
+     * @param {Object[]} routes - One route per pair of stops, in order
+     * @param {import('../models/Map.js').MapData} startMap - Map whose cost units are used
+     * @param {Object[]} [stops] - Stops the routes join (see getRouteStops)
+     * @returns {Object} Route with per-map legs and per-stop costs (stopLegs)
+     */
+    combineRoutes(routes, startMap, stops = []) {
+        const combined = {
+            path: [],
+            edges: [],
+            cost: 0,
+            legs: [],
+            steps: [],
+            stopLegs: [],
+            costMapId: startMap.id
+        };
+        
+        // Skip the first waypoint of a part when the previous part ends there
+        const appendPath = (target, path) => {
+            const skipFirst = target.length > 0 && path[0] === target[target.length - 1];
+            target.push(...(skipFirst ? path.slice(1) : path));
+        };
+        
+        routes.forEach((route, index) => {
+            const stopover = index > 0 && stops[index] ? this.getStopoverStep(stops[index], startMap) : null;
+            if (stopover) {
+                combined.steps.push(stopover);
+                combined.cost += stopover.cost;
+                combined.legs[combined.legs.length - 1].cost += stopover.cost;
+            }
+            
+            appendPath(combined.path, route.path);
+            combined.edges.push(...route.edges);
+            combined.steps.push(...route.steps);
+            combined.cost += route.cost;
+            combined.stopLegs.push({ cost: route.cost });
+            
+            route.legs.forEach(leg => {
+                const lastLeg = combined.legs[combined.legs.length - 1];
+                if (lastLeg && lastLeg.mapId === leg.mapId) {
+                    appendPath(lastLeg.path, leg.path);
+                    lastLeg.edges.push(...leg.edges);
+                    lastLeg.cost += leg.cost;
+                } else {
+                    combined.legs.push({ ...leg, path: [...leg.path], edges: [...leg.edges] });
+                }
+            });
+        });
+        
+        return combined;
+    }
+    
+    /**
+     * Get the cost of stopping over at a stop, as a route step
+     * @param {Object} stop - Stop between two routes (see getRouteStops)
+     * @param {import('../models/Map.js').MapData} startMap - Map whose cost units are used
+     * @returns {import('../engine/Pathfinder.js').RouteStep|null} Null for arbitrary points and free stops
+     */
+    getStopoverStep(stop, startMap) {
+        const waypoint = stop.waypointId ? stop.map.waypoints.find(wp => wp.id === stop.waypointId) : null;
+        if (!waypoint || getStopCost(waypoint) <= 0) return null;
+        
+        const position = { x: waypoint.x, y: waypoint.y };
+        return {
+            fromId: waypoint.id,
+            toId: waypoint.id,
+            edgeId: null,
+            mapId: stop.map.id,
+            fromPoint: position,
+            toPoint: position,
+            cost: getStopCost(waypoint) * this.pathfinder.getMapCostFactor(stop.map, startMap),
+            isStopover: true
+        };
+    }
+    
+    /**
+     * Show how far the route start can get within each of the entered budgets
+     * Budgets are in the start map's scale units (raw cost without a scale).
+     * Reached waypoints keep going across the terrain grid, so painted maps
+     * shade every cell in reach too. The search runs in the engine worker.
+     */
+    async showReachability() {
+        const state = this.store.getState();
+        
+        const budgets = [...new Set($('reachBudgetsInput').value
+            .split(',')
+            .map(value => parseFloat(value))
+            .filter(value => isFinite(value) && value > 0))]
+            .sort((a, b) => a - b)
+            .slice(0, MAX_REACH_BANDS);
+        
+        if (budgets.length === 0) {
+            alert('Enter one or more budgets, e.g. "1, 2, 3".');
+            return;
+        }
+        
+        const startMap = this.getEndpointMap(state.routeStart, this.arbitraryStart);
+        if (!startMap) {
+            alert('Set a start first: click a waypoint, or Shift+click anywhere.');
+            return;
+        }
+        
+        // Graph costs are in the start map's raw cost units
+        const unitsPerCost = this.getUnitsPerCost(startMap);
+        const costBudgets = budgets.map(budget => unitsPerCost ? budget / unitsPerCost : budget);
+        
+        const reach = await this.runSearch(onProgress => this.engine.findReach({
+            maps: state.maps,
+            start: { waypointId: this.arbitraryStart ? null : state.routeStart, point: this.arbitraryStart, mapId: startMap.id },
+            budgets: costBudgets,
+            closures: state.closures,
+            profile: this.store.getTravelProfile(),
+            scenario: state.scenarioName,
+            costStrategy: state.costStrategyId
+        }, onProgress), 'search');
+        if (!reach) return;
+        
+        this.reach = { mapId: startMap.id, budgets, areas: reach.areas, cellCosts: reach.cellCosts };
+        this.renderReachability();
+        this.updateReachLegend();
+    }
+    
+    /**
+     * Draw the shown reachability on the current map
+     */
+    renderReachability() {
+        if (!this.reach) {
+            this.renderer.clearReachability();
+            return;
+        }
+        
+        // Terrain reach is only measured on the start map
+        const onStartMap = this.reach.mapId === this.store.getState().currentMapId;
+        this.renderer.renderReachability(this.reach.areas, onStartMap ? this.reach.cellCosts : null);
+    }
+    
+    /**
+     * Update the reachability legend: one colour per budget with the waypoints reached
+     */
+    updateReachLegend() {
+        const legend = $('reachLegend');
+        clearElement(legend);
+        
+        if (!this.reach) {
+            hide(legend);
+            return;
+        }
+        
+        show(legend);
+        const map = this.store.getMap(this.reach.mapId);
+        const unit = map && map.scale ? ` ${map.scale.unitName}` : '';
+        
+        this.reach.areas.forEach((area, i) => {
+            const waypointCount = [...area.nodes.keys()].filter(id => !id.startsWith(POINT_NODE_PREFIX)).length;
+            legend.appendChild(createElement('li', { className: 'reach-legend-item' }, [
+                createElement('span', {
+                    className: 'reach-legend-swatch',
+                    style: { background: this.renderer.getReachBandColor(i) }
+                }),
+                createElement('span', { className: 'reach-legend-label' }, [`≤ ${this.reach.budgets[i]}${unit}`]),
+                createElement('span', { className: 'reach-legend-count' }, [
+                    `${waypointCount} waypoint${waypointCount === 1 ? '' : 's'}`
+                ])
+            ]));
+        });
+        
+        legend.appendChild(createElement('li', { className: 'reach-legend-item' }, [
+            createElement('button', {
+                className: 'btn btn-secondary btn-sm',
+                onClick: () => this.clearReachability()
+            }, ['Clear Reach'])
+        ]));
+    }
+    
+    /**
+     * Show which units reachability budgets and the daily limit are entered in
+     */
+    updateUnitLabels() {
+        const map = this.store.getCurrentMap();
+        const unitName = map && map.scale ? map.scale.unitName : 'cost';
+        $('reachUnitLabel').textContent = unitName;
+        $('dailyLimitUnit').textContent = unitName;
+    }
+    
+    /**
+     * Hide the shown reachability
+     */
+    clearReachability() {
+        this.reach = null;
+        this.renderer.clearReachability();
+        this.updateReachLegend();
+    }
+    
+    /**
+     * Get the position of a route endpoint
+     * @param {string|null} waypointId - Endpoint waypoint ID
+     * @param {{x: number, y: number}|null} arbitraryPoint - Endpoint point
+     * @param {import('../models/Map.js').MapData} map - Map the endpoint lies on
+     * @returns {{x: number, y: number}|null}
+     */
+    getEndpointPoint(waypointId, arbitraryPoint, map) {
+        if (arbitraryPoint) return arbitraryPoint;
+        const wp = map.waypoints.find(w => w.id === waypointId);
+        return wp ? { x: wp.x, y: wp.y } : null;
+    }
+    
+    /**
+     * Get the map a route endpoint lies on
+     * @param {string|null} waypointId - Endpoint waypoint ID
+     * @param {{x: number, y: number, mapId: string}|null} arbitraryPoint - Endpoint point
+     * @returns {import('../models/Map.js').MapData|null}
+     */
+    getEndpointMap(waypointId, arbitraryPoint) {
+        if (arbitraryPoint) {
+            return this.store.getMap(arbitraryPoint.mapId);
+        }
+        return findMapByWaypoint(this.store.getState().maps, waypointId);
+    }
+    
+    /**
+     * Display routes on the canvas
+     * Only the parts of the routes on the current map are drawn.
+     * @param {Object} primaryRoute 
+     * @param {Object[]} alternativeRoutes 
+     * @param {import('../engine/PointAttachment.js').PointSegment[]} [pointSegments] - Connections to arbitrary points
+     */
+    displayRoute(primaryRoute, alternativeRoutes, pointSegments = []) {
+        const currentMapId = this.store.getState().currentMapId;
+        
+        if (primaryRoute && primaryRoute.points) {
+            const onCurrentMap = primaryRoute.mapId === currentMapId;
+            this.renderer.renderRoutes(null, [], [], onCurrentMap ? primaryRoute.points : null);
+            return;
+        }
+        
+        this.renderer.renderRoutes(
+            primaryRoute ? primaryRoute.path : null,
+            alternativeRoutes.map(route => route.path),
+            pointSegments.filter(segment => segment.point.mapId === currentMapId)
+        );
+        
+        const map = this.store.getCurrentMap();
+        if (primaryRoute && primaryRoute.overnights && map) {
+            const waypointMap = new Map(map.waypoints.map(wp => [wp.id, wp]));
+            this.renderer.renderOvernightStops(primaryRoute.overnights
+                .map((waypointId, index) => ({ waypoint: waypointMap.get(waypointId), night: index + 1 }))
+                .filter(stop => stop.waypoint)
+                .map(({ waypoint, night }) => ({ x: waypoint.x, y: waypoint.y, night })));
+        }
+    }
+    
+    /**
+     * Redraw the stored route and arbitrary points for the current map
+     */
+    refreshRouteDisplay() {
+        const state = this.store.getState();
+        
+        this.renderArbitraryPoints();
+        
+        if (state.currentRoute) {
+            this.displayRoute(state.currentRoute, state.alternativeRoutes, this.pointSegments);
+        } else if (this.nearest) {
+            this.renderer.renderNearestPaths(this.nearest.paths.map(path => path.path));
+        } else if (this.meeting) {
+            this.renderer.renderMeetingPaths(this.meeting.paths.map(path => path.path));
+        } else if (this.tradeOffs) {
+            this.renderer.renderTradeOffPaths(this.tradeOffs.routes);
+        } else {
+            this.renderer.clearRoutes();
+        }
+        
+        this.updateLegInfo(state.currentRoute);
+    }
+    
+    /**
+     * Render the arbitrary start/end and via-point markers that lie on the current map
+     */
+    renderArbitraryPoints() {
+        const state = this.store.getState();
+        const onCurrentMap = (point) => point && point.mapId === state.currentMapId ? point : null;
+        const viaPoints = state.routeVias.filter(via => !via.waypointId && via.mapId === state.currentMapId);
+        this.renderer.renderArbitraryPoints(onCurrentMap(this.arbitraryStart), onCurrentMap(this.arbitraryEnd), viaPoints);
+    }
+    
+    /**
+     * Add a via-point where the user clicked
+     * @param {{x: number, y: number}} canvasPos 
+     * @param {Object|undefined} clickedWaypoint 
+     */
+    addStop(canvasPos, clickedWaypoint) {
+        const mapId = this.store.getState().currentMapId;
+        const position = clickedWaypoint || canvasPos;
+        
+        this.store.addRouteVia({
+            id: generateId('via'),
+            waypointId: clickedWaypoint ? clickedWaypoint.id : null,
+            x: position.x,
+            y: position.y,
+            mapId
+        });
+        
+        this.setAddingStop(false);
+    }
+    
+    /**
+     * Turn "add stop" mode on or off (next click adds a via-point)
+     * @param {boolean} isAdding 
+     */
+    setAddingStop(isAdding) {
+        this.isAddingStop = isAdding;
+        if (isAdding) {
+            this.setPickingAvoid(false);
+            this.setPickingClosure(false);
+        }
+        $('addStopBtn').classList.toggle('active', isAdding);
+        $('addStopBtn').textContent = isAdding ? 'Click map to add stop' : 'Add Stop';
+    }
+    
+    /**
+     * Turn "avoid" mode on or off (clicks mark waypoints and edges to avoid)
+     * @param {boolean} isPicking 
+     */
+    setPickingAvoid(isPicking) {
+        this.isPickingAvoid = isPicking;
+        if (isPicking) {
+            this.setAddingStop(false);
+            this.setPickingClosure(false);
+        }
+        $('avoidBtn').classList.toggle('active', isPicking);
+        $('avoidBtn').textContent = isPicking ? 'Click waypoints/edges to avoid' : 'Avoid';
+    }
+    
+    /**
+     * Turn "close" mode on or off (clicks close waypoints and edges, or reopen them)
+     * @param {boolean} isPicking 
+     */
+    setPickingClosure(isPicking) {
+        this.isPickingClosure = isPicking;
+        if (isPicking) {
+            this.setAddingStop(false);
+            this.setPickingAvoid(false);
+        }
+        $('closeBtn').classList.toggle('active', isPicking);
+        $('closeBtn').textContent = isPicking ? 'Click waypoints/edges to close' : 'Close';
+    }
+    
+    /**
+     * Find the edge under a point on the current map
+     * @param {{x: number, y: number}} pos 
+     * @param {import('../models/Map.js').MapData} map 
+     * @returns {Object|null}
+     */
+    findEdgeAt(pos, map) {
+        const waypointMap = new Map(map.waypoints.map(wp => [wp.id, wp]));
+        
+        return map.edges.find(edge => {
+            const fromWp = waypointMap.get(edge.from);
+            const toWp = waypointMap.get(edge.to);
+            if (!fromWp || !toWp) return false;
+            
+            const dist = edge.type === 'bezier' && edge.controlPoints && edge.controlPoints.length >= 2
+                ? closestPointOnBezier(fromWp, edge.controlPoints[0], edge.controlPoints[1], toWp, pos).distance
+                : distanceToLineSegment(pos.x, pos.y, fromWp.x, fromWp.y, toWp.x, toWp.y);
+            return dist <= EDGE_HIT_DISTANCE;
+        }) || null;
+    }
+    
+    /**
+     * Start avoiding a waypoint, edge or terrain type, or stop if it is already avoided
+     * New avoidances block; their mode can be switched in the list.
+     * @param {'waypoint'|'edge'|'terrain'} type 
+     * @param {string} targetId 
+     * @param {string|null} mapId 
+     */
+    toggleAvoidance(type, targetId, mapId) {
+        const existing = this.store.getState().routeAvoidances.find(a => a.type === type && a.targetId === targetId);
+        if (existing) {
+            this.store.removeRouteAvoidance(existing.id);
+            return;
+        }
+        
+        this.store.addRouteAvoidance({
+            id: generateId('avoid'),
+            type,
+            targetId,
+            mapId,
+            mode: 'block'
+        });
+    }
+    
+    /**
+     * Fill the travel profile picker, keeping the chosen profile selected
+     */
+    updateProfileOptions() {
+        const { travelProfiles, travelProfileId } = this.store.getState();
+        const select = $('travelProfileSelect');
+        
+        clearElement(select);
+        select.appendChild(createElement('option', { value: '' }, ['Any (map costs)']));
+        travelProfiles.forEach(profile => {
+            select.appendChild(createElement('option', { value: profile.id }, [profile.name]));
+        });
+        select.value = this.store.getTravelProfile() ? travelProfileId : '';
+    }
+    
+    /**
+     * Fill the cost rule picker with the registered cost strategies
+     */
+    updateCostStrategyOptions() {
+        const select = $('costStrategySelect');
+        clearElement(select);
+        getCostStrategies().forEach(strategy => {
+            select.appendChild(createElement('option', { value: strategy.id, title: strategy.description }, [strategy.name]));
+        });
+        select.value = this.store.getState().costStrategyId || DEFAULT_COST_STRATEGY_ID;
+    }
+    
+    /**
+     * Fill the scenario picker with the scenarios on any map
+     * A chosen scenario is kept even if no map has it any more, so the
+     * picker always shows what routes are found in.
+     */
+    updateScenarioOptions() {
+        const { maps, scenarioName } = this.store.getState();
+        const names = getScenarioNames(maps);
+        if (scenarioName && !names.includes(scenarioName)) {
+            names.push(scenarioName);
+        }
+        
+        const select = $('scenarioSelect');
+        clearElement(select);
+        select.appendChild(createElement('option', { value: '' }, ['Normal']));
+        names.forEach(name => {
+            select.appendChild(createElement('option', { value: name }, [name]));
+        });
+        select.value = scenarioName || '';
+    }
+    
+    /**
+     * Fill the terrain avoidance picker with the current map's terrain types
+     */
+    updateAvoidTerrainOptions() {
+        const map = this.store.getCurrentMap();
+        const types = map && map.terrain ? map.terrain.types : DEFAULT_TERRAIN_TYPES;
+        const select = $('avoidTerrainSelect');
+        
+        clearElement(select);
+        select.appendChild(createElement('option', { value: '' }, ['Avoid terrain…']));
+        types.forEach(type => {
+            select.appendChild(createElement('option', { value: type.id }, [type.name]));
+        });
+    }
+    
+    /**
+     * Update the list of active avoidances, flagging any the route still uses
+     * @param {Object|null} [route] 
+     */
+    updateAvoidList(route = this.store.getState().currentRoute) {
+        const avoidances = this.store.getState().routeAvoidances;
+        const panel = $('routeAvoid');
+        
+        if (avoidances.length === 0) {
+            hide(panel);
+            return;
+        }
+        
+        show(panel);
+        
+        const list = $('routeAvoidList');
+        clearElement(list);
+        
+        avoidances.forEach(avoidance => {
+            const isBlock = avoidance.mode === 'block';
+            const isUsed = route && (
+                (avoidance.type === 'waypoint' && route.path.includes(avoidance.targetId)) ||
+                (avoidance.type === 'edge' && route.edges.includes(avoidance.targetId))
+            );
+            
+            const item = createElement('li', { className: `route-avoid-item ${isUsed ? 'used' : ''}` }, [
+                createElement('span', { className: `route-avoid-marker ${avoidance.mode}` }),
+                createElement('span', { className: 'route-avoid-name' }, [this.getAvoidanceLabel(avoidance)]),
+                isUsed ? createElement('span', { className: 'route-avoid-used', title: 'No reasonable way around' }, ['on route']) : null,
+                createElement('button', {
+                    className: 'route-avoid-mode',
+                    title: isBlock ? 'Never used - click to allow at a higher cost' : 'Used only at a higher cost - click to block',
+                    onClick: () => this.store.updateRouteAvoidance(avoidance.id, { mode: isBlock ? 'penalty' : 'block' })
+                }, [isBlock ? 'Block' : 'Penalty']),
+                createElement('button', {
+                    className: 'route-stop-btn',
+                    title: 'Stop avoiding',
+                    onClick: () => this.store.removeRouteAvoidance(avoidance.id)
+                }, ['×'])
+            ]);
+            list.appendChild(item);
+        });
+    }
+    
+    /**
+     * Update the list of closed waypoints and edges
+     */
+    updateClosureList() {
+        const { closures } = this.store.getState();
+        const panel = $('routeClosures');
+        
+        if (closures.items.length === 0) {
+            hide(panel);
+            return;
+        }
+        
+        show(panel);
+        
+        // Don't overwrite a name being typed
+        const nameInput = $('closuresNameInput');
+        if (document.activeElement !== nameInput) {
+            nameInput.value = closures.name;
+        }
+        
+        const list = $('closureList');
+        clearElement(list);
+        
+        closures.items.forEach(closure => {
+            list.appendChild(createElement('li', { className: 'route-avoid-item' }, [
+                createElement('span', { className: 'route-avoid-marker block' }),
+                createElement('span', { className: 'route-avoid-name' }, [this.getAvoidanceLabel(closure)]),
+                createElement('button', {
+                    className: 'route-stop-btn',
+                    title: 'Open again',
+                    onClick: () => this.store.toggleClosure(closure.type, closure.targetId, closure.mapId)
+                }, ['×'])
+            ]));
+        });
+    }
+    
+    /**
+     * Get everything routes must keep away from: avoidances, then closures
+     * @returns {import('../engine/Avoidance.js').RouteAvoidance[]}
+     */
+    getActiveAvoidances() {
+        const state = this.store.getState();
+        return [...state.routeAvoidances, ...getClosureAvoidances(state.closures)];
+    }
+    
+    /**
+     * Get a display name for an avoidance
+     * @param {import('../engine/Avoidance.js').RouteAvoidance} avoidance 
+     * @returns {string}
+     */
+    getAvoidanceLabel(avoidance) {
+        const map = avoidance.mapId ? this.store.getMap(avoidance.mapId) : this.store.getCurrentMap();
+        
+        if (avoidance.type === 'waypoint') {
+            return this.getStopLabel(avoidance.targetId, null);
+        }
+        
+        if (avoidance.type === 'edge') {
+            const edge = map ? map.edges.find(e => e.id === avoidance.targetId) : null;
+            if (!edge) return 'Edge';
+            return `${this.getStopLabel(edge.from, null)} – ${this.getStopLabel(edge.to, null)}`;
+        }
+        
+        const types = map && map.terrain ? map.terrain.types : DEFAULT_TERRAIN_TYPES;
+        const type = types.find(t => t.id === avoidance.targetId);
+        return `${type ? type.name : 'Terrain'} terrain`;
+    }
+    
+    /**
+     * Update the list of stops with controls to reorder and remove via-points
+     * @param {Object|null} [route] - Route whose per-stop costs are shown
+     */
+    updateStopList(route = this.store.getState().currentRoute) {
+        const state = this.store.getState();
+        const panel = $('routeStops');
+        
+        if (state.routeVias.length === 0) {
+            hide(panel);
+            return;
+        }
+        
+        show(panel);
+        
+        const list = $('routeStopList');
+        clearElement(list);
+        
+        const stops = [
+            { type: 'start', label: this.getStopLabel(state.routeStart, this.arbitraryStart) },
+            ...state.routeVias.map(via => ({ type: 'via', via, label: this.getStopLabel(via.waypointId, via) })),
+            { type: 'end', label: this.getStopLabel(state.routeEnd, this.arbitraryEnd) }
+        ];
+        
+        stops.forEach((stop, index) => {
+            // Cost of the leg arriving at this stop
+            const stopLeg = route && route.stopLegs ? route.stopLegs[index - 1] : null;
+            if (stopLeg) {
+                list.appendChild(createElement('li', { className: 'route-stop-leg' }, [
+                    this.formatRouteCost(route, stopLeg.cost)
+                ]));
+            }
+            
+            const item = createElement('li', { className: 'route-stop' }, [
+                createElement('span', { className: `route-stop-marker ${stop.type}` }),
+                createElement('span', { className: 'route-stop-name' }, [stop.label])
+            ]);
+            
+            if (stop.type === 'via') {
+                const viaIndex = index - 1;
+                item.appendChild(createElement('span', { className: 'route-stop-actions' }, [
+                    createElement('button', {
+                        className: 'route-stop-btn',
+                        title: 'Move earlier',
+                        onClick: () => this.store.moveRouteVia(viaIndex, viaIndex - 1)
+                    }, ['↑']),
+                    createElement('button', {
+                        className: 'route-stop-btn',
+                        title: 'Move later',
+                        onClick: () => this.store.moveRouteVia(viaIndex, viaIndex + 1)
+                    }, ['↓']),
+                    createElement('button', {
+                        className: 'route-stop-btn',
+                        title: 'Remove stop',
+                        onClick: () => this.store.removeRouteVia(stop.via.id)
+                    }, ['×'])
+                ]));
+            }
+            
+            list.appendChild(item);
+        });
+    }
+    
+    /**
+     * Get a display name for a route stop
+     * @param {string|null} waypointId 
+     * @param {{x: number, y: number}|null} point 
+     * @returns {string}
+     */
+    getStopLabel(waypointId, point) {
+        if (waypointId) {
+            const map = findMapByWaypoint(this.store.getState().maps, waypointId);
+            const wp = map ? map.waypoints.find(w => w.id === waypointId) : null;
+            return wp && wp.name ? wp.name : 'Waypoint';
+        }
+        if (point) {
+            return `Point (${Math.round(point.x)}, ${Math.round(point.y)})`;
+        }
+        return 'Not set';
+    }
+    
+    /**
+     * Update route info display
+     * @param {Object} primaryRoute 
+     * @param {Object[]} alternativeRoutes 
+     */
+    updateRouteInfo(primaryRoute, alternativeRoutes) {
+        const primaryCard = $('primaryRouteCard');
+        
+        if (primaryRoute) {
+            show(primaryCard);
+            const danger = typeof primaryRoute.danger === 'number' ? ` · danger ${formatDanger(primaryRoute.danger)}` : '';
+            $('primaryRouteCost').textContent = this.formatRouteCost(primaryRoute, primaryRoute.cost) + danger;
+        } else {
+            hide(primaryCard);
+        }
+        
+        this.updateAlternativeCards(primaryRoute, alternativeRoutes);
+        this.updateAvoidList(primaryRoute);
+        this.updateLegInfo(primaryRoute);
+        this.updateStopList(primaryRoute);
+        this.updateItinerary(primaryRoute);
+        this.updateBreakdown(primaryRoute);
+    }
+    
+    /**
+     * Update the day-by-day itinerary of a route split into days
+     * @param {Object|null} route 
+     */
+    updateItinerary(route) {
+        const panel = $('routeItinerary');
+        
+        if (!route || !route.overnights) {
+            hide(panel);
+            return;
+        }
+        
+        show(panel);
+        
+        const list = $('itineraryList');
+        clearElement(list);
+        
+        const state = this.store.getState();
+        const places = [
+            this.getStopLabel(state.routeStart, this.arbitraryStart),
+            ...route.overnights.map(waypointId => this.getStopLabel(waypointId, null)),
+            this.getStopLabel(state.routeEnd, this.arbitraryEnd)
+        ];
+        
+        route.stopLegs.forEach((day, index) => {
+            list.appendChild(createElement('li', { className: 'route-day' }, [
+                createElement('span', { className: 'route-day-number' }, [`Day ${index + 1}`]),
+                createElement('span', { className: 'route-day-name' }, [`${places[index]} → ${places[index + 1]}`]),
+                createElement('span', { className: 'route-day-cost' }, [this.formatRouteCost(route, day.cost)])
+            ]));
+        });
+    }
+    
+    /**
+     * Update the cost breakdown panel: every step with its running total,
+     * then how the route's length and cost split across terrain types
+     * @param {Object|null} [route] 
+     */
+    updateBreakdown(route = this.store.getState().currentRoute) {
+        const panel = $('routeBreakdown');
+        if (!route) {
+            hide(panel);
+            return;
+        }
+        
+        show(panel);
+        $('breakdownToggle').classList.toggle('open', this.isBreakdownOpen);
+        
+        const body = $('routeBreakdownBody');
+        if (!this.isBreakdownOpen) {
+            hide(body);
+            return;
+        }
+        show(body);
+        
+        const breakdown = getRouteBreakdown(route, this.store.getState().maps);
+        const formatLength = length => `${Math.round(length)} px`;
+        
+        const steps = $('breakdownSteps');
+        clearElement(steps);
+        hide(steps);
+        
+        if (breakdown.steps.length > 0) {
+            show(steps);
+            steps.appendChild(createElement('tr', {}, [
+                createElement('th', {}, ['Step']),
+                createElement('th', {}, ['Length']),
+                createElement('th', {}, ['Cost']),
+                createElement('th', {}, ['Total'])
+            ]));
+            
+            breakdown.steps.forEach(step => {
+                steps.appendChild(createElement('tr', { className: `breakdown-step ${step.type}` }, [
+                    createElement('td', { className: 'breakdown-step-name' }, [this.getBreakdownStepLabel(step)]),
+                    createElement('td', {}, [step.type === 'portal' || step.type === 'waypoint' ? '–' : formatLength(step.length)]),
+                    createElement('td', {}, [this.formatRouteCost(route, step.cost)]),
+                    createElement('td', {}, [this.formatRouteCost(route, step.totalCost)])
+                ]));
+            });
+        }
+        
+        const terrain = $('breakdownTerrain');
+        clearElement(terrain);
+        
+        breakdown.terrain.forEach(share => {
+            const lengthShare = breakdown.length > 0 ? Math.round(share.length / breakdown.length * 100) : 0;
+            const costShare = breakdown.cost > 0 ? Math.round(share.cost / breakdown.cost * 100) : 0;
+            
+            terrain.appendChild(createElement('li', { className: 'breakdown-terrain-item' }, [
+                createElement('span', {
+                    className: 'breakdown-terrain-swatch',
+                    style: { background: share.color || 'transparent' }
+                }),
+                createElement('span', { className: 'breakdown-terrain-name' }, [share.name]),
+                createElement('span', { className: 'breakdown-terrain-value', title: formatLength(share.length) }, [`${lengthShare}% of length`]),
+                createElement('span', { className: 'breakdown-terrain-value' }, [
+                    `${this.formatRouteCost(route, share.cost)} (${costShare}%)`
+                ])
+            ]));
+        });
+        
+        if (breakdown.waypointCost > 0) {
+            const costShare = breakdown.cost > 0 ? Math.round(breakdown.waypointCost / breakdown.cost * 100) : 0;
+            terrain.appendChild(createElement('li', { className: 'breakdown-terrain-item' }, [
+                createElement('span', { className: 'breakdown-terrain-swatch waypoint' }),
+                createElement('span', { className: 'breakdown-terrain-name' }, ['Tolls and stopovers']),
+                createElement('span', { className: 'breakdown-terrain-value' }, ['–']),
+                createElement('span', { className: 'breakdown-terrain-value' }, [
+                    `${this.formatRouteCost(route, breakdown.waypointCost)} (${costShare}%)`
+                ])
+            ]));
+        }
+    }
+    
+    /**
+     * Get a display name for a step of the cost breakdown
+     * @param {import('../engine/RouteBreakdown.js').BreakdownStep} step 
+     * @returns {string}
+     */
+    getBreakdownStepLabel(step) {
+        if (step.type === 'portal') return 'Through portal';
+        if (step.type === 'waypoint') {
+            return `${step.isStopover ? 'Stopover at' : 'Through'} ${this.getStopLabel(step.fromId, null)}`;
+        }
+        
+        const name = id => id.startsWith(POINT_NODE_PREFIX) ? 'Point' : this.getStopLabel(id, null);
+        return `${name(step.fromId)} → ${name(step.toId)}`;
+    }
+    
+    /**
+     * Show one card per alternative route, with how it compares to the best route
+     * Hovering a card highlights its route on the canvas.
+     * @param {Object|null} primaryRoute 
+     * @param {Object[]} alternativeRoutes 
+     */
+    updateAlternativeCards(primaryRoute, alternativeRoutes) {
+        const container = $('altRouteCards');
+        clearElement(container);
+        if (!primaryRoute) return;
+        
+        alternativeRoutes.forEach((route, index) => {
+            const extra = primaryRoute.cost > 0 ? Math.round((route.cost / primaryRoute.cost - 1) * 100) : 0;
+            const different = Math.round(route.dissimilarity * 100);
+            
+            const card = createElement('div', { className: `route-card alt-route alt-${index + 1}` }, [
+                createElement('div', { className: 'route-header' }, [
+                    createElement('span', { className: 'route-label' }, [`Alternative ${index + 1}`]),
+                    createElement('span', { className: 'route-cost' }, [this.formatRouteCost(route, route.cost)])
+                ]),
+                createElement('div', { className: 'route-detail' }, [`+${extra}% cost · ${different}% different`])
+            ]);
+            card.addEventListener('mouseenter', () => this.renderer.highlightAlternativeRoute(index));
+            card.addEventListener('mouseleave', () => this.renderer.highlightAlternativeRoute(null));
+            container.appendChild(card);
+        });
+    }
+    
+    /**
+     * Update the leg navigator for a route that crosses maps
+     * @param {Object|null} route 
+     */
+    updateLegInfo(route) {
+        const legsPanel = $('routeLegs');
+        
+        if (!route || !route.legs || route.legs.length < 2) {
+            hide(legsPanel);
+            return;
+        }
+        
+        show(legsPanel);
+        
+        const list = $('routeLegList');
+        clearElement(list);
+        
+        route.legs.forEach((leg, index) => {
+            const map = this.store.getMap(leg.mapId);
+            const item = createElement('li', {
+                className: `route-leg ${index === this.activeLegIndex ? 'active' : ''}`
+            }, [
+                createElement('span', { className: 'route-leg-name' }, [map ? map.name : 'Unknown map']),
+                createElement('span', { className: 'route-leg-cost' }, [this.formatRouteCost(route, leg.cost)])
+            ]);
+            item.addEventListener('click', () => this.showLeg(index));
+            list.appendChild(item);
+        });
+        
+        $('routeLegLabel').textContent = `Leg ${this.activeLegIndex + 1} of ${route.legs.length}`;
+        $('prevLegBtn').disabled = this.activeLegIndex <= 0;
+        $('nextLegBtn').disabled = this.activeLegIndex >= route.legs.length - 1;
+    }
+    
+    /**
+     * Step to a leg of the current route, switching to its map
+     * @param {number} index 
+     */
+    showLeg(index) {
+        const state = this.store.getState();
+        const route = state.currentRoute;
+        if (!route || !route.legs || !route.legs[index]) return;
+        
+        this.activeLegIndex = index;
+        const leg = route.legs[index];
+        
+        if (leg.mapId !== state.currentMapId) {
+            // Map change triggers a redraw
+            this.eventBus.emit('map:select', leg.mapId);
+        } else {
+            this.updateLegInfo(route);
+        }
+    }
+    
+    /**
+     * Point the active leg at the current map if it is on another map
+     */
+    syncActiveLeg() {
+        const state = this.store.getState();
+        const route = state.currentRoute;
+        if (!route || !route.legs) return;
+        
+        const activeLeg = route.legs[this.activeLegIndex];
+        if (activeLeg && activeLeg.mapId === state.currentMapId) return;
+        
+        const index = route.legs.findIndex(leg => leg.mapId === state.currentMapId);
+        if (index !== -1) {
+            this.activeLegIndex = index;
+        }
+    }
+    
+    /**
+     * Format a cost belonging to a route, using the units of the route's start map
+     * @param {Object} route 
+     * @param {number} cost 
+     * @returns {string}
+     */
+    formatRouteCost(route, cost) {
+        const map = route.costMapId ? this.store.getMap(route.costMapId) : this.store.getCurrentMap();
+        return this.formatCost(cost, map);
+    }
+    
+    /**
+     * Get the factor that converts raw costs into a map's scale units
+     * Faster travel profiles take fewer units for the same cost.
+     * @param {Object|null} map 
+     * @returns {number|null} Units per cost, or null if the map has no scale
+     */
+    getUnitsPerCost(map) {
+        return getUnitsPerCost(map, this.store.getTravelProfile());
+    }
+    
+    /**
+     * Format cost for display, using map scale if available
+     * @param {number} cost - Terrain-weighted cost
+     * @param {Object|null} [map] - Map whose scale applies (default: current map)
+     * @returns {string}
+     */
+    formatCost(cost, map = this.store.getCurrentMap()) {
+        const unitsPerCost = this.getUnitsPerCost(map);
+        if (unitsPerCost) {
+            // Convert terrain cost to user units using scaleCost
+            const scaledCost = cost * unitsPerCost;
+            const formatted = scaledCost < 10 ? scaledCost.toFixed(1) : Math.round(scaledCost).toString();
+            return `${formatted} ${map.scale.unitName}`;
+        }
+        
+        // No scale - show raw cost
+        if (cost < 10) {
+            return cost.toFixed(1);
+        }
+        return Math.round(cost).toString();
+    }
+    
+    /**
+     * Clear route selection and display
+     */
+    clearRoute() {
+        this.store.setState({
+            routeStart: null,
+            routeEnd: null,
+            currentRoute: null,
+            alternativeRoutes: []
+        });
+        this.arbitraryStart = null;
+        this.arbitraryEnd = null;
+        this.store.setState({ routeVias: [] });
+        this.pointSegments = [];
+        this.activeLegIndex = 0;
+        this.setAddingStop(false);
+        this.clearRouteDisplay();
+        this.renderArbitraryPoints();
+        this.updateStopList();
+    }
+    
+    /**
+     * Clear just the route display (not selection)
+     * Searches still running are cancelled, so none draws over the cleared display.
+     */
+    clearRouteDisplay() {
+        SEARCH_TYPES.forEach(type => this.engine.cancel(type));
+        this.store.setState({ currentRoute: null, alternativeRoutes: [] });
+        this.renderer.clearRoutes();
+        hide($('primaryRouteCard'));
+        clearElement($('altRouteCards'));
+        hide($('routeLegs'));
+        hide($('routeItinerary'));
+        hide($('routeBreakdown'));
+        this.updateStopList(null);
+        this.clearNearest();
+        this.clearMeeting();
+        this.clearTradeOffs();
+    }
+}
+
+/**
+ * Format a route's danger for display
+ * @param {number} danger 
+ * @returns {string}
+ */
+function formatDanger(danger) {
+    return danger < 10 ? danger.toFixed(1) : Math.round(danger).toString();
 }
@@ -114,6 +114,33 @@ export function angleBetween(x1, y1, x2, y2) {
     return Math.atan2(y2 - y1, x2 - x1);
 }
 
+/**
+ * Project a point onto a line segment
+ * @param {number} px - Point X
+ * @param {number} py - Point Y
+ * @param {number} x1 - Line start X
+ * @param {number} y1 - Line start Y
+ * @param {number} x2 - Line end X
+ * @param {number} y2 - Line end Y
+ * @returns {{x: number, y: number, t: number}} Closest point and its position along the segment (0-1)
+ */
+export function projectOntoLineSegment(px, py, x1, y1, x2, y2) {
+    const C = x2 - x1;
+    const D = y2 - y1;
+    const lenSq = C * C + D * D;
+    
+    let t = 0;
+    if (lenSq !== 0) {
+        t = Math.max(0, Math.min(1, ((px - x1) * C + (py - y1) * D) / lenSq));
+    }
+    
+    return {
+        x: x1 + t * C,
+        y: y1 + t * D,
+        t
+    };
+}
+
 /**
  * Calculate a point along a line at a given distance from start
  * @param {number} x1 - Start X